@@ -26,13 +26,45 @@
  * @property {number} [maxPlayers] - Maximum player count
  * @property {number} [playTime] - Average play time in minutes
  * @property {number} [complexity] - Complexity/weight rating (1-5)
- * @property {string} [categories] - Categories and mechanics
+ * @property {string[]} [categories] - Category and mechanic tags
  * @property {number} [rating] - Personal rating (1-10)
  * @property {string} [acquisitionDate] - Date the game was acquired
+ * @property {number} [purchasePrice] - Price paid, 0 for gifts
+ * @property {string} [currency] - ISO 4217 code of the prices, e.g. 'USD'
+ * @property {string} [acquisitionSource] - Where the game came from, e.g. a shop, a trade or a gift
+ * @property {number} [currentValue] - What the game would sell for today
+ * @property {number} [salePrice] - Price the game was sold for, for previously owned games
+ * @property {string} [saleDate] - Date the game was sold or given away, for previously owned games
  * @property {string} [notes] - Personal notes
  * @property {string} [imageUrl] - URL to box art image
+ * @property {string} [imageId] - Box art photo stored on this device
+ * @property {string} [bggId] - BoardGameGeek object ID
+ * @property {string} [baseGameId] - Base game this expansion or promo belongs to
+ * @property {string} [expansionType] - 'expansion' or 'promo', for games with a base game
+ * @property {Loan[]} [loans] - Lending history, oldest first
+ * @property {GameLocation} [location] - Where the box is stored
  * @property {string} status - Ownership status: 'owned', 'wishlist', 'previously-owned'
  * @property {string} createdAt - ISO date string when added
+ * @property {string} [updatedAt] - ISO date string when last edited
+ * @property {string} [deletedAt] - ISO date string when moved to the trash
+ */
+
+/**
+ * @typedef {Object} GameLocation
+ * @property {string} [room] - Room, e.g. 'Living Room'
+ * @property {string} [shelf] - Shelf or cube within the room, e.g. 'Kallax B2'
+ * @property {string} [position] - Spot on the shelf, e.g. '3' or 'left'
+ */
+
+/**
+ * @typedef {Object} Loan
+ * @property {string} id - Unique identifier
+ * @property {string} [borrowerId] - Borrower, when they are on the player roster
+ * @property {string} [borrowerName] - Borrower's name, for people who are not players
+ * @property {string} lentDate - Date the game was lent
+ * @property {string} [dueDate] - Date the game is expected back
+ * @property {string} [returnedDate] - Date the game came back, empty while it is out
+ * @property {string} [notes] - Loan notes
  */
 
 /**
@@ -41,49 +73,859 @@
  * @property {string} gameId - Reference to game
  * @property {string} date - Date of play session
  * @property {number} [duration] - Duration in minutes
- * @property {string[]} [players] - Array of player names
- * @property {string[]} [winners] - Array of winner names
+ * @property {string[]} [players] - IDs of the players who took part
+ * @property {string[]} [winners] - IDs of the winning players
+ * @property {string[]} [expansionIds] - Expansions and promos of the game that were used
+ * @property {string} mode - 'competitive', 'team' or 'cooperative'
+ * @property {PlayerResult[]} [results] - Per-player scores, placements and teams
+ * @property {string} [outcome] - 'win' or 'loss' against the game, for cooperative sessions
  * @property {string} [notes] - Session notes
+ * @property {string} [bggPlayId] - BoardGameGeek play ID, for imported plays
+ * @property {string} createdAt - ISO date string when added
+ * @property {string} [updatedAt] - ISO date string when last edited
+ * @property {string} [deletedAt] - ISO date string when moved to the trash
+ * @property {string} [deletedWith] - Game whose deletion trashed this session
+ */
+
+/**
+ * @typedef {Object} PlayerResult
+ * @property {string} playerId - Player the result belongs to
+ * @property {number} [score] - Final score
+ * @property {number} [position] - Finishing position, 1 for first place
+ * @property {string} [team] - Team name, for team sessions
+ */
+
+/**
+ * @typedef {Object} Player
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {string} [color] - Hex color used for the player's badge
+ * @property {string} [avatar] - Emoji or short text shown in the badge
+ * @property {string[]} aliases - Other names this player has been recorded under
  * @property {string} createdAt - ISO date string when added
+ * @property {string} [updatedAt] - ISO date string when last edited
  */
 
 // Application state
 let games = [];
 let sessions = [];
+let players = [];
+// Trashed games and sessions, kept in their stores with a deletedAt timestamp
+let trash = { games: [], sessions: [] };
 let currentTheme = 'light';
 
 // ============================================
 // Storage Functions
 // ============================================
 
+const DB_NAME = 'boardGameTracker';
+const DB_VERSION = 3;
+
+/**
+ * IndexedDB object stores and their secondary indexes
+ */
+const DB_STORES = {
+    games: { keyPath: 'id', indexes: [] },
+    sessions: { keyPath: 'id', indexes: ['gameId', 'date'] },
+    players: { keyPath: 'id', indexes: [] },
+    images: { keyPath: 'id', indexes: [] },
+    meta: { keyPath: 'key', indexes: [] }
+};
+
+/**
+ * localStorage keys holding whole-store JSON blobs. Used by older versions of
+ * the app and as the fallback when IndexedDB is unavailable.
+ */
+const LOCAL_STORAGE_KEYS = {
+    games: 'boardGameTracker_games',
+    sessions: 'boardGameTracker_sessions',
+    players: 'boardGameTracker_players'
+};
+
+/**
+ * In-memory state backing each record store, trashed records included,
+ * used for localStorage blob writes
+ */
+const STORE_RECORDS = {
+    games: () => [...games, ...trash.games],
+    sessions: () => [...sessions, ...trash.sessions],
+    players: () => players
+};
+
+/**
+ * Replace the in-memory records of a store, keeping trashed records apart
+ * from the live ones the rest of the app works with
+ * @param {string} storeName - Store name
+ * @param {Object[]} records - All records of the store
+ */
+function setStoreRecords(storeName, records) {
+    const live = records.filter(record => !record.deletedAt);
+    switch (storeName) {
+        case 'games':
+            games = live;
+            trash.games = records.filter(record => record.deletedAt);
+            break;
+        case 'sessions':
+            sessions = live;
+            trash.sessions = records.filter(record => record.deletedAt);
+            break;
+        default:
+            players = records;
+    }
+}
+
+// Open IndexedDB connection, or null when falling back to localStorage
+let db = null;
+// Why stored data could not be loaded at all, e.g. it was saved by a newer
+// version. Nothing is written while it is set, since saving from the empty
+// in-memory state would replace the data that is still stored.
+let storedDataError = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for an IndexedDB transaction to commit
+ * @param {IDBTransaction} tx - Transaction to wait for
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Open the IndexedDB database, creating stores and indexes as needed
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+ */
+function openDatabase() {
+    return new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        let request;
+        try {
+            request = indexedDB.open(DB_NAME, DB_VERSION);
+        } catch (error) {
+            // Some browsers throw synchronously in private mode
+            console.warn('IndexedDB unavailable:', error);
+            resolve(null);
+            return;
+        }
+
+        request.onupgradeneeded = () => {
+            const database = request.result;
+            const tx = request.transaction;
+            Object.entries(DB_STORES).forEach(([storeName, config]) => {
+                const store = database.objectStoreNames.contains(storeName)
+                    ? tx.objectStore(storeName)
+                    : database.createObjectStore(storeName, { keyPath: config.keyPath });
+                config.indexes.forEach(indexName => {
+                    if (!store.indexNames.contains(indexName)) {
+                        store.createIndex(indexName, indexName);
+                    }
+                });
+            });
+        };
+
+        request.onsuccess = () => {
+            const database = request.result;
+            // Let a newer version of the app in another tab upgrade the schema
+            database.onversionchange = () => database.close();
+            resolve(database);
+        };
+
+        request.onerror = () => {
+            console.warn('IndexedDB unavailable:', request.error);
+            resolve(null);
+        };
+
+        request.onblocked = () => {
+            console.warn('IndexedDB upgrade blocked by another open tab');
+        };
+    });
+}
+
+/**
+ * Read every record from an object store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Object[]>} Records
+ */
+function readAllRecords(storeName) {
+    const tx = db.transaction(storeName, 'readonly');
+    return promisifyRequest(tx.objectStore(storeName).getAll());
+}
+
+/**
+ * Read a value from the meta store (or localStorage when IndexedDB is unavailable)
+ * @param {string} key - Meta key
+ * @returns {Promise<*>} Stored value or undefined
+ */
+async function readMeta(key) {
+    if (!db) {
+        const saved = localStorage.getItem(`boardGameTracker_meta_${key}`);
+        return saved ? JSON.parse(saved) : undefined;
+    }
+    const tx = db.transaction('meta', 'readonly');
+    const entry = await promisifyRequest(tx.objectStore('meta').get(key));
+    return entry ? entry.value : undefined;
+}
+
+/**
+ * Write a value to the meta store (or localStorage when IndexedDB is unavailable)
+ * @param {string} key - Meta key
+ * @param {*} value - Value to store
+ * @returns {Promise<void>}
+ */
+async function writeMeta(key, value) {
+    if (storedDataError) return;
+    try {
+        if (!db) {
+            localStorage.setItem(`boardGameTracker_meta_${key}`, JSON.stringify(value));
+            return;
+        }
+        const tx = db.transaction('meta', 'readwrite');
+        tx.objectStore('meta').put({ key, value });
+        await transactionDone(tx);
+    } catch (error) {
+        handleStorageError(error);
+    }
+}
+
+/**
+ * Read a whole-store JSON blob from localStorage
+ * @param {string} storeName - Store name
+ * @returns {Object[]} Records, empty if nothing is stored
+ */
+function readLocalStorageStore(storeName) {
+    const saved = localStorage.getItem(LOCAL_STORAGE_KEYS[storeName]);
+    return saved ? JSON.parse(saved) : [];
+}
+
+/**
+ * Write the in-memory records of a store to localStorage as one JSON blob
+ * @param {string} storeName - Store name
+ */
+function writeLocalStorageStore(storeName) {
+    localStorage.setItem(LOCAL_STORAGE_KEYS[storeName], JSON.stringify(STORE_RECORDS[storeName]()));
+}
+
+/**
+ * Copy localStorage data into IndexedDB the first time the database is used.
+ * The localStorage blobs are only removed once the copy has been committed.
+ */
+async function migrateLocalStorageToIndexedDB() {
+    if (await readMeta('localStorageMigratedAt')) return;
+
+    // Parse before opening the transaction so bad JSON leaves everything untouched
+    const legacy = {};
+    Object.keys(LOCAL_STORAGE_KEYS).forEach(storeName => {
+        legacy[storeName] = readLocalStorageStore(storeName).map(record => ({
+            ...record,
+            id: record.id || generateId()
+        }));
+    });
+
+    const storeNames = [...Object.keys(LOCAL_STORAGE_KEYS), 'meta'];
+    const tx = db.transaction(storeNames, 'readwrite');
+    Object.entries(legacy).forEach(([storeName, records]) => {
+        const store = tx.objectStore(storeName);
+        records.forEach(record => store.put(record));
+    });
+    tx.objectStore('meta').put({ key: 'localStorageMigratedAt', value: new Date().toISOString() });
+    await transactionDone(tx);
+
+    Object.values(LOCAL_STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+}
+
 /**
- * Load all data from localStorage on startup
+ * Load all data on startup, from IndexedDB when available or localStorage otherwise
+ * @returns {Promise<void>}
  */
-function loadData() {
+async function loadData() {
+    const savedTheme = localStorage.getItem('boardGameTracker_theme');
+    if (savedTheme) {
+        currentTheme = savedTheme;
+        applyTheme(currentTheme);
+    }
+
     try {
-        const savedGames = localStorage.getItem('boardGameTracker_games');
-        const savedSessions = localStorage.getItem('boardGameTracker_sessions');
-        const savedTheme = localStorage.getItem('boardGameTracker_theme');
+        db = await openDatabase();
+        if (db) {
+            try {
+                await migrateLocalStorageToIndexedDB();
+            } catch (error) {
+                // Keep working from localStorage rather than risk losing data
+                console.error('Migration to IndexedDB failed, using localStorage:', error);
+                db.close();
+                db = null;
+            }
+        }
 
-        if (savedGames) {
-            games = JSON.parse(savedGames);
-            // Migrate old data format if necessary
-            games = games.map(migrateGameData);
+        let stored;
+        if (db) {
+            stored = {
+                games: await readAllRecords('games'),
+                sessions: await readAllRecords('sessions'),
+                players: await readAllRecords('players')
+            };
+            if (navigator.storage && navigator.storage.persist) {
+                navigator.storage.persist().catch(() => {});
+            }
+        } else {
+            stored = {
+                games: readLocalStorageStore('games'),
+                sessions: readLocalStorageStore('sessions'),
+                players: readLocalStorageStore('players')
+            };
         }
 
-        if (savedSessions) {
-            sessions = JSON.parse(savedSessions);
+        // Bring stored data up to the current schema and save the result once
+        const storedVersion = (await readMeta('schemaVersion')) || 1;
+        const data = migrateData(stored, storedVersion);
+        setStoreRecords('games', data.games);
+        setStoreRecords('sessions', data.sessions);
+        setStoreRecords('players', data.players);
+        if (storedVersion < SCHEMA_VERSION) {
+            await replaceStore('games', data.games);
+            await replaceStore('sessions', data.sessions);
+            await replaceStore('players', data.players);
+            await writeMeta('schemaVersion', SCHEMA_VERSION);
         }
 
-        if (savedTheme) {
-            currentTheme = savedTheme;
-            applyTheme(currentTheme);
+        // Never discard stored data, but let the user know about problems
+        storedDataIssues = validateData(data);
+        if (storedDataIssues.length > 0) {
+            console.warn('Stored data failed validation:', storedDataIssues);
         }
     } catch (error) {
         console.error('Error loading data:', error);
+        storedDataError = error.message;
         games = [];
         sessions = [];
+        players = [];
+        trash = { games: [], sessions: [] };
+    }
+}
+
+// ============================================
+// Schema Versioning and Validation
+// ============================================
+
+/**
+ * Current version of the game and session schema. Bump it and add a
+ * migration to MIGRATIONS whenever the shape of stored records changes.
+ */
+const SCHEMA_VERSION = 5;
+
+const GAME_STATUSES = ['owned', 'wishlist', 'previously-owned'];
+const EXPANSION_TYPES = ['expansion', 'promo'];
+const SESSION_MODES = ['competitive', 'team', 'cooperative'];
+const SESSION_OUTCOMES = ['win', 'loss'];
+
+/**
+ * Ordered migrations, each upgrading a dataset from `version - 1` to `version`
+ * @type {Array<{version: number, description: string, migrate: function(Object): Object}>}
+ */
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Normalize legacy games and session fields',
+        migrate(data) {
+            const toNumber = (value) => {
+                const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+                return Number.isFinite(number) ? number : value;
+            };
+            const toNameList = (value) => typeof value === 'string'
+                ? value.split(',').map(name => name.trim()).filter(Boolean)
+                : value;
+            const toDateOnly = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)
+                ? value.slice(0, 10)
+                : value;
+
+            return {
+                ...data,
+                games: data.games.map(game => {
+                    const migrated = migrateGameData({ ...game, id: game.id || generateId() });
+                    delete migrated.name;
+                    ['yearPublished', 'minPlayers', 'maxPlayers', 'playTime', 'complexity', 'rating'].forEach(key => {
+                        if (migrated[key] !== undefined) migrated[key] = toNumber(migrated[key]);
+                    });
+                    migrated.acquisitionDate = toDateOnly(migrated.acquisitionDate);
+                    return migrated;
+                }),
+                sessions: data.sessions.map(session => ({
+                    ...session,
+                    id: session.id || generateId(),
+                    date: toDateOnly(session.date),
+                    duration: session.duration !== undefined ? toNumber(session.duration) : undefined,
+                    players: toNameList(session.players),
+                    winners: toNameList(session.winners),
+                    createdAt: session.createdAt || new Date().toISOString()
+                }))
+            };
+        }
+    },
+    {
+        version: 3,
+        description: 'Replace player names in sessions with player roster IDs',
+        migrate(data) {
+            const roster = data.players.map(player => ({ ...player, aliases: player.aliases || [] }));
+            const idsByName = new Map();
+            roster.forEach(player => {
+                [player.name, ...player.aliases].forEach(name => idsByName.set(normalizeTitle(name), player.id));
+            });
+
+            // "Bob", "bob" and "Bob " all become the same player, named after the first spelling seen
+            const toPlayerId = (name) => {
+                const key = normalizeTitle(name);
+                if (!idsByName.has(key)) {
+                    const player = {
+                        id: generateId(),
+                        name: name.trim().replace(/\s+/g, ' '),
+                        aliases: [],
+                        createdAt: new Date().toISOString()
+                    };
+                    roster.push(player);
+                    idsByName.set(key, player.id);
+                }
+                return idsByName.get(key);
+            };
+            const toPlayerIds = (names) => Array.isArray(names)
+                ? [...new Set(names.filter(name => typeof name === 'string' && name.trim()).map(toPlayerId))]
+                : names;
+
+            return {
+                ...data,
+                players: roster,
+                sessions: data.sessions.map(session => ({
+                    ...session,
+                    players: toPlayerIds(session.players),
+                    winners: toPlayerIds(session.winners)
+                }))
+            };
+        }
+    },
+    {
+        version: 4,
+        description: 'Add game mode and per-player results to sessions',
+        migrate(data) {
+            return {
+                ...data,
+                sessions: data.sessions.map(session => ({
+                    ...session,
+                    mode: session.mode || 'competitive',
+                    results: session.results || (Array.isArray(session.players)
+                        ? session.players.map(playerId => ({ playerId }))
+                        : [])
+                }))
+            };
+        }
+    },
+    {
+        version: 5,
+        description: 'Split comma-separated game categories into tag lists',
+        migrate(data) {
+            return {
+                ...data,
+                games: data.games.map(game => {
+                    if (typeof game.categories !== 'string') return game;
+                    const tags = splitTags(game.categories);
+                    return { ...game, categories: tags.length > 0 ? tags : undefined };
+                })
+            };
+        }
+    }
+];
+
+/**
+ * Apply every migration newer than the data's version, in order
+ * @param {Object} data - Dataset with games and sessions arrays
+ * @param {number} fromVersion - Schema version the data was written with
+ * @returns {Object} Dataset at SCHEMA_VERSION
+ */
+function migrateData(data, fromVersion) {
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new Error(`Data was saved by a newer version of the app (schema ${fromVersion}, this version supports ${SCHEMA_VERSION})`);
+    }
+    return MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .reduce((current, migration) => migration.migrate(current), {
+            ...data,
+            games: data.games || [],
+            sessions: data.sessions || [],
+            players: data.players || []
+        });
+}
+
+/**
+ * Describe a game for validation messages
+ * @param {Object} game - Game record
+ * @param {number} index - Position in the games array
+ * @returns {string} Description
+ */
+function describeGameForValidation(game, index) {
+    return game && game.title ? `Game "${game.title}"` : `Game #${index + 1}`;
+}
+
+/**
+ * Describe a session for validation messages
+ * @param {Object} session - Session record
+ * @param {number} index - Position in the sessions array
+ * @returns {string} Description
+ */
+function describeSessionForValidation(session, index) {
+    return session && typeof session.date === 'string'
+        ? `Session #${index + 1} (${session.date})`
+        : `Session #${index + 1}`;
+}
+
+/**
+ * Validate a dataset against the current schema
+ * @param {Object} data - Dataset with games, sessions and players arrays
+ * @param {Map<Object, string[]>} [recordErrors] - Filled with the errors of each record that failed a check
+ * @returns {string[]} Readable error messages, empty when the data is valid
+ */
+function validateData(data, recordErrors) {
+    const errors = [];
+    if (!Array.isArray(data.games)) {
+        return ['"games" must be an array'];
+    }
+    if (!Array.isArray(data.sessions)) {
+        return ['"sessions" must be an array'];
+    }
+    if (!Array.isArray(data.players)) {
+        return ['"players" must be an array'];
+    }
+
+    const checkNumber = (label, record, key, { min, max, integer } = {}) => {
+        const value = record[key];
+        if (value === undefined || value === null) return;
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors.push(`${label}: ${key} ${JSON.stringify(value)} is not a number`);
+        } else if (integer && !Number.isInteger(value)) {
+            errors.push(`${label}: ${key} ${value} is not a whole number`);
+        } else if (min !== undefined && max === undefined && value < min) {
+            errors.push(`${label}: ${key} ${value} is below ${min}`);
+        } else if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+            errors.push(`${label}: ${key} ${value} is outside ${min}-${max}`);
+        }
+    };
+    const checkTimestamp = (label, record, key) => {
+        const value = record[key];
+        if (value !== undefined && (typeof value !== 'string' || Number.isNaN(Date.parse(value)))) {
+            errors.push(`${label}: ${key} ${JSON.stringify(value)} is not a valid timestamp`);
+        }
+    };
+    const eachRecord = (records, check) => records.forEach((record, i) => {
+        const count = errors.length;
+        check(record, i);
+        if (recordErrors && errors.length > count) {
+            recordErrors.set(record, [...(recordErrors.get(record) || []), ...errors.slice(count)]);
+        }
+    });
+    const playerIds = new Set();
+    eachRecord(data.players, (player, i) => {
+        const label = player && player.name ? `Player "${player.name}"` : `Player #${i + 1}`;
+        if (!player || typeof player !== 'object') {
+            errors.push(`${label}: not an object`);
+            return;
+        }
+        if (typeof player.id !== 'string' || !player.id) {
+            errors.push(`${label}: missing id`);
+        } else if (!RECORD_ID_PATTERN.test(player.id)) {
+            errors.push(`${label}: id ${JSON.stringify(player.id)} may only contain letters, digits, ".", ":", "_" and "-"`);
+        } else if (playerIds.has(player.id)) {
+            errors.push(`${label}: duplicate id "${player.id}"`);
+        } else {
+            playerIds.add(player.id);
+        }
+        if (typeof player.name !== 'string' || !player.name.trim()) {
+            errors.push(`${label}: missing name`);
+        }
+        if (!Array.isArray(player.aliases) || player.aliases.some(alias => typeof alias !== 'string')) {
+            errors.push(`${label}: aliases must be a list of names`);
+        }
+        if (player.color !== undefined && !/^#[0-9a-f]{6}$/i.test(player.color)) {
+            errors.push(`${label}: color ${JSON.stringify(player.color)} is not a hex color`);
+        }
+    });
+
+    const checkPlayerList = (label, record, key) => {
+        const value = record[key];
+        if (value === undefined) return;
+        if (!Array.isArray(value)) {
+            errors.push(`${label}: ${key} must be a list of players, got ${JSON.stringify(value)}`);
+            return;
+        }
+        value.filter(id => !playerIds.has(id)).forEach(id => {
+            errors.push(`${label}: ${key} refers to unknown player ${JSON.stringify(id)}`);
+        });
+    };
+
+    const gameIds = new Set();
+    eachRecord(data.games, (game, i) => {
+        const label = describeGameForValidation(game, i);
+        if (!game || typeof game !== 'object') {
+            errors.push(`${label}: not an object`);
+            return;
+        }
+        if (typeof game.id !== 'string' || !game.id) {
+            errors.push(`${label}: missing id`);
+        } else if (!RECORD_ID_PATTERN.test(game.id)) {
+            errors.push(`${label}: id ${JSON.stringify(game.id)} may only contain letters, digits, ".", ":", "_" and "-"`);
+        } else if (gameIds.has(game.id)) {
+            errors.push(`${label}: duplicate id "${game.id}"`);
+        } else {
+            gameIds.add(game.id);
+        }
+        if (typeof game.title !== 'string' || !game.title.trim()) {
+            errors.push(`${label}: missing title`);
+        }
+        if (!GAME_STATUSES.includes(game.status)) {
+            errors.push(`${label}: status ${JSON.stringify(game.status)} must be one of ${GAME_STATUSES.join(', ')}`);
+        }
+        checkNumber(label, game, 'yearPublished', { integer: true });
+        checkNumber(label, game, 'minPlayers', { min: 1, max: 99, integer: true });
+        checkNumber(label, game, 'maxPlayers', { min: 1, max: 99, integer: true });
+        checkNumber(label, game, 'playTime', { min: 0 });
+        checkNumber(label, game, 'complexity', { min: 1, max: 5 });
+        checkNumber(label, game, 'rating', { min: 1, max: 10 });
+        if (typeof game.minPlayers === 'number' && typeof game.maxPlayers === 'number' && game.minPlayers > game.maxPlayers) {
+            errors.push(`${label}: minPlayers ${game.minPlayers} is greater than maxPlayers ${game.maxPlayers}`);
+        }
+        if (game.categories !== undefined &&
+            (!Array.isArray(game.categories) || game.categories.some(tag => typeof tag !== 'string' || !tag.trim()))) {
+            errors.push(`${label}: categories must be a list of tags`);
+        }
+        if (game.acquisitionDate !== undefined && !isValidDateString(game.acquisitionDate)) {
+            errors.push(`${label}: acquisitionDate ${JSON.stringify(game.acquisitionDate)} is not a valid date`);
+        }
+        checkNumber(label, game, 'purchasePrice', { min: 0 });
+        checkNumber(label, game, 'currentValue', { min: 0 });
+        checkNumber(label, game, 'salePrice', { min: 0 });
+        if (game.saleDate !== undefined && !isValidDateString(game.saleDate)) {
+            errors.push(`${label}: saleDate ${JSON.stringify(game.saleDate)} is not a valid date`);
+        }
+        if (game.currency !== undefined && !/^[A-Z]{3}$/.test(game.currency)) {
+            errors.push(`${label}: currency ${JSON.stringify(game.currency)} is not a three-letter currency code`);
+        }
+        if (game.imageId !== undefined && (typeof game.imageId !== 'string' || !game.imageId)) {
+            errors.push(`${label}: imageId ${JSON.stringify(game.imageId)} is not an image ID`);
+        }
+        if (game.location !== undefined) {
+            const parts = ['room', 'shelf', 'position'];
+            if (!game.location || typeof game.location !== 'object' ||
+                parts.some(key => game.location[key] !== undefined && typeof game.location[key] !== 'string') ||
+                !parts.some(key => game.location[key])) {
+                errors.push(`${label}: location must have a room, shelf or position`);
+            }
+        }
+        if (game.loans !== undefined) {
+            if (!Array.isArray(game.loans)) {
+                errors.push(`${label}: loans must be a list of loans`);
+            } else {
+                game.loans.forEach((loan, j) => {
+                    const loanLabel = `${label}, loan #${j + 1}`;
+                    if (!loan || typeof loan !== 'object') {
+                        errors.push(`${loanLabel}: not an object`);
+                        return;
+                    }
+                    if (typeof loan.id !== 'string' || !RECORD_ID_PATTERN.test(loan.id)) {
+                        errors.push(`${loanLabel}: missing or malformed id`);
+                    }
+                    if (loan.borrowerId !== undefined) {
+                        if (!playerIds.has(loan.borrowerId)) {
+                            errors.push(`${loanLabel}: borrowerId refers to unknown player ${JSON.stringify(loan.borrowerId)}`);
+                        }
+                    } else if (typeof loan.borrowerName !== 'string' || !loan.borrowerName.trim()) {
+                        errors.push(`${loanLabel}: missing borrower`);
+                    }
+                    ['lentDate', 'dueDate', 'returnedDate'].forEach(key => {
+                        if ((key === 'lentDate' || loan[key] !== undefined) && !isValidDateString(loan[key])) {
+                            errors.push(`${loanLabel}: ${key} ${JSON.stringify(loan[key])} is not a valid date`);
+                        }
+                    });
+                    if (isValidDateString(loan.lentDate) && isValidDateString(loan.returnedDate) && loan.returnedDate < loan.lentDate) {
+                        errors.push(`${loanLabel}: returnedDate ${loan.returnedDate} is before lentDate ${loan.lentDate}`);
+                    }
+                });
+                if (game.loans.filter(loan => loan && !loan.returnedDate).length > 1) {
+                    errors.push(`${label}: a game can only be lent to one borrower at a time`);
+                }
+            }
+        }
+        checkTimestamp(label, game, 'deletedAt');
+    });
+
+    const gamesById = new Map(data.games.filter(game => game && typeof game === 'object').map(game => [game.id, game]));
+    eachRecord(data.games, (game, i) => {
+        if (!game || typeof game !== 'object') return;
+        const label = describeGameForValidation(game, i);
+        if (game.baseGameId !== undefined) {
+            const base = gamesById.get(game.baseGameId);
+            if (!base) {
+                errors.push(`${label}: baseGameId ${JSON.stringify(game.baseGameId)} does not match any game`);
+            } else if (base === game) {
+                errors.push(`${label}: a game can't be an expansion of itself`);
+            } else if (base.baseGameId !== undefined) {
+                errors.push(`${label}: base game "${base.title}" is itself an expansion`);
+            }
+        }
+        if (game.expansionType !== undefined && !EXPANSION_TYPES.includes(game.expansionType)) {
+            errors.push(`${label}: expansionType ${JSON.stringify(game.expansionType)} must be one of ${EXPANSION_TYPES.join(', ')}`);
+        }
+    });
+
+    const sessionIds = new Set();
+    eachRecord(data.sessions, (session, i) => {
+        const label = describeSessionForValidation(session, i);
+        if (!session || typeof session !== 'object') {
+            errors.push(`${label}: not an object`);
+            return;
+        }
+        if (typeof session.id !== 'string' || !session.id) {
+            errors.push(`${label}: missing id`);
+        } else if (!RECORD_ID_PATTERN.test(session.id)) {
+            errors.push(`${label}: id ${JSON.stringify(session.id)} may only contain letters, digits, ".", ":", "_" and "-"`);
+        } else if (sessionIds.has(session.id)) {
+            errors.push(`${label}: duplicate id "${session.id}"`);
+        } else {
+            sessionIds.add(session.id);
+        }
+        if (!gameIds.has(session.gameId)) {
+            errors.push(`${label}: gameId ${JSON.stringify(session.gameId)} does not match any game`);
+        }
+        if (!isValidDateString(session.date)) {
+            errors.push(`${label}: date ${JSON.stringify(session.date)} is not a valid date (expected YYYY-MM-DD)`);
+        }
+        checkNumber(label, session, 'duration', { min: 0 });
+        checkTimestamp(label, session, 'deletedAt');
+        checkPlayerList(label, session, 'players');
+        checkPlayerList(label, session, 'winners');
+        if (session.expansionIds !== undefined) {
+            if (!Array.isArray(session.expansionIds)) {
+                errors.push(`${label}: expansionIds must be a list of games, got ${JSON.stringify(session.expansionIds)}`);
+            } else {
+                session.expansionIds
+                    .filter(id => gamesById.get(id)?.baseGameId !== session.gameId)
+                    .forEach(id => errors.push(`${label}: expansionIds refers to ${JSON.stringify(id)}, which is not an expansion of the session's game`));
+            }
+        }
+        if (!SESSION_MODES.includes(session.mode)) {
+            errors.push(`${label}: mode ${JSON.stringify(session.mode)} must be one of ${SESSION_MODES.join(', ')}`);
+        }
+        if (session.outcome !== undefined && !SESSION_OUTCOMES.includes(session.outcome)) {
+            errors.push(`${label}: outcome ${JSON.stringify(session.outcome)} must be one of ${SESSION_OUTCOMES.join(', ')}`);
+        }
+        if (session.results === undefined) return;
+        if (!Array.isArray(session.results)) {
+            errors.push(`${label}: results must be a list, got ${JSON.stringify(session.results)}`);
+            return;
+        }
+        const sessionPlayers = new Set(Array.isArray(session.players) ? session.players : []);
+        session.results.forEach(result => {
+            if (!result || typeof result !== 'object') {
+                errors.push(`${label}: results must only contain objects`);
+                return;
+            }
+            if (!sessionPlayers.has(result.playerId)) {
+                errors.push(`${label}: result for ${JSON.stringify(result.playerId)} is not for a player in the session`);
+            }
+            checkNumber(label, result, 'score');
+            checkNumber(label, result, 'position', { min: 1, max: 99, integer: true });
+            if (result.team !== undefined && typeof result.team !== 'string') {
+                errors.push(`${label}: team ${JSON.stringify(result.team)} is not text`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Render validation errors as an HTML list
+ * @param {string[]} errors - Error messages
+ * @param {number} [limit=50] - Maximum number of messages to show
+ * @returns {string} HTML string
+ */
+function renderValidationErrors(errors, limit = 50) {
+    const shown = errors.slice(0, limit);
+    return `
+        <ul class="import-error-list">
+            ${shown.map(error => `<li>${escapeHtml(error)}</li>`).join('')}
+            ${errors.length > shown.length ? `<li>…and ${errors.length - shown.length} more</li>` : ''}
+        </ul>
+    `;
+}
+
+// Problems found in stored data on startup
+let storedDataIssues = [];
+
+/**
+ * Describe why stored data could not be loaded
+ * @returns {string} Message for the user
+ */
+function describeStoredDataError() {
+    return `Your saved data could not be loaded: ${storedDataError}. The app is read-only until it loads, so nothing has been changed or deleted. Reload the page to get the latest version of the app.`;
+}
+
+/**
+ * Stop an action that would change data while stored data failed to load
+ * @returns {boolean} True when the action should not go ahead
+ */
+function blockedByReadOnly() {
+    if (!storedDataError) return false;
+    alert(describeStoredDataError());
+    return true;
+}
+
+/**
+ * Disable the controls that add, edit or import data, for when stored data
+ * failed to load
+ */
+function disableEditing() {
+    ['addGameBtn', 'quickPlayBtn', 'addPlayerBtn', 'lendGameBtn', 'importDataInput', 'importCsvBtn',
+        'importBggCollectionInput', 'importBggPlaysInput', 'syncNowBtn', 'emptyTrashBtn']
+        .forEach(id => {
+            const control = document.getElementById(id);
+            if (control) control.disabled = true;
+        });
+    document.querySelectorAll('#syncForm input, #syncForm button, .modal form button[type="submit"]')
+        .forEach(control => { control.disabled = true; });
+}
+
+/**
+ * Show problems found in stored data in the Settings panel
+ */
+function renderStoredDataIssues() {
+    const container = document.getElementById('dataIssues');
+    if (!container) return;
+
+    if (storedDataError) {
+        container.innerHTML = `<p class="import-error">⚠️ ${escapeHtml(describeStoredDataError())}</p>`;
+        return;
     }
+    container.innerHTML = storedDataIssues.length > 0
+        ? `
+            <p class="import-error">⚠️ ${storedDataIssues.length} problem${storedDataIssues.length === 1 ? '' : 's'} found in your saved data. Nothing has been removed; fix these records or export a backup.</p>
+            ${renderValidationErrors(storedDataIssues)}
+        `
+        : '';
 }
 
 /**
@@ -109,26 +951,83 @@ function migrateGameData(game) {
 }
 
 /**
- * Save games to localStorage
+ * Report a failed write to the user
+ * @param {Error} error - Storage error
+ */
+function handleStorageError(error) {
+    console.error('Error saving data:', error);
+    alert('Error saving data. Your browser storage might be full.');
+}
+
+/**
+ * Write records to a store. Only the given records are written to IndexedDB;
+ * the localStorage fallback rewrites the whole store.
+ * @param {string} storeName - Store name
+ * @param {Object[]} records - Records to add or replace
+ * @param {{sync: boolean}} [options] - Pass sync: false for changes that came from the sync server
+ * @returns {Promise<void>}
+ */
+async function persistRecords(storeName, records, { sync = true } = {}) {
+    if (storedDataError) return;
+    if (sync) queueSyncChanges(storeName, records);
+    try {
+        if (!db) {
+            writeLocalStorageStore(storeName);
+            return;
+        }
+        const tx = db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        records.forEach(record => store.put(record));
+        await transactionDone(tx);
+    } catch (error) {
+        handleStorageError(error);
+    }
+}
+
+/**
+ * Remove records from a store by ID
+ * @param {string} storeName - Store name
+ * @param {string[]} ids - IDs of records to remove
+ * @param {{sync: boolean}} [options] - Pass sync: false for deletes that came from the sync server
+ * @returns {Promise<void>}
  */
-function saveGames() {
+async function removeRecords(storeName, ids, { sync = true } = {}) {
+    if (storedDataError) return;
+    if (sync) queueSyncChanges(storeName, [], ids);
     try {
-        localStorage.setItem('boardGameTracker_games', JSON.stringify(games));
+        if (!db) {
+            writeLocalStorageStore(storeName);
+            return;
+        }
+        const tx = db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        ids.forEach(id => store.delete(id));
+        await transactionDone(tx);
     } catch (error) {
-        console.error('Error saving games:', error);
-        alert('Error saving data. Your browser storage might be full.');
+        handleStorageError(error);
     }
 }
 
 /**
- * Save sessions to localStorage
+ * Replace the entire contents of a store
+ * @param {string} storeName - Store name
+ * @param {Object[]} records - New contents
+ * @returns {Promise<void>}
  */
-function saveSessions() {
+async function replaceStore(storeName, records) {
+    if (storedDataError) return;
     try {
-        localStorage.setItem('boardGameTracker_sessions', JSON.stringify(sessions));
+        if (!db) {
+            writeLocalStorageStore(storeName);
+            return;
+        }
+        const tx = db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        store.clear();
+        records.forEach(record => store.put(record));
+        await transactionDone(tx);
     } catch (error) {
-        console.error('Error saving sessions:', error);
-        alert('Error saving data. Your browser storage might be full.');
+        handleStorageError(error);
     }
 }
 
@@ -139,10 +1038,38 @@ function saveTheme() {
     localStorage.setItem('boardGameTracker_theme', currentTheme);
 }
 
+/**
+ * Describe where data is stored, for the Settings panel
+ */
+async function renderStorageInfo() {
+    const container = document.getElementById('storageInfo');
+    if (!container) return;
+
+    let text = db
+        ? 'Storage: IndexedDB'
+        : 'Storage: localStorage (IndexedDB is unavailable in this browser)';
+
+    if (navigator.storage && navigator.storage.estimate) {
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            if (quota) {
+                text += ` · ${(usage / 1048576).toFixed(1)} MB used of ${(quota / 1048576).toFixed(0)} MB available`;
+            }
+        } catch (error) {
+            // Estimates are informational only
+        }
+    }
+    container.textContent = text;
+}
+
 // ============================================
 // Utility Functions
 // ============================================
 
+// Record IDs end up inside inline event handlers, so they are kept to characters
+// that need no escaping there
+const RECORD_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
 /**
  * Generate a unique ID
  * @returns {string} Unique identifier
@@ -189,8 +1116,224 @@ function formatDuration(minutes) {
 }
 
 /**
- * Convert rating to star display
- * @param {number} rating - Rating value (1-10)
+ * Split a comma- or semicolon-separated string into tags, dropping duplicates
+ * that differ only in case or spacing
+ * @param {string} text - Tag text
+ * @returns {string[]} Tags in their first spelling
+ */
+function splitTags(text) {
+    const tags = [];
+    (text || '').split(/[,;]/).forEach(part => {
+        const tag = part.trim().replace(/\s+/g, ' ');
+        if (tag && !tags.some(t => normalizeTitle(t) === normalizeTitle(tag))) {
+            tags.push(tag);
+        }
+    });
+    return tags;
+}
+
+/**
+ * Count whole days from a date until today
+ * @param {string} dateString - Date in YYYY-MM-DD form
+ * @returns {number} Days since the date, 0 for today or later
+ */
+function getDaysSince(dateString) {
+    const then = new Date(`${dateString}T00:00:00`);
+    const today = new Date(`${todayString()}T00:00:00`);
+    return Math.max(0, Math.round((today - then) / 86400000));
+}
+
+/**
+ * Format a number of days as a rough span of time
+ * @param {number} days - Number of days
+ * @returns {string} E.g. "3 weeks" or "2 months"
+ */
+function formatDayCount(days) {
+    const [count, unit] = days < 14 ? [days, 'day']
+        : days < 60 ? [Math.round(days / 7), 'week']
+            : days < 730 ? [Math.round(days / 30), 'month']
+                : [Math.round(days / 365), 'year'];
+    return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Normalize a title or player name for duplicate matching
+ * @param {string} title - Title or name to normalize
+ * @returns {string} Lowercased title with collapsed whitespace
+ */
+function normalizeTitle(title) {
+    return (title || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD form
+ * @param {string} value - Date string
+ * @returns {boolean} Whether the date is valid
+ */
+function isValidDateString(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Parse a value as a positive number
+ * @param {*} value - Raw value
+ * @returns {number|undefined} Number, or undefined when missing, zero or invalid
+ */
+function toPositiveNumber(value) {
+    const number = parseFloat(value);
+    return number > 0 ? number : undefined;
+}
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of fields
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text into objects keyed by the lowercased header row
+ * @param {string} text - CSV text with a header row
+ * @returns {Object[]} One object per data row
+ */
+function parseCsvObjects(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    const keys = header.map(h => h.trim().toLowerCase());
+    return rows.map(row => {
+        const record = {};
+        keys.forEach((key, i) => {
+            record[key] = (row[i] || '').trim();
+        });
+        return record;
+    });
+}
+
+/**
+ * Serialize rows of fields to CSV text
+ * @param {Array<Array<*>>} rows - Rows of fields, header row first
+ * @returns {string} CSV text
+ */
+function toCsv(rows) {
+    return rows.map(row => row.map(value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Get today's date as YYYY-MM-DD
+ * @returns {string} Date string
+ */
+function todayString() {
+    return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Offer text content as a file download
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Escape text for use in XML attributes and content
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    if (value === undefined || value === null) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Read a file as text
+ * @param {File} file - File to read
+ * @returns {Promise<string>} File contents
+ */
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Parse an XML document, throwing on malformed input
+ * @param {string} text - XML text
+ * @returns {Document} Parsed document
+ */
+function parseXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.querySelector('parsererror')) {
+        throw new Error('File is not valid XML');
+    }
+    return doc;
+}
+
+/**
+ * Convert rating to star display
+ * @param {number} rating - Rating value (1-10)
  * @returns {string} Stars HTML
  */
 function ratingToStars(rating) {
@@ -263,9 +1406,18 @@ function switchTab(tabName) {
         case 'sessions':
             renderSessions();
             break;
+        case 'players':
+            renderPlayers();
+            break;
         case 'statistics':
             renderStatistics();
             break;
+        case 'settings':
+            renderStorageInfo();
+            renderStoredDataIssues();
+            renderSyncSettings();
+            renderTrash();
+            break;
     }
 }
 
@@ -278,37 +1430,112 @@ function switchTab(tabName) {
  * @param {Game} gameData - Game data to save
  */
 function saveGame(gameData) {
+    const oldBaseGameId = gameData.id && getGameById(gameData.id)?.baseGameId;
+    const before = snapshotData({
+        games: [gameData.id],
+        sessions: findRecordIds('sessions', s => oldBaseGameId && s.gameId === oldBaseGameId)
+    });
+    let savedGame;
+    let changedSessions = [];
     if (gameData.id) {
         // Update existing game
         const index = games.findIndex(g => g.id === gameData.id);
         if (index !== -1) {
-            games[index] = { ...games[index], ...gameData };
+            const oldBaseGameId = games[index].baseGameId;
+            games[index] = { ...games[index], ...gameData, updatedAt: new Date().toISOString() };
+            savedGame = games[index];
+            if (oldBaseGameId && oldBaseGameId !== savedGame.baseGameId) {
+                changedSessions = removeExpansionFromSessions(savedGame.id, oldBaseGameId);
+            }
         }
     } else {
         // Add new game
-        const newGame = {
+        savedGame = {
             ...gameData,
             id: generateId(),
             createdAt: new Date().toISOString()
         };
-        games.push(newGame);
+        games.push(savedGame);
+    }
+    if (savedGame) {
+        persistRecords('games', [savedGame]);
+        if (changedSessions.length > 0) persistRecords('sessions', changedSessions);
+        recordHistory(`${gameData.id ? 'Edited' : 'Added'} "${savedGame.title}"`, before);
     }
-    saveGames();
     renderGames();
+    if (changedSessions.length > 0) renderSessions();
+}
+
+/**
+ * Stop sessions of a base game from listing an expansion that no longer belongs
+ * to it. Trashed sessions are updated too, so restoring them later still works.
+ * @param {string} expansionId - Expansion or promo that was moved
+ * @param {string} baseGameId - Base game it used to belong to
+ * @returns {PlaySession[]} Changed sessions, to be persisted
+ */
+function removeExpansionFromSessions(expansionId, baseGameId) {
+    const changedSessions = [];
+    const updatedAt = new Date().toISOString();
+    const removeExpansion = (session) => {
+        if (session.gameId !== baseGameId || !(session.expansionIds || []).includes(expansionId)) return session;
+        const expansionIds = session.expansionIds.filter(id => id !== expansionId);
+        const updated = { ...session, expansionIds: expansionIds.length > 0 ? expansionIds : undefined, updatedAt };
+        changedSessions.push(updated);
+        return updated;
+    };
+    sessions = sessions.map(removeExpansion);
+    trash.sessions = trash.sessions.map(removeExpansion);
+    return changedSessions;
 }
 
 /**
- * Delete a game and its associated sessions
+ * Move a game and its sessions to the trash. Expansions and sessions keep
+ * referring to it until the trash is purged.
  * @param {string} gameId - ID of game to delete
  */
 function deleteGame(gameId) {
+    const game = getGameById(gameId);
+    if (!game) return;
+    const before = snapshotData({ games: [gameId], sessions: findRecordIds('sessions', s => s.gameId === gameId) });
+    const deletedAt = new Date().toISOString();
+    const trashedGame = { ...game, deletedAt, updatedAt: deletedAt };
+    const trashedSessions = sessions
+        .filter(s => s.gameId === gameId)
+        .map(s => ({ ...s, deletedAt, deletedWith: gameId, updatedAt: deletedAt }));
+
     games = games.filter(g => g.id !== gameId);
     sessions = sessions.filter(s => s.gameId !== gameId);
-    saveGames();
-    saveSessions();
+    trash.games.push(trashedGame);
+    trash.sessions.push(...trashedSessions);
+
+    persistRecords('games', [trashedGame]);
+    if (trashedSessions.length > 0) persistRecords('sessions', trashedSessions);
+    const count = trashedSessions.length;
+    recordHistory(`Moved "${game.title}"${count > 0 ? ` and ${count} session${count === 1 ? '' : 's'}` : ''} to the trash`, before);
     renderGames();
 }
 
+/**
+ * Get the expansions and promos of a base game
+ * @param {string} gameId - Base game ID
+ * @returns {Game[]} Expansions sorted by title
+ */
+function getExpansions(gameId) {
+    return games.filter(g => g.baseGameId === gameId)
+        .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+}
+
+/**
+ * Count a base game's plays with and without an expansion
+ * @param {Game} expansion - Expansion or promo
+ * @returns {{with: number, without: number}} Play counts
+ */
+function getExpansionUsage(expansion) {
+    const baseSessions = sessions.filter(s => s.gameId === expansion.baseGameId);
+    const used = baseSessions.filter(s => (s.expansionIds || []).includes(expansion.id)).length;
+    return { with: used, without: baseSessions.length - used };
+}
+
 /**
  * Get a game by ID
  * @param {string} gameId - Game ID
@@ -347,787 +1574,7463 @@ function getLastPlayedDate(gameId) {
     return gameSessions.length > 0 ? gameSessions[0].date : null;
 }
 
+/**
+ * Count the plays and find the last play of every game in one pass, for
+ * lists that need them for many games
+ * @returns {Map<string, {count: number, lastPlayed: string}>} Play stats by game ID; games never played are missing
+ */
+function getPlayStats() {
+    const stats = new Map();
+    sessions.forEach(session => {
+        const entry = stats.get(session.gameId);
+        if (!entry) {
+            stats.set(session.gameId, { count: 1, lastPlayed: session.date });
+            return;
+        }
+        entry.count++;
+        if (new Date(session.date) > new Date(entry.lastPlayed)) entry.lastPlayed = session.date;
+    });
+    return stats;
+}
+
 // ============================================
 // Session Management
 // ============================================
 
+/**
+ * Fill in a session's mode and keep its results in line with its players
+ * @param {PlaySession} session - Session to normalize
+ * @returns {PlaySession} Session with one result per player
+ */
+function normalizeSessionResults(session) {
+    const playerIds = session.players || [];
+    const results = session.results || [];
+    const mode = SESSION_MODES.includes(session.mode) ? session.mode : 'competitive';
+    const normalized = {
+        ...session,
+        mode,
+        results: playerIds.map(playerId => {
+            const result = { ...(results.find(r => r.playerId === playerId) || { playerId }) };
+            if (mode !== 'team') delete result.team;
+            return result;
+        })
+    };
+    if (mode !== 'cooperative') {
+        delete normalized.outcome;
+    }
+    return normalized;
+}
+
+/**
+ * Work out who won a session from its results. Cooperative sessions are won or
+ * lost by everyone; otherwise the best placement wins, falling back to the
+ * highest score. Teams are ranked by their best placement or their total score.
+ * @param {PlaySession} session - Session with mode and results
+ * @returns {string[]} IDs of the winning players, empty when it can't be told
+ */
+function deriveWinners(session) {
+    const results = session.results || [];
+    if (session.mode === 'cooperative') {
+        return session.outcome === 'win' ? results.map(r => r.playerId) : [];
+    }
+
+    // Pick the entries with the lowest position, or else the highest score
+    const best = (entries) => {
+        const placed = entries.filter(e => typeof e.position === 'number');
+        if (placed.length > 0) {
+            const top = Math.min(...placed.map(e => e.position));
+            return placed.filter(e => e.position === top);
+        }
+        const scored = entries.filter(e => typeof e.score === 'number');
+        if (scored.length > 0) {
+            const top = Math.max(...scored.map(e => e.score));
+            return scored.filter(e => e.score === top);
+        }
+        return [];
+    };
+
+    if (session.mode === 'team') {
+        const teams = groupResultsByTeam(results).filter(team => team.name);
+        const winningTeams = best(teams.map(team => ({
+            name: team.name,
+            position: team.position,
+            score: team.score
+        }))).map(team => team.name);
+        return results.filter(r => winningTeams.includes(r.team)).map(r => r.playerId);
+    }
+    return best(results).map(r => r.playerId);
+}
+
+/**
+ * Group results by team, with each team's best placement and total score
+ * @param {PlayerResult[]} results - Session results
+ * @returns {Array<{name: string, results: PlayerResult[], position: number|undefined, score: number|undefined}>} Teams in order of first appearance
+ */
+function groupResultsByTeam(results) {
+    const teams = [];
+    results.forEach(result => {
+        const name = result.team || '';
+        let team = teams.find(t => t.name === name);
+        if (!team) {
+            team = { name, results: [] };
+            teams.push(team);
+        }
+        team.results.push(result);
+    });
+    teams.forEach(team => {
+        const positions = team.results.map(r => r.position).filter(p => typeof p === 'number');
+        const scores = team.results.map(r => r.score).filter(s => typeof s === 'number');
+        team.position = positions.length > 0 ? Math.min(...positions) : undefined;
+        team.score = scores.length > 0 ? scores.reduce((sum, s) => sum + s, 0) : undefined;
+    });
+    return teams;
+}
+
 /**
  * Add or update a play session
  * @param {PlaySession} sessionData - Session data to save
  */
 function saveSession(sessionData) {
+    const before = snapshotData({ sessions: [sessionData.id] });
+    let savedSession;
     if (sessionData.id) {
         // Update existing session
         const index = sessions.findIndex(s => s.id === sessionData.id);
         if (index !== -1) {
-            sessions[index] = { ...sessions[index], ...sessionData };
+            sessions[index] = normalizeSessionResults({
+                ...sessions[index],
+                ...sessionData,
+                updatedAt: new Date().toISOString()
+            });
+            savedSession = sessions[index];
         }
     } else {
         // Add new session
-        const newSession = {
+        savedSession = normalizeSessionResults({
             ...sessionData,
             id: generateId(),
             createdAt: new Date().toISOString()
-        };
-        sessions.push(newSession);
+        });
+        sessions.push(savedSession);
+    }
+    if (savedSession) {
+        persistRecords('sessions', [savedSession]);
+        const title = getGameById(savedSession.gameId)?.title;
+        recordHistory(`${sessionData.id ? 'Edited' : 'Logged'} a session of "${title}"`, before);
     }
-    saveSessions();
     renderSessions();
     renderGames();
 }
 
 /**
- * Delete a play session
+ * Move a play session to the trash
  * @param {string} sessionId - ID of session to delete
  */
 function deleteSession(sessionId) {
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) return;
+    const before = snapshotData({ sessions: [sessionId] });
+    const deletedAt = new Date().toISOString();
+    const trashedSession = { ...session, deletedAt, updatedAt: deletedAt };
     sessions = sessions.filter(s => s.id !== sessionId);
-    saveSessions();
+    trash.sessions.push(trashedSession);
+    persistRecords('sessions', [trashedSession]);
+    recordHistory(`Moved a session of "${getGameById(session.gameId)?.title}" to the trash`, before);
     renderSessions();
     renderGames();
 }
 
 // ============================================
-// Rendering Functions
+// Player Management
 // ============================================
 
 /**
- * Render the games list with current filters and sorting
+ * Get a player by ID
+ * @param {string} playerId - Player ID
+ * @returns {Player|undefined} Player object or undefined
  */
-function renderGames() {
-    const gamesList = document.getElementById('gamesList');
-    if (!gamesList) return;
-
-    // Get filter and sort values
-    const searchTerm = document.getElementById('searchGames')?.value.toLowerCase() || '';
-    const statusFilter = document.getElementById('filterStatus')?.value || 'all';
-    const sortBy = document.getElementById('sortGames')?.value || 'title';
+function getPlayerById(playerId) {
+    return players.find(p => p.id === playerId);
+}
 
-    // Filter games
-    let filteredGames = games.filter(game => {
-        // Search filter
-        const matchesSearch = !searchTerm || 
-            (game.title || '').toLowerCase().includes(searchTerm) ||
-            (game.designer || '').toLowerCase().includes(searchTerm) ||
-            (game.publisher || '').toLowerCase().includes(searchTerm) ||
-            (game.categories || '').toLowerCase().includes(searchTerm);
+/**
+ * Get a player's display name
+ * @param {string} playerId - Player ID
+ * @returns {string} Display name
+ */
+function getPlayerName(playerId) {
+    const player = getPlayerById(playerId);
+    return player ? player.name : 'Unknown Player';
+}
 
-        // Status filter
-        const matchesStatus = statusFilter === 'all' || game.status === statusFilter;
+/**
+ * Find a player by name or alias, ignoring case and extra whitespace
+ * @param {string} name - Name to look up
+ * @returns {Player|undefined} Matching player
+ */
+function findPlayerByName(name) {
+    const key = normalizeTitle(name);
+    if (!key) return undefined;
+    return players.find(p => normalizeTitle(p.name) === key) ||
+        players.find(p => (p.aliases || []).some(alias => normalizeTitle(alias) === key));
+}
 
-        return matchesSearch && matchesStatus;
+/**
+ * Resolve player names to IDs, adding unknown names to the roster
+ * @param {string[]} names - Player names
+ * @param {Player[]} created - Receives any players that had to be created
+ * @returns {string[]} Player IDs, without duplicates
+ */
+function resolvePlayerIds(names, created) {
+    const ids = names.map(name => {
+        const existing = findPlayerByName(name);
+        if (existing) return existing.id;
+        const player = {
+            id: generateId(),
+            name: name.trim().replace(/\s+/g, ' '),
+            aliases: [],
+            createdAt: new Date().toISOString()
+        };
+        players.push(player);
+        created.push(player);
+        return player.id;
     });
+    return [...new Set(ids)];
+}
 
-    // Sort games
-    filteredGames.sort((a, b) => {
-        switch (sortBy) {
-            case 'title':
-                return (a.title || '').localeCompare(b.title || '');
-            case 'rating':
-                return (b.rating || 0) - (a.rating || 0);
-            case 'playTime':
-                return (a.playTime || 0) - (b.playTime || 0);
-            case 'plays':
-                return getPlayCount(b.id) - getPlayCount(a.id);
-            case 'lastPlayed':
-                const dateA = getLastPlayedDate(a.id) || '1900-01-01';
-                const dateB = getLastPlayedDate(b.id) || '1900-01-01';
-                return new Date(dateB) - new Date(dateA);
-            default:
-                return 0;
+/**
+ * Count the sessions a player took part in
+ * @param {string} playerId - Player ID
+ * @returns {number} Number of sessions
+ */
+function getPlayerSessionCount(playerId) {
+    return sessions.filter(s => (s.players || []).includes(playerId) || (s.winners || []).includes(playerId)).length;
+}
+
+/**
+ * Add or update a player. Names and aliases have to be unique across players,
+ * or findPlayerByName couldn't tell which one a name means.
+ * @param {Player} playerData - Player data to save
+ * @returns {boolean} True if the player was saved
+ */
+function savePlayer(playerData) {
+    const names = new Set([playerData.name, ...(playerData.aliases || [])].map(normalizeTitle));
+    for (const other of players) {
+        if (other.id === playerData.id) continue;
+        const shared = [other.name, ...(other.aliases || [])].find(name => names.has(normalizeTitle(name)));
+        if (shared) {
+            alert(`"${other.name}" already uses the name "${shared}". Merge the players instead.`);
+            return false;
         }
-    });
+    }
 
-    // Render
-    if (filteredGames.length === 0) {
-        if (games.length === 0) {
-            gamesList.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon">🎲</div>
-                    <p>No games in your collection yet. Add your first game!</p>
-                </div>
-            `;
-        } else {
-            gamesList.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon">🔍</div>
-                    <p>No games match your search or filter criteria.</p>
-                </div>
-            `;
+    const before = snapshotData({ players: [playerData.id] });
+    let savedPlayer;
+    if (playerData.id) {
+        const index = players.findIndex(p => p.id === playerData.id);
+        if (index !== -1) {
+            players[index] = { ...players[index], ...playerData, updatedAt: new Date().toISOString() };
+            savedPlayer = players[index];
         }
-        return;
+    } else {
+        savedPlayer = {
+            ...playerData,
+            id: generateId(),
+            createdAt: new Date().toISOString()
+        };
+        players.push(savedPlayer);
+    }
+    if (savedPlayer) {
+        persistRecords('players', [savedPlayer]);
+        recordHistory(`${playerData.id ? 'Edited' : 'Added'} player "${savedPlayer.name}"`, before);
     }
+    renderPlayers();
+    renderSessions();
+    return true;
+}
 
-    gamesList.innerHTML = filteredGames.map(game => renderGameCard(game)).join('');
+/**
+ * Delete a player who isn't recorded in any session
+ * @param {string} playerId - ID of player to delete
+ */
+function deletePlayer(playerId) {
+    const before = snapshotData({ players: [playerId], games: findLoanGameIds(playerId) });
+    const name = getPlayerName(playerId);
+    players = players.filter(p => p.id !== playerId);
+    // Loans to the player keep their name
+    persistRecords('games', reassignLoans(playerId, { borrowerName: name }));
+    removeRecords('players', [playerId]);
+    recordHistory(`Deleted player "${name}"`, before);
+    renderPlayers();
+    renderGames();
 }
 
 /**
- * Render a single game card
- * @param {Game} game - Game to render
+ * Merge one player into another. Sessions are updated to the target player and
+ * the source player's name and aliases become aliases of the target.
+ * @param {string} sourceId - Player to merge away
+ * @param {string} targetId - Player to keep
+ */
+function mergePlayers(sourceId, targetId) {
+    const source = getPlayerById(sourceId);
+    const target = getPlayerById(targetId);
+    if (!source || !target || sourceId === targetId) return;
+    const before = snapshotData({
+        players: [sourceId, targetId],
+        sessions: findRecordIds('sessions', s => (s.players || []).includes(sourceId) || (s.winners || []).includes(sourceId)),
+        games: findLoanGameIds(sourceId)
+    });
+
+    const replaceId = (ids) => ids
+        ? [...new Set(ids.map(id => id === sourceId ? targetId : id))]
+        : ids;
+    const changedSessions = [];
+    const remapSession = (session) => {
+        if (!(session.players || []).includes(sourceId) && !(session.winners || []).includes(sourceId)) {
+            return session;
+        }
+        // If both players took part, the target keeps their own result
+        const results = (session.results || [])
+            .filter(r => !(r.playerId === sourceId && (session.players || []).includes(targetId)))
+            .map(r => r.playerId === sourceId ? { ...r, playerId: targetId } : r);
+        const updated = normalizeSessionResults({
+            ...session,
+            players: replaceId(session.players),
+            winners: replaceId(session.winners),
+            results,
+            updatedAt: new Date().toISOString()
+        });
+        changedSessions.push(updated);
+        return updated;
+    };
+    // Trashed sessions are remapped too, so restoring them later still works
+    sessions = sessions.map(remapSession);
+    trash.sessions = trash.sessions.map(remapSession);
+
+    const targetKey = normalizeTitle(target.name);
+    const aliases = [...(target.aliases || []), source.name, ...(source.aliases || [])]
+        .filter((alias, i, all) =>
+            normalizeTitle(alias) !== targetKey &&
+            all.findIndex(a => normalizeTitle(a) === normalizeTitle(alias)) === i
+        );
+    const index = players.indexOf(target);
+    players[index] = { ...target, aliases, updatedAt: new Date().toISOString() };
+    players = players.filter(p => p.id !== sourceId);
+
+    persistRecords('sessions', changedSessions);
+    persistRecords('games', reassignLoans(sourceId, { borrowerId: targetId }));
+    persistRecords('players', [players.find(p => p.id === targetId)]);
+    removeRecords('players', [sourceId]);
+    recordHistory(`Merged "${source.name}" into "${target.name}"`, before);
+    renderPlayers();
+    renderSessions();
+    renderGames();
+}
+
+/**
+ * Render a player's colored badge
+ * @param {Player} player - Player to render
  * @returns {string} HTML string
  */
-function renderGameCard(game) {
-    const playCount = getPlayCount(game.id);
-    const lastPlayed = getLastPlayedDate(game.id);
-    const statusClass = `status-${game.status}`;
-    const statusLabel = {
-        'owned': 'Owned',
-        'wishlist': 'Wishlist',
-        'previously-owned': 'Prev. Owned'
-    }[game.status] || 'Owned';
+function renderPlayerBadge(player) {
+    const label = player.avatar || (player.name || '?').charAt(0).toUpperCase();
+    const color = player.color || '#8b7355';
+    return `<span class="player-badge" style="background: ${escapeHtml(color)}" aria-hidden="true">${escapeHtml(label)}</span>`;
+}
 
-    const imageHtml = game.imageUrl
-        ? `<img src="${escapeHtml(game.imageUrl)}" alt="${escapeHtml(game.title)} box art" class="game-card-image" loading="lazy" data-fallback="true">`
-        : '<div class="game-card-placeholder">🎲</div>';
+/**
+ * Render a list of player names
+ * @param {string[]} playerIds - Player IDs
+ * @returns {string} Escaped, comma-separated names
+ */
+function renderPlayerNames(playerIds) {
+    return playerIds.map(id => escapeHtml(getPlayerName(id))).join(', ');
+}
 
-    const metaItems = [];
-    if (game.minPlayers || game.maxPlayers) {
-        const players = game.minPlayers === game.maxPlayers 
-            ? `${game.minPlayers}` 
-            : `${game.minPlayers || '?'}-${game.maxPlayers || '?'}`;
-        metaItems.push(`<span>👥 ${players}</span>`);
-    }
-    if (game.playTime) {
-        metaItems.push(`<span>⏱️ ${formatDuration(game.playTime)}</span>`);
-    }
-    if (game.complexity) {
-        metaItems.push(`<span>⚖️ ${game.complexity}/5</span>`);
-    }
-    if (game.yearPublished) {
-        metaItems.push(`<span>📅 ${game.yearPublished}</span>`);
-    }
+/**
+ * Render the player roster
+ */
+function renderPlayers() {
+    const container = document.getElementById('playersList');
+    if (!container) return;
 
-    const ratingHtml = game.rating 
-        ? `<div class="game-card-rating">
-            <span class="rating-stars">${ratingToStars(game.rating)}</span>
-            <span class="rating-value">${game.rating}/10</span>
-           </div>`
-        : '';
+    if (players.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">👥</div>
+                <p>No players yet. Players are added when you log a session, or you can add them here.</p>
+            </div>
+        `;
+        return;
+    }
 
-    return `
-        <article class="game-card">
-            ${imageHtml}
-            <div class="game-card-content">
-                <div class="game-card-header">
-                    <h3 class="game-card-title">${escapeHtml(game.title)}</h3>
-                    <span class="game-card-status ${statusClass}">${statusLabel}</span>
-                </div>
-                ${metaItems.length > 0 ? `<div class="game-card-meta">${metaItems.join('')}</div>` : ''}
-                ${ratingHtml}
-                <div class="game-card-stats">
-                    <div class="game-stat">
-                        <span class="game-stat-label">Plays</span>
-                        <span class="game-stat-value">${playCount}</span>
-                    </div>
-                    <div class="game-stat">
-                        <span class="game-stat-label">Last Played</span>
-                        <span class="game-stat-value">${lastPlayed ? formatDate(lastPlayed) : 'Never'}</span>
+    const sortedPlayers = [...players].sort((a, b) => a.name.localeCompare(b.name));
+    container.innerHTML = `
+        <div class="player-list">
+            ${sortedPlayers.map(player => {
+                const count = getPlayerSessionCount(player.id);
+                return `
+                    <div class="player-row">
+                        ${renderPlayerBadge(player)}
+                        <div class="player-row-info">
+                            <div class="player-row-name">${escapeHtml(player.name)}</div>
+                            ${player.aliases && player.aliases.length > 0
+                                ? `<div class="player-row-aliases">also: ${player.aliases.map(escapeHtml).join(', ')}</div>`
+                                : ''}
+                        </div>
+                        <span class="player-row-count">${count} play${count === 1 ? '' : 's'}</span>
+                        <button class="btn btn-ghost btn-small" onclick="showPlayerDetails('${player.id}')" title="Player statistics">
+                            📊 Stats
+                        </button>
+                        <button class="btn btn-ghost btn-small" onclick="openEditPlayerModal('${player.id}')" title="Edit player">
+                            ✏️ Edit
+                        </button>
                     </div>
-                </div>
-                <div class="game-card-actions">
-                    <button class="btn btn-secondary btn-small" onclick="openPlaySessionModal('${game.id}')" title="Log a play">
-                        ▶️ Log Play
-                    </button>
-                    <button class="btn btn-info btn-small" onclick="showGameDetails('${game.id}')" title="View details">
-                        📋 Details
-                    </button>
-                    <button class="btn btn-ghost btn-small" onclick="openEditGameModal('${game.id}')" title="Edit game">
-                        ✏️
-                    </button>
-                </div>
-            </div>
-        </article>
+                `;
+            }).join('')}
+        </div>
     `;
 }
 
 /**
- * Render recent play sessions
+ * Update the player name suggestions used by the session modal
  */
-function renderSessions() {
-    const recentSessionsDiv = document.getElementById('recentSessions');
-    if (!recentSessionsDiv) return;
+function updatePlayerOptions() {
+    const datalist = document.getElementById('playerNameOptions');
+    if (!datalist) return;
+
+    datalist.innerHTML = [...players]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(player => `<option value="${escapeHtml(player.name)}"></option>`)
+        .join('');
+}
 
-    // Sort sessions by date, newest first
-    const sortedSessions = [...sessions].sort((a, b) => 
-        new Date(b.date) - new Date(a.date)
-    );
+// ============================================
+// Game Lending
+// ============================================
 
-    if (sortedSessions.length === 0) {
-        recentSessionsDiv.innerHTML = `
-            <div class="empty-state">
-                <div class="empty-state-icon">🎮</div>
-                <p>No play sessions logged yet. Start by logging your first play!</p>
-            </div>
-        `;
+/**
+ * Get the loan a game is currently out on
+ * @param {Game} game - Game
+ * @returns {Loan|undefined} Outstanding loan, if the game is lent out
+ */
+function getActiveLoan(game) {
+    return (game.loans || []).find(loan => !loan.returnedDate);
+}
+
+/**
+ * Check whether an outstanding loan is past its expected return date
+ * @param {Loan} loan - Loan
+ * @returns {boolean} True if the game should have been back already
+ */
+function isLoanOverdue(loan) {
+    return !loan.returnedDate && Boolean(loan.dueDate) && loan.dueDate < todayString();
+}
+
+/**
+ * Get the name of a loan's borrower
+ * @param {Loan} loan - Loan
+ * @returns {string} Borrower name
+ */
+function getBorrowerName(loan) {
+    return loan.borrowerId ? getPlayerName(loan.borrowerId) : loan.borrowerName || 'Unknown';
+}
+
+/**
+ * Describe a loan's dates, e.g. "Mar 1, 2024 → Mar 9, 2024" or "since Mar 1, 2024, due Mar 15, 2024"
+ * @param {Loan} loan - Loan
+ * @returns {string} Plain text
+ */
+function describeLoanDates(loan) {
+    if (loan.returnedDate) return `${formatDate(loan.lentDate)} → ${formatDate(loan.returnedDate)}`;
+    const due = loan.dueDate ? `, due ${formatDate(loan.dueDate)}` : '';
+    return `since ${formatDate(loan.lentDate)}${due}`;
+}
+
+/**
+ * Point every loan to a player at a different borrower, including loans on
+ * trashed games. Used when players are merged or deleted.
+ * @param {string} playerId - Borrower to replace
+ * @param {{borrowerId: string}|{borrowerName: string}} borrower - New borrower
+ * @returns {Game[]} Games whose loans changed, to be persisted
+ */
+function reassignLoans(playerId, borrower) {
+    const changed = [];
+    const remapGame = (game) => {
+        if (!(game.loans || []).some(loan => loan.borrowerId === playerId)) return game;
+        const loans = game.loans.map(loan => {
+            if (loan.borrowerId !== playerId) return loan;
+            const { borrowerId, ...rest } = loan;
+            return { ...rest, ...borrower };
+        });
+        const updated = { ...game, loans, updatedAt: new Date().toISOString() };
+        changed.push(updated);
+        return updated;
+    };
+    games = games.map(remapGame);
+    trash.games = trash.games.map(remapGame);
+    return changed;
+}
+
+/**
+ * Get the IDs of the games, live or trashed, with a loan to a player
+ * @param {string} playerId - Player ID
+ * @returns {string[]} Game IDs
+ */
+function findLoanGameIds(playerId) {
+    return findRecordIds('games', game => (game.loans || []).some(loan => loan.borrowerId === playerId));
+}
+
+/**
+ * Replace a game's loans and record the change for undo
+ * @param {string} gameId - Game ID
+ * @param {Loan[]} loans - New lending history
+ * @param {string} label - Description for the undo history
+ */
+function updateGameLoans(gameId, loans, label) {
+    const index = games.findIndex(g => g.id === gameId);
+    if (index === -1) return;
+    const before = snapshotData({ games: [gameId] });
+    games[index] = { ...games[index], loans, updatedAt: new Date().toISOString() };
+    persistRecords('games', [games[index]]);
+    recordHistory(label, before);
+    renderGames();
+    if (document.getElementById('loansModal')?.style.display === 'block') renderLoans();
+}
+
+/**
+ * Record that a game was lent out
+ * @param {string} gameId - Game ID
+ * @param {{borrower: string, lentDate: string, dueDate?: string, notes?: string}} loanData - Loan details
+ */
+function lendGame(gameId, loanData) {
+    const game = getGameById(gameId);
+    if (!game || getActiveLoan(game)) return;
+    // Borrowers on the roster are linked; anyone else is kept by name
+    const player = findPlayerByName(loanData.borrower);
+    const loan = {
+        id: generateId(),
+        ...(player ? { borrowerId: player.id } : { borrowerName: loanData.borrower }),
+        lentDate: loanData.lentDate,
+        dueDate: loanData.dueDate,
+        notes: loanData.notes
+    };
+    updateGameLoans(gameId, [...(game.loans || []), loan], `Lent "${game.title}" to ${getBorrowerName(loan)}`);
+}
+
+/**
+ * Record that a lent game came back today
+ * @param {string} gameId - Game ID
+ */
+function returnGame(gameId) {
+    const game = getGameById(gameId);
+    const active = game && getActiveLoan(game);
+    if (!active) return;
+    // A loan dated ahead of today's UTC date must not come back before it went out
+    const today = todayString();
+    const returnedDate = active.lentDate > today ? active.lentDate : today;
+    const loans = game.loans.map(loan => loan === active ? { ...loan, returnedDate } : loan);
+    updateGameLoans(gameId, loans, `"${game.title}" returned by ${getBorrowerName(active)}`);
+    if (document.getElementById('gameDetailsModal')?.style.display === 'block') showGameDetails(gameId);
+}
+
+/**
+ * Open the lend form
+ * @param {string} [gameId] - Game to preselect
+ */
+function openLoanModal(gameId) {
+    if (blockedByReadOnly()) return;
+    const available = games
+        .filter(g => g.status === 'owned' && !getActiveLoan(g))
+        .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+    if (available.length === 0) {
+        alert('Every owned game is already lent out.');
         return;
     }
+    document.getElementById('loanForm').reset();
+    document.getElementById('loanGame').innerHTML = available
+        .map(g => `<option value="${g.id}">${escapeHtml(g.title)}</option>`)
+        .join('');
+    if (gameId) document.getElementById('loanGame').value = gameId;
+    document.getElementById('loanBorrowerOptions').innerHTML = [...players]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(p => `<option value="${escapeHtml(p.name)}"></option>`)
+        .join('');
+    document.getElementById('loanDate').value = todayString();
+    document.getElementById('loanDate').max = todayString();
+    openModal('loanModal');
+}
 
-    recentSessionsDiv.innerHTML = `
-        <div class="session-list">
-            ${sortedSessions.slice(0, 50).map(session => renderSessionItem(session)).join('')}
-        </div>
-    `;
+/**
+ * Render outstanding loans, overdue ones first
+ */
+function renderLoans() {
+    const container = document.getElementById('loansContent');
+    if (!container) return;
 
-    // Update game dropdown for session modal
-    updateGameDropdown();
+    const outstanding = games
+        .map(game => ({ game, loan: getActiveLoan(game) }))
+        .filter(({ loan }) => loan)
+        .sort((a, b) =>
+            Number(isLoanOverdue(b.loan)) - Number(isLoanOverdue(a.loan)) ||
+            (a.loan.dueDate || '9999').localeCompare(b.loan.dueDate || '9999') ||
+            a.loan.lentDate.localeCompare(b.loan.lentDate)
+        );
+    const overdueCount = outstanding.filter(({ loan }) => isLoanOverdue(loan)).length;
+
+    container.innerHTML = outstanding.length > 0
+        ? `
+            <p>${outstanding.length} game${outstanding.length === 1 ? ' is' : 's are'} lent out${overdueCount > 0 ? `, ${overdueCount} overdue` : ''}.</p>
+            ${outstanding.map(({ game, loan }) => `
+                <div class="stat-item loan-item ${isLoanOverdue(loan) ? 'overdue' : ''}">
+                    <div>
+                        <button type="button" class="link-button" onclick="showGameDetails('${game.id}'); closeModal('loansModal');">${escapeHtml(game.title)}</button>
+                        <div class="loan-meta">
+                            📤 ${escapeHtml(getBorrowerName(loan))} · ${escapeHtml(describeLoanDates(loan))}
+                            ${isLoanOverdue(loan) ? `<strong class="loan-overdue">⚠️ ${formatDayCount(getDaysSince(loan.dueDate))} overdue</strong>` : ''}
+                        </div>
+                        ${loan.notes ? `<div class="loan-meta">📝 ${escapeHtml(loan.notes)}</div>` : ''}
+                    </div>
+                    <button type="button" class="btn btn-secondary btn-small" onclick="returnGame('${game.id}')">📥 Returned</button>
+                </div>
+            `).join('')}
+        `
+        : '<p class="help-text">No games are lent out.</p>';
 }
 
 /**
- * Render a single session item
- * @param {PlaySession} session - Session to render
- * @returns {string} HTML string
+ * Open the loans view
  */
-function renderSessionItem(session) {
-    const game = getGameById(session.gameId);
-    const gameName = game ? game.title : 'Unknown Game';
+function openLoansModal() {
+    renderLoans();
+    openModal('loansModal');
+}
 
-    const detailItems = [];
-    if (session.players && session.players.length > 0) {
-        detailItems.push(`<span class="session-detail session-players">👥 ${session.players.map(escapeHtml).join(', ')}</span>`);
-    }
-    if (session.winners && session.winners.length > 0) {
-        detailItems.push(`<span class="session-detail session-winners">🏆 ${session.winners.map(escapeHtml).join(', ')}</span>`);
-    }
-    if (session.duration) {
-        detailItems.push(`<span class="session-detail session-duration">⏱️ ${formatDuration(session.duration)}</span>`);
-    }
+/**
+ * Render a game's lending history for the details modal
+ * @param {Game} game - Game
+ * @returns {string} HTML string
+ */
+function renderGameLoans(game) {
+    const active = getActiveLoan(game);
+    const history = [...(game.loans || [])].reverse();
+    const action = active
+        ? `<button class="btn btn-secondary btn-small" onclick="returnGame('${game.id}')">📥 Mark Returned</button>`
+        : game.status === 'owned'
+            ? `<button class="btn btn-ghost btn-small" onclick="openLoanModal('${game.id}'); closeModal('gameDetailsModal');">📤 Lend</button>`
+            : '';
+    if (history.length === 0 && !action) return '';
 
     return `
-        <div class="play-session">
-            <div class="session-header">
-                <span class="session-game">${escapeHtml(gameName)}</span>
-                <span class="session-date">📅 ${formatDate(session.date)}</span>
-            </div>
-            ${detailItems.length > 0 ? `<div class="session-details">${detailItems.join('')}</div>` : ''}
-            ${session.notes ? `<div class="session-notes">📝 ${escapeHtml(session.notes)}</div>` : ''}
-            <div class="session-actions">
-                <button class="btn btn-ghost btn-small" onclick="editSession('${session.id}')" title="Edit session">
-                    ✏️ Edit
-                </button>
-                <button class="btn btn-danger btn-small" onclick="confirmDeleteSession('${session.id}')" title="Delete session">
-                    🗑️ Delete
-                </button>
-            </div>
+        <div class="game-details-section">
+            <h3>📤 Lending</h3>
+            ${history.length > 0 ? history.map(loan => `
+                <div class="stat-item loan-item ${isLoanOverdue(loan) ? 'overdue' : ''}">
+                    <span>${escapeHtml(getBorrowerName(loan))}${loan.notes ? ` <span class="loan-meta">📝 ${escapeHtml(loan.notes)}</span>` : ''}</span>
+                    <span class="stat-item-value">${escapeHtml(describeLoanDates(loan))}${isLoanOverdue(loan) ? ' ⚠️' : ''}</span>
+                </div>
+            `).join('') : '<p class="help-text">Never lent out.</p>'}
+            ${action}
         </div>
     `;
 }
 
+// ============================================
+// Storage Locations
+// ============================================
+
+// Games ticked in the Storage view for a batch move
+let storageSelection = new Set();
+
 /**
- * Update the game dropdown in session modal
+ * Describe where a game is stored, e.g. "Living Room › Kallax A › 3"
+ * @param {GameLocation} [location] - Storage location
+ * @returns {string} Plain text, empty if the game has no location
  */
-function updateGameDropdown() {
-    const dropdown = document.getElementById('sessionGame');
-    if (!dropdown) return;
+function formatLocation(location) {
+    if (!location) return '';
+    return [location.room, location.shelf, location.position].filter(Boolean).join(' › ');
+}
 
-    const ownedGames = games.filter(g => g.status === 'owned')
-        .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+/**
+ * Compare two storage positions, treating "2" as before "10"
+ * @param {string} [a] - First position
+ * @param {string} [b] - Second position
+ * @returns {number} Sort order
+ */
+function comparePositions(a, b) {
+    return (a || '').localeCompare(b || '', undefined, { numeric: true });
+}
 
-    dropdown.innerHTML = `
-        <option value="">Select a game...</option>
-        ${ownedGames.map(game => 
-            `<option value="${game.id}">${escapeHtml(game.title)}</option>`
-        ).join('')}
-    `;
+/**
+ * Fill the room and shelf suggestions with the locations already in use
+ */
+function updateLocationOptions() {
+    const locations = games.map(game => game.location).filter(Boolean);
+    const options = (values) => [...new Set(values.filter(Boolean))]
+        .sort(comparePositions)
+        .map(value => `<option value="${escapeHtml(value)}"></option>`)
+        .join('');
+    document.getElementById('roomOptions').innerHTML = options(locations.map(location => location.room));
+    document.getElementById('shelfOptions').innerHTML = options(locations.map(location => location.shelf));
 }
 
 /**
- * Render statistics
+ * Read a location from room, shelf and position inputs
+ * @param {string} roomId - Room input ID
+ * @param {string} shelfId - Shelf input ID
+ * @param {string} [positionId] - Position input ID
+ * @returns {GameLocation|undefined} Location, or undefined if every input is empty
  */
-function renderStatistics() {
-    renderCollectionStats();
-    renderMostPlayedGames();
-    renderFrequentPlayers();
-    renderPlayHistory();
+function readLocationInputs(roomId, shelfId, positionId) {
+    const value = (id) => id ? document.getElementById(id).value.trim().replace(/\s+/g, ' ') || undefined : undefined;
+    const location = { room: value(roomId), shelf: value(shelfId), position: value(positionId) };
+    return location.room || location.shelf || location.position ? location : undefined;
 }
 
 /**
- * Render collection overview statistics
+ * Move several games to a shelf in one step. Positions are cleared, since
+ * they refer to the shelf the games came from.
+ * @param {string[]} gameIds - Games to move
+ * @param {GameLocation} [location] - New room and shelf, or undefined to take the games off the shelves
  */
-function renderCollectionStats() {
-    const container = document.getElementById('collectionStats');
-    if (!container) return;
+function moveGamesToShelf(gameIds, location) {
+    const before = snapshotData({ games: gameIds });
+    const updatedAt = new Date().toISOString();
+    const moved = [];
+    games = games.map(game => {
+        if (!gameIds.includes(game.id)) return game;
+        const updated = { ...game, location: location && { room: location.room, shelf: location.shelf }, updatedAt };
+        moved.push(updated);
+        return updated;
+    });
+    if (moved.length === 0) return;
 
-    const owned = games.filter(g => g.status === 'owned').length;
-    const wishlist = games.filter(g => g.status === 'wishlist').length;
-    const previouslyOwned = games.filter(g => g.status === 'previously-owned').length;
-    const totalPlays = sessions.length;
+    persistRecords('games', moved);
+    const count = moved.length === 1 ? `"${moved[0].title}"` : `${moved.length} games`;
+    recordHistory(location ? `Moved ${count} to ${formatLocation(location)}` : `Took ${count} off the shelves`, before);
+    storageSelection = new Set();
+    renderGames();
+    renderStorage();
+}
 
-    // Calculate total play time
-    const totalPlayTime = sessions.reduce((sum, s) => sum + (s.duration || 0), 0);
+/**
+ * Group games by room and shelf for the Storage view
+ * @returns {Array<{room: string, shelves: Array<{shelf: string, games: Game[]}>}>} Rooms in order
+ */
+function getStorageGroups() {
+    const rooms = new Map();
+    games
+        .filter(game => game.location && game.status === 'owned')
+        .forEach(game => {
+            const room = game.location.room || '';
+            const shelf = game.location.shelf || '';
+            if (!rooms.has(room)) rooms.set(room, new Map());
+            const shelves = rooms.get(room);
+            if (!shelves.has(shelf)) shelves.set(shelf, []);
+            shelves.get(shelf).push(game);
+        });
 
-    container.innerHTML = `
-        <div class="stat-item">
-            <span class="stat-item-name">📚 Games Owned</span>
-            <span class="stat-item-value">${owned}</span>
-        </div>
-        <div class="stat-item">
-            <span class="stat-item-name">⭐ Wishlist</span>
-            <span class="stat-item-value">${wishlist}</span>
-        </div>
-        <div class="stat-item">
-            <span class="stat-item-name">📤 Previously Owned</span>
-            <span class="stat-item-value">${previouslyOwned}</span>
-        </div>
-        <div class="stat-item">
-            <span class="stat-item-name">🎮 Total Plays</span>
-            <span class="stat-item-value">${totalPlays}</span>
-        </div>
-        <div class="stat-item">
-            <span class="stat-item-name">⏱️ Total Play Time</span>
-            <span class="stat-item-value">${formatDuration(totalPlayTime) || '0 min'}</span>
+    return [...rooms.keys()].sort(comparePositions).map(room => ({
+        room,
+        shelves: [...rooms.get(room).keys()].sort(comparePositions).map(shelf => ({
+            shelf,
+            games: rooms.get(room).get(shelf).sort((a, b) =>
+                comparePositions(a.location.position, b.location.position) || (a.title || '').localeCompare(b.title || '')
+            )
+        }))
+    }));
+}
+
+/**
+ * Render one shelf and its games, with a checkbox per game for batch moves
+ * @param {string} title - Shelf heading
+ * @param {Game[]} shelfGames - Games on the shelf, in order
+ * @returns {string} HTML string
+ */
+function renderStorageShelf(title, shelfGames) {
+    return `
+        <div class="storage-shelf">
+            <div class="storage-shelf-header">
+                <h4>${escapeHtml(title)} <span class="storage-count">(${shelfGames.length})</span></h4>
+                <button type="button" class="link-button" data-storage-select-shelf>Select all</button>
+            </div>
+            <ul class="storage-games">
+                ${shelfGames.map(game => `
+                    <li>
+                        <label class="storage-game">
+                            <input type="checkbox" data-storage-game="${game.id}" ${storageSelection.has(game.id) ? 'checked' : ''}>
+                            ${game.location?.position ? `<span class="storage-position">${escapeHtml(game.location.position)}</span>` : ''}
+                            <span>${escapeHtml(game.title)}</span>
+                            ${getActiveLoan(game) ? '<span class="storage-lent" title="Lent out">📤</span>' : ''}
+                        </label>
+                    </li>
+                `).join('')}
+            </ul>
         </div>
     `;
 }
 
 /**
- * Render most played games
+ * Render every room and shelf with its games, plus owned games without a location
  */
-function renderMostPlayedGames() {
-    const container = document.getElementById('mostPlayedGames');
+function renderStorage() {
+    const container = document.getElementById('storageContent');
     if (!container) return;
 
-    // Count plays per game
-    const playCounts = {};
-    sessions.forEach(session => {
-        playCounts[session.gameId] = (playCounts[session.gameId] || 0) + 1;
-    });
+    // Forget games that were deleted while ticked
+    storageSelection = new Set([...storageSelection].filter(id => getGameById(id)));
+    const groups = getStorageGroups();
+    const unshelved = games
+        .filter(game => !game.location && game.status === 'owned' && !(game.baseGameId && getGameById(game.baseGameId)))
+        .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
 
-    // Sort and get top 10
-    const topGames = Object.entries(playCounts)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 10);
+    container.innerHTML = `
+        ${groups.length === 0 ? '<p class="help-text">No games have a location yet. Set one when editing a game, or tick games below and move them to a shelf.</p>' : ''}
+        ${groups.map(({ room, shelves }) => `
+            <section class="storage-room">
+                <h3>🏠 ${escapeHtml(room || 'No room')}</h3>
+                <div class="storage-shelves">
+                    ${shelves.map(({ shelf, games: shelfGames }) => renderStorageShelf(shelf || 'No shelf', shelfGames)).join('')}
+                </div>
+            </section>
+        `).join('')}
+        ${unshelved.length > 0 ? `
+            <section class="storage-room">
+                <h3>📦 Not Shelved</h3>
+                <div class="storage-shelves">${renderStorageShelf('Owned games without a location', unshelved)}</div>
+            </section>
+        ` : ''}
+    `;
+    updateStorageSelectionStatus();
+}
 
-    if (topGames.length === 0) {
-        container.innerHTML = '<p class="help-text">No plays logged yet.</p>';
-        return;
-    }
+/**
+ * Show how many games are ticked for a batch move
+ */
+function updateStorageSelectionStatus() {
+    document.getElementById('storageSelectionCount').textContent =
+        `${storageSelection.size} game${storageSelection.size === 1 ? '' : 's'} selected`;
+    document.getElementById('storageMoveBtn').disabled = storageSelection.size === 0;
+}
+
+/**
+ * Open the Storage view
+ */
+function openStorageModal() {
+    storageSelection = new Set();
+    document.getElementById('storageMoveForm').reset();
+    updateLocationOptions();
+    renderStorage();
+    openModal('storageModal');
+}
+
+// ============================================
+// Game Images
+// ============================================
+
+/**
+ * A box art photo stored on this device, in the sizes the app displays
+ * @typedef {Object} GameImage
+ * @property {string} id - Unique identifier, referenced by a game's imageId
+ * @property {Blob|string} card - Image sized for game cards (a data URL in localStorage)
+ * @property {Blob|string} detail - Image sized for the details view (a data URL in localStorage)
+ * @property {string} createdAt - ISO date string when stored
+ */
+
+// Longest side in pixels of each stored size
+const IMAGE_SIZES = { card: 400, detail: 1200 };
+const IMAGE_TYPE = 'image/jpeg';
+const IMAGE_QUALITY = 0.85;
+
+// localStorage key prefix for images when IndexedDB is unavailable
+const LOCAL_STORAGE_IMAGE_PREFIX = 'boardGameTracker_image_';
+
+// Displayable URLs of stored images, by image ID: {card, detail}
+const imageUrls = new Map();
+
+// Image chosen in the game form: undefined keeps the current one, null removes it
+let pendingGameImage;
+// Object URL of the preview of a newly chosen image
+let gameImagePreviewUrl = null;
+
+/**
+ * Read a blob as a data URL
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string>} Data URL
+ */
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Turn a data URL back into a blob
+ * @param {string} dataUrl - Data URL
+ * @returns {Blob} Blob with the data URL's type
+ */
+function dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const type = header.match(/^data:([^;]+)/)?.[1] || IMAGE_TYPE;
+    const bytes = atob(data);
+    const buffer = new Uint8Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) buffer[i] = bytes.charCodeAt(i);
+    return new Blob([buffer], { type });
+}
+
+/**
+ * Scale an image file down so its longest side fits, re-encoded as JPEG
+ * @param {Blob} file - Image file
+ * @param {number} maxSize - Longest side in pixels
+ * @returns {Promise<Blob>} Resized image
+ */
+function resizeImage(file, maxSize) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+            canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+            const context = canvas.getContext('2d');
+            // JPEG has no transparency, so put transparent images on white
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(img, 0, 0, canvas.width, canvas.height);
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the image')), IMAGE_TYPE, IMAGE_QUALITY);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The file is not an image this browser can read'));
+        };
+        img.src = url;
+    });
+}
+
+/**
+ * Make the URLs used to display a stored image
+ * @param {GameImage} image - Stored image
+ */
+function cacheImageUrls(image) {
+    releaseImageUrls(image.id);
+    const toUrl = (data) => typeof data === 'string' ? data : URL.createObjectURL(data);
+    imageUrls.set(image.id, { card: toUrl(image.card), detail: toUrl(image.detail) });
+}
+
+/**
+ * Release the URLs of a stored image
+ * @param {string} imageId - Image ID
+ */
+function releaseImageUrls(imageId) {
+    const urls = imageUrls.get(imageId);
+    if (!urls) return;
+    Object.values(urls).filter(url => url.startsWith('blob:')).forEach(url => URL.revokeObjectURL(url));
+    imageUrls.delete(imageId);
+}
+
+/**
+ * Get the image to show for a game: its stored photo, or else its image URL
+ * @param {Game} game - Game
+ * @param {'card'|'detail'} size - Size to show
+ * @returns {string|undefined} Image source
+ */
+function getGameImageSrc(game, size) {
+    return imageUrls.get(game.imageId)?.[size] || game.imageUrl;
+}
+
+/**
+ * Store an image in IndexedDB, or as data URLs in localStorage
+ * @param {GameImage} image - Image to store
+ * @returns {Promise<void>}
+ */
+async function saveImage(image) {
+    if (storedDataError) return;
+    try {
+        if (db) {
+            const tx = db.transaction('images', 'readwrite');
+            tx.objectStore('images').put(image);
+            await transactionDone(tx);
+        } else {
+            localStorage.setItem(LOCAL_STORAGE_IMAGE_PREFIX + image.id, JSON.stringify({
+                ...image,
+                card: typeof image.card === 'string' ? image.card : await blobToDataUrl(image.card),
+                detail: typeof image.detail === 'string' ? image.detail : await blobToDataUrl(image.detail)
+            }));
+        }
+        cacheImageUrls(image);
+    } catch (error) {
+        handleStorageError(error);
+    }
+}
+
+/**
+ * Read every stored image
+ * @returns {Promise<GameImage[]>} Images
+ */
+async function readAllImages() {
+    if (db) return readAllRecords('images');
+    return Object.keys(localStorage)
+        .filter(key => key.startsWith(LOCAL_STORAGE_IMAGE_PREFIX))
+        .map(key => JSON.parse(localStorage.getItem(key)));
+}
+
+/**
+ * Load stored images so cards and details can show them, offline included
+ * @returns {Promise<void>}
+ */
+async function loadGameImages() {
+    try {
+        (await readAllImages()).forEach(cacheImageUrls);
+    } catch (error) {
+        console.error('Error loading images:', error);
+    }
+}
+
+/**
+ * Remove images that no game refers to any more. Games in the trash and in
+ * the undo history keep their images.
+ * @returns {Promise<void>}
+ */
+async function pruneUnusedImages() {
+    // With no data loaded every image would look unused
+    if (storedDataError) return;
+    const used = new Set(STORE_RECORDS.games().map(game => game.imageId));
+    [...undoStack, ...redoStack].forEach(step => {
+        (step.changes.games || []).forEach(change => {
+            used.add(change.before?.imageId);
+            used.add(change.after?.imageId);
+        });
+    });
+    const unused = Array.from(imageUrls.keys()).filter(id => !used.has(id));
+    if (unused.length === 0) return;
+
+    try {
+        if (db) {
+            const tx = db.transaction('images', 'readwrite');
+            unused.forEach(id => tx.objectStore('images').delete(id));
+            await transactionDone(tx);
+        } else {
+            unused.forEach(id => localStorage.removeItem(LOCAL_STORAGE_IMAGE_PREFIX + id));
+        }
+        unused.forEach(releaseImageUrls);
+    } catch (error) {
+        handleStorageError(error);
+    }
+}
+
+/**
+ * Collect the images of the given games as data URLs, for a backup
+ * @param {Game[]} gameList - Games being exported
+ * @returns {Promise<Object[]>} Images with data URL sizes
+ */
+async function exportImages(gameList) {
+    const ids = new Set(gameList.map(game => game.imageId).filter(Boolean));
+    const images = (await readAllImages()).filter(image => ids.has(image.id));
+    return Promise.all(images.map(async image => ({
+        id: image.id,
+        card: typeof image.card === 'string' ? image.card : await blobToDataUrl(image.card),
+        detail: typeof image.detail === 'string' ? image.detail : await blobToDataUrl(image.detail),
+        createdAt: image.createdAt
+    })));
+}
+
+/**
+ * Store images from a backup
+ * @param {Object[]} images - Images with data URL sizes
+ * @returns {Promise<void>}
+ */
+async function importImages(images) {
+    for (const image of images) {
+        await saveImage({
+            id: image.id,
+            card: db ? dataUrlToBlob(image.card) : image.card,
+            detail: db ? dataUrlToBlob(image.detail) : image.detail,
+            createdAt: image.createdAt || new Date().toISOString()
+        });
+    }
+}
+
+/**
+ * Check the images of a backup
+ * @param {*} images - The backup's images value
+ * @returns {string[]} Validation error messages
+ */
+function validateImages(images) {
+    if (images === undefined) return [];
+    if (!Array.isArray(images)) return ['"images" must be an array'];
+    const errors = [];
+    images.forEach((image, i) => {
+        const label = `Image #${i + 1}`;
+        if (!image || typeof image !== 'object' || typeof image.id !== 'string' || !image.id) {
+            errors.push(`${label}: missing id`);
+            return;
+        }
+        ['card', 'detail'].forEach(size => {
+            if (typeof image[size] !== 'string' || !/^data:image\/[a-z+.-]+;base64,/i.test(image[size])) {
+                errors.push(`${label}: ${size} is not an embedded image`);
+            }
+        });
+    });
+    return errors;
+}
+
+/**
+ * Use an uploaded or pasted image in the game form
+ * @param {Blob} file - Image file
+ * @returns {Promise<void>}
+ */
+async function setGameFormImage(file) {
+    if (!file || !file.type.startsWith('image/')) {
+        alert('Please choose an image file.');
+        return;
+    }
+    try {
+        pendingGameImage = {
+            card: await resizeImage(file, IMAGE_SIZES.card),
+            detail: await resizeImage(file, IMAGE_SIZES.detail)
+        };
+        renderGameImagePreview();
+    } catch (error) {
+        console.error('Image error:', error);
+        alert('Error reading image: ' + error.message);
+    }
+}
+
+/**
+ * Show the photo the game form will save
+ */
+function renderGameImagePreview() {
+    const preview = document.getElementById('gameImagePreview');
+    if (!preview) return;
+    if (gameImagePreviewUrl) {
+        URL.revokeObjectURL(gameImagePreviewUrl);
+        gameImagePreviewUrl = null;
+    }
+
+    const game = getGameById(document.getElementById('gameId').value);
+    let src;
+    if (pendingGameImage) {
+        gameImagePreviewUrl = URL.createObjectURL(pendingGameImage.card);
+        src = gameImagePreviewUrl;
+    } else if (pendingGameImage === undefined && game) {
+        src = imageUrls.get(game.imageId)?.card;
+    }
+    preview.innerHTML = src
+        ? `<img src="${escapeHtml(src)}" alt="Box art preview" class="image-preview-img">`
+        : '<span class="help-text">No photo</span>';
+    document.getElementById('gameImageRemove').hidden = !src;
+}
+
+/**
+ * Store the photo chosen in the game form
+ * @returns {Promise<string>} ID of the stored image
+ */
+async function saveGameFormImage() {
+    const image = { id: generateId(), ...pendingGameImage, createdAt: new Date().toISOString() };
+    await saveImage(image);
+    return image.id;
+}
+
+// ============================================
+// Undo History
+// ============================================
+
+/**
+ * One undoable change: the affected records before and after, by store.
+ * A missing before means the record was added; a missing after means it was deleted.
+ * @typedef {Object} HistoryStep
+ * @property {string} label - What the change did, e.g. 'Deleted "Catan"'
+ * @property {string} at - ISO timestamp
+ * @property {Object<string, {id: string, before: (Object|null), after: (Object|null)}[]>} changes - Changed records by store
+ * @property {boolean} [bulk] - Imports and other changes to many records, which aren't saved across reloads
+ */
+
+// Number of steps kept for undo (and redo)
+const HISTORY_LIMIT = 30;
+
+// Most characters of undo history saved across reloads; older steps are kept until then
+const HISTORY_STORAGE_LIMIT = 500000;
+
+// How long the undo toast stays up
+const UNDO_TOAST_MS = 8000;
+
+/** @type {HistoryStep[]} */
+let undoStack = [];
+/** @type {HistoryStep[]} */
+let redoStack = [];
+let undoToastTimer = null;
+
+/**
+ * Load undo history saved by a previous visit
+ * @returns {Promise<void>}
+ */
+async function loadHistory() {
+    const saved = await readMeta('history');
+    undoStack = saved?.undo || [];
+    redoStack = saved?.redo || [];
+}
+
+/**
+ * Save undo history so it survives a reload
+ */
+function saveHistory() {
+    const undo = getSavableSteps(undoStack, HISTORY_STORAGE_LIMIT);
+    const redo = getSavableSteps(redoStack, HISTORY_STORAGE_LIMIT - JSON.stringify(undo).length);
+    writeMeta('history', { undo, redo });
+}
+
+/**
+ * Get the newest steps of a stack that fit in the given size. Bulk steps aren't
+ * saved, and neither are the steps beyond one, since they only apply on top of it.
+ * @param {HistoryStep[]} steps - Undo or redo stack, next step last
+ * @param {number} limit - Characters available
+ * @returns {HistoryStep[]} Steps to save
+ */
+function getSavableSteps(steps, limit) {
+    const savable = [];
+    let size = 0;
+    for (let i = steps.length - 1; i >= 0 && !steps[i].bulk; i--) {
+        size += JSON.stringify(steps[i]).length;
+        if (size > limit) break;
+        savable.unshift(steps[i]);
+    }
+    return savable;
+}
+
+/**
+ * Capture records so a change can be recorded against them. Call this before
+ * mutating anything, with the records the change may update or delete; records
+ * it adds are found by ID. Bulk changes leave out the list to capture everything.
+ * @param {Object<string, string[]>} [touched] - IDs of the records that may change, by store
+ * @returns {Object<string, {ids: Set<string>, records: Map<string, string>}>} All IDs and the serialized captured records, by store
+ */
+function snapshotData(touched) {
+    const snapshot = {};
+    Object.keys(STORE_RECORDS).forEach(storeName => {
+        const records = STORE_RECORDS[storeName]();
+        const wanted = touched && new Set(touched[storeName] || []);
+        snapshot[storeName] = {
+            ids: new Set(records.map(record => record.id)),
+            records: new Map(records
+                .filter(record => !wanted || wanted.has(record.id))
+                .map(record => [record.id, JSON.stringify(record)]))
+        };
+    });
+    return snapshot;
+}
+
+/**
+ * Get the IDs of the live and trashed records of a store that pass a test,
+ * to list the records a change touches for snapshotData
+ * @param {string} storeName - Store name
+ * @param {function(Object): boolean} test - Test for each record
+ * @returns {string[]} Matching record IDs
+ */
+function findRecordIds(storeName, test) {
+    return STORE_RECORDS[storeName]().filter(test).map(record => record.id);
+}
+
+/**
+ * Record the difference between a snapshot and the current data as an undoable step
+ * @param {string} label - What the change did
+ * @param {Object<string, {ids: Set<string>, records: Map<string, string>}>} before - Snapshot taken before the change
+ * @param {{bulk: boolean}} [options] - Mark imports and other large changes, which are kept in memory only
+ */
+function recordHistory(label, before, options = {}) {
+    const changes = {};
+    let changeCount = 0;
+    Object.keys(STORE_RECORDS).forEach(storeName => {
+        const { ids, records } = before[storeName];
+        const current = new Map(STORE_RECORDS[storeName]().map(record => [record.id, record]));
+        const added = Array.from(current.keys()).filter(id => !ids.has(id));
+        const storeChanges = [];
+        new Set([...records.keys(), ...added]).forEach(id => {
+            const previous = records.get(id);
+            const next = current.has(id) ? JSON.stringify(current.get(id)) : undefined;
+            if (previous === next) return;
+            storeChanges.push({
+                id,
+                before: previous ? JSON.parse(previous) : null,
+                after: next ? JSON.parse(next) : null
+            });
+        });
+        if (storeChanges.length > 0) changes[storeName] = storeChanges;
+        changeCount += storeChanges.length;
+    });
+    if (changeCount === 0) return;
+
+    const step = { label, at: new Date().toISOString(), changes };
+    if (options.bulk) step.bulk = true;
+    undoStack.push(step);
+    undoStack = undoStack.slice(-HISTORY_LIMIT);
+    redoStack = [];
+    saveHistory();
+    showUndoToast(label, 'undo');
+}
+
+/**
+ * Put one side of a step back into memory and storage
+ * @param {HistoryStep} step - Step to apply
+ * @param {'before'|'after'} side - State to restore
+ * @returns {Promise<void>}
+ */
+async function applyHistoryStep(step, side) {
+    const restored = {};
+    Object.entries(step.changes).forEach(([storeName, storeChanges]) => {
+        const byId = new Map(STORE_RECORDS[storeName]().map(record => [record.id, record]));
+        storeChanges.forEach(change => {
+            if (change[side]) {
+                byId.set(change.id, JSON.parse(JSON.stringify(change[side])));
+            } else {
+                byId.delete(change.id);
+            }
+        });
+        restored[storeName] = Array.from(byId.values());
+    });
+    Object.entries(restored).forEach(([storeName, records]) => setStoreRecords(storeName, records));
+
+    for (const [storeName, storeChanges] of Object.entries(step.changes)) {
+        const puts = storeChanges.filter(change => change[side]).map(change => change[side]);
+        const deletes = storeChanges.filter(change => !change[side]).map(change => change.id);
+        if (puts.length > 0) await persistRecords(storeName, puts);
+        if (deletes.length > 0) await removeRecords(storeName, deletes);
+    }
+
+    renderGames();
+    renderSessions();
+    renderPlayers();
+    renderTrash();
+    updateGameDropdown();
+    if (document.getElementById('statisticsPanel')?.classList.contains('active')) {
+        renderStatistics();
+    }
+    if (document.getElementById('loansModal')?.style.display === 'block') renderLoans();
+    if (document.getElementById('storageModal')?.style.display === 'block') renderStorage();
+}
+
+/**
+ * Undo the most recent change
+ * @returns {Promise<void>}
+ */
+async function undoLastChange() {
+    const step = undoStack.pop();
+    if (!step) {
+        showUndoToast('Nothing to undo');
+        return;
+    }
+    redoStack.push(step);
+    saveHistory();
+    await applyHistoryStep(step, 'before');
+    showUndoToast(`Undid: ${step.label}`, 'redo');
+}
+
+/**
+ * Redo the most recently undone change
+ * @returns {Promise<void>}
+ */
+async function redoLastChange() {
+    const step = redoStack.pop();
+    if (!step) {
+        showUndoToast('Nothing to redo');
+        return;
+    }
+    undoStack.push(step);
+    saveHistory();
+    await applyHistoryStep(step, 'after');
+    showUndoToast(`Redid: ${step.label}`, 'undo');
+}
+
+/**
+ * Show a short message with an Undo or Redo button
+ * @param {string} message - Message to show
+ * @param {'undo'|'redo'} [action] - Button to offer
+ */
+function showUndoToast(message, action) {
+    const toast = document.getElementById('undoToast');
+    if (!toast) return;
+    const button = action === 'undo'
+        ? '<button type="button" class="btn btn-secondary btn-small" onclick="undoLastChange()">Undo</button>'
+        : action === 'redo'
+            ? '<button type="button" class="btn btn-secondary btn-small" onclick="redoLastChange()">Redo</button>'
+            : '';
+    toast.innerHTML = `<span>${escapeHtml(message)}</span>${button}`;
+    toast.hidden = false;
+    clearTimeout(undoToastTimer);
+    undoToastTimer = setTimeout(() => { toast.hidden = true; }, UNDO_TOAST_MS);
+}
+
+// ============================================
+// Trash
+// ============================================
+
+// Retention periods offered in Settings, in days; 0 keeps trash until it is emptied
+const TRASH_RETENTION_OPTIONS = [7, 30, 90, 365, 0];
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+let trashRetentionDays = DEFAULT_TRASH_RETENTION_DAYS;
+
+/**
+ * Return a trashed record as it was before it was deleted, marked as changed now
+ * @param {Object} record - Trashed record
+ * @returns {Object} Record without the trash fields
+ */
+function withoutTrashFields(record) {
+    const restored = { ...record, updatedAt: new Date().toISOString() };
+    delete restored.deletedAt;
+    delete restored.deletedWith;
+    return restored;
+}
+
+/**
+ * Drop trashed copies of records that are live again, e.g. after an import
+ * brought back a game with the same ID
+ * @param {string} storeName - 'games' or 'sessions'
+ * @param {Object[]} records - Live records
+ */
+function forgetTrashed(storeName, records) {
+    const ids = new Set(records.map(record => record.id));
+    trash[storeName] = trash[storeName].filter(record => !ids.has(record.id));
+}
+
+/**
+ * Permanently remove trashed games and sessions. Sessions trashed with a game go
+ * with it; expansions of a purged game become standalone games and sessions
+ * stop listing it as a used expansion. Box art is left for pruneUnusedImages,
+ * which callers run once any undo step for the purge has been recorded.
+ * @param {string[]} gameIds - Trashed games to purge
+ * @param {string[]} sessionIds - Trashed sessions to purge
+ * @returns {Promise<void>}
+ */
+async function purgeTrashRecords(gameIds, sessionIds) {
+    if (storedDataError) return;
+    const purgedGames = new Set(gameIds);
+    const purgedSessions = new Set(sessionIds);
+    trash.sessions.filter(s => purgedGames.has(s.gameId)).forEach(s => purgedSessions.add(s.id));
+    trash.games = trash.games.filter(g => !purgedGames.has(g.id));
+    trash.sessions = trash.sessions.filter(s => !purgedSessions.has(s.id));
+
+    const now = new Date().toISOString();
+    const orphans = [...games, ...trash.games].filter(g => purgedGames.has(g.baseGameId));
+    orphans.forEach(game => {
+        delete game.baseGameId;
+        delete game.expansionType;
+        game.updatedAt = now;
+    });
+    const changedSessions = [...sessions, ...trash.sessions]
+        .filter(s => (s.expansionIds || []).some(id => purgedGames.has(id)));
+    changedSessions.forEach(session => {
+        session.expansionIds = session.expansionIds.filter(id => !purgedGames.has(id));
+        session.updatedAt = now;
+    });
+
+    await removeRecords('games', [...purgedGames]);
+    await removeRecords('sessions', [...purgedSessions]);
+    if (orphans.length > 0) await persistRecords('games', orphans);
+    if (changedSessions.length > 0) await persistRecords('sessions', changedSessions);
+}
+
+/**
+ * Load the retention setting and purge trash older than it
+ * @returns {Promise<void>}
+ */
+async function purgeExpiredTrash() {
+    const saved = await readMeta('trashRetentionDays');
+    trashRetentionDays = saved !== undefined ? saved : DEFAULT_TRASH_RETENTION_DAYS;
+    if (!trashRetentionDays) return;
+
+    const cutoff = Date.now() - trashRetentionDays * 24 * 60 * 60 * 1000;
+    const isExpired = (record) => new Date(record.deletedAt).getTime() < cutoff;
+    const gameIds = trash.games.filter(isExpired).map(g => g.id);
+    const sessionIds = trash.sessions.filter(s => !s.deletedWith && isExpired(s)).map(s => s.id);
+    if (gameIds.length > 0 || sessionIds.length > 0) {
+        await purgeTrashRecords(gameIds, sessionIds);
+    }
+}
+
+/**
+ * Change how long trashed items are kept
+ * @param {string} value - Days, or '0' to keep them until the trash is emptied
+ */
+function setTrashRetention(value) {
+    trashRetentionDays = parseInt(value) || 0;
+    writeMeta('trashRetentionDays', trashRetentionDays);
+    purgeExpiredTrash().then(pruneUnusedImages).then(renderTrash);
+}
+
+/**
+ * Restore a trashed game, with the sessions that were deleted along with it,
+ * or a single trashed session
+ * @param {string} storeName - 'games' or 'sessions'
+ * @param {string} id - Record ID
+ */
+function restoreFromTrash(storeName, id) {
+    const before = snapshotData(storeName === 'games'
+        ? { games: [id], sessions: findRecordIds('sessions', s => s.deletedWith === id) }
+        : { sessions: [id] });
+    let label;
+    if (storeName === 'games') {
+        const game = trash.games.find(g => g.id === id);
+        if (!game) return;
+        const gameSessions = trash.sessions.filter(s => s.deletedWith === id);
+        const restoredGame = withoutTrashFields(game);
+        const restoredSessions = gameSessions.map(withoutTrashFields);
+        trash.games = trash.games.filter(g => g !== game);
+        trash.sessions = trash.sessions.filter(s => !gameSessions.includes(s));
+        games.push(restoredGame);
+        sessions.push(...restoredSessions);
+        persistRecords('games', [restoredGame]);
+        if (restoredSessions.length > 0) persistRecords('sessions', restoredSessions);
+        label = `Restored "${game.title}"`;
+    } else {
+        const session = trash.sessions.find(s => s.id === id);
+        if (!session) return;
+        const trashedGame = trash.games.find(g => g.id === session.gameId);
+        if (trashedGame) {
+            alert(`This session is for "${trashedGame.title}", which is also in the trash. Restore the game first.`);
+            return;
+        }
+        const restoredSession = withoutTrashFields(session);
+        trash.sessions = trash.sessions.filter(s => s !== session);
+        sessions.push(restoredSession);
+        persistRecords('sessions', [restoredSession]);
+        label = `Restored a session of "${getGameById(session.gameId)?.title}"`;
+    }
+    recordHistory(label, before);
+    renderTrash();
+    renderGames();
+    renderSessions();
+    updateGameDropdown();
+}
+
+/**
+ * Confirm permanently deleting one trashed item
+ * @param {string} storeName - 'games' or 'sessions'
+ * @param {string} id - Record ID
+ */
+function confirmPurgeTrashItem(storeName, id) {
+    const record = trash[storeName].find(r => r.id === id);
+    if (!record) return;
+    const name = storeName === 'games'
+        ? `"${record.title}" and its sessions`
+        : 'this session';
+    showConfirm(`Permanently delete ${name}? This can't be undone from the trash.`, async () => {
+        // Purging a game also updates its expansions and the sessions that used it
+        const before = snapshotData(storeName === 'games'
+            ? {
+                games: [id, ...findRecordIds('games', g => g.baseGameId === id)],
+                sessions: findRecordIds('sessions', s => s.gameId === id || (s.expansionIds || []).includes(id))
+            }
+            : { sessions: [id] });
+        await purgeTrashRecords(storeName === 'games' ? [id] : [], storeName === 'sessions' ? [id] : []);
+        recordHistory(`Permanently deleted ${name}`, before);
+        pruneUnusedImages();
+        renderTrash();
+        renderGames();
+    }, 'Delete Forever');
+}
+
+/**
+ * Confirm permanently deleting everything in the trash
+ */
+function confirmEmptyTrash() {
+    if (trash.games.length === 0 && trash.sessions.length === 0) return;
+    showConfirm('Permanently delete everything in the trash?', async () => {
+        const before = snapshotData();
+        await purgeTrashRecords(trash.games.map(g => g.id), trash.sessions.map(s => s.id));
+        recordHistory('Emptied the trash', before, { bulk: true });
+        pruneUnusedImages();
+        renderTrash();
+        renderGames();
+    }, 'Empty Trash');
+}
+
+/**
+ * Render the Trash card in Settings
+ */
+function renderTrash() {
+    const container = document.getElementById('trashList');
+    if (!container) return;
+
+    const retention = document.getElementById('trashRetention');
+    if (retention) {
+        retention.innerHTML = TRASH_RETENTION_OPTIONS.map(days => `
+            <option value="${days}" ${days === trashRetentionDays ? 'selected' : ''}>
+                ${days === 0 ? 'Until I empty the trash' : `${days} days`}
+            </option>
+        `).join('');
+    }
+    document.getElementById('emptyTrashBtn').disabled = trash.games.length === 0 && trash.sessions.length === 0;
+
+    const items = [
+        ...trash.games.map(game => ({ storeName: 'games', record: game })),
+        ...trash.sessions.filter(s => !s.deletedWith).map(session => ({ storeName: 'sessions', record: session }))
+    ].sort((a, b) => b.record.deletedAt.localeCompare(a.record.deletedAt));
+
+    if (items.length === 0) {
+        container.innerHTML = '<p class="help-text">The trash is empty.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <ul class="trash-list">
+            ${items.map(({ storeName, record }) => {
+                let description;
+                if (storeName === 'games') {
+                    const count = trash.sessions.filter(s => s.deletedWith === record.id).length;
+                    description = `🎲 <strong>${escapeHtml(record.title)}</strong>${count > 0 ? ` and ${count} session${count === 1 ? '' : 's'}` : ''}`;
+                } else {
+                    const game = getGameById(record.gameId) || trash.games.find(g => g.id === record.gameId);
+                    description = `📅 Session of <strong>${escapeHtml(game ? game.title : 'Unknown Game')}</strong> on ${formatDate(record.date)}`;
+                }
+                return `
+                    <li class="trash-item">
+                        <span>${description} <span class="help-text">deleted ${formatDate(record.deletedAt)}</span></span>
+                        <span class="trash-actions">
+                            <button type="button" class="btn btn-secondary btn-small" onclick="restoreFromTrash('${storeName}', '${record.id}')">♻️ Restore</button>
+                            <button type="button" class="btn btn-danger btn-small" onclick="confirmPurgeTrashItem('${storeName}', '${record.id}')">Delete Forever</button>
+                        </span>
+                    </li>
+                `;
+            }).join('')}
+        </ul>
+    `;
+}
+
+// ============================================
+// Sync
+// ============================================
+
+/**
+ * A change to one record, as sent to and received from the sync server.
+ * A null record is a tombstone for a permanently deleted record.
+ * @typedef {Object} SyncChange
+ * @property {string} store - 'games', 'sessions' or 'players'
+ * @property {string} id - Record ID
+ * @property {string} updatedAt - ISO timestamp of this version
+ * @property {Object|null} record - The record, or null when it was deleted
+ * @property {string} [baseUpdatedAt] - Version this change was made on top of
+ */
+
+// Stores that are synced; box art photos and settings stay on each device
+const SYNC_STORES = ['games', 'sessions', 'players'];
+
+// Wait after a change before syncing, so quick edits go out together
+const SYNC_DEBOUNCE_MS = 2000;
+
+// How often to pull changes from other devices while sync is on
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+
+let syncSettings = { endpoint: '', token: '' };
+
+/**
+ * Sync progress, saved in the meta store
+ * @type {{cursor: (string|null), versions: Object<string, string>, queue: Object<string, SyncChange>, conflicts: Object[], lastSyncedAt: (string|null), lastError: (string|null)}}
+ */
+let syncState = createSyncState();
+let syncTimer = null;
+let syncInProgress = false;
+
+/**
+ * Sync state for a server this device hasn't synced with yet
+ * @returns {Object} Empty sync state
+ */
+function createSyncState() {
+    return { cursor: null, versions: {}, queue: {}, conflicts: [], rejected: [], lastSyncedAt: null, lastError: null };
+}
+
+/**
+ * @param {string} storeName - Store name
+ * @param {string} id - Record ID
+ * @returns {string} Key of the record in sync state
+ */
+function getSyncKey(storeName, id) {
+    return `${storeName}:${id}`;
+}
+
+/**
+ * Load sync settings and start syncing if an endpoint is configured
+ * @returns {Promise<void>}
+ */
+async function loadSync() {
+    syncSettings = (await readMeta('syncSettings')) || syncSettings;
+    syncState = { ...createSyncState(), ...((await readMeta('syncState')) || {}) };
+    renderSyncSettings();
+    if (syncSettings.endpoint) scheduleSync(0);
+}
+
+/**
+ * Save sync progress
+ */
+function saveSyncState() {
+    writeMeta('syncState', syncState);
+}
+
+/**
+ * Queue local changes for the sync server
+ * @param {string} storeName - Store name
+ * @param {Object[]} records - Added or changed records
+ * @param {string[]} [deletedIds] - IDs of permanently deleted records
+ */
+function queueSyncChanges(storeName, records, deletedIds = []) {
+    if (!syncSettings.endpoint || !SYNC_STORES.includes(storeName)) return;
+    const deletedAt = new Date().toISOString();
+    const queue = (id, updatedAt, record) => {
+        const key = getSyncKey(storeName, id);
+        // A record changed twice before syncing was still changed on top of the same version
+        const baseUpdatedAt = syncState.queue[key]
+            ? syncState.queue[key].baseUpdatedAt
+            : syncState.versions[key];
+        syncState.queue[key] = { store: storeName, id, updatedAt, record, baseUpdatedAt };
+    };
+    records.forEach(record => queue(record.id, getRecordTimestamp(record), record));
+    deletedIds.forEach(id => queue(id, deletedAt, null));
+    saveSyncState();
+    scheduleSync();
+}
+
+/**
+ * Sync after a short delay, or once the connection is back
+ * @param {number} [delay] - Milliseconds to wait
+ */
+function scheduleSync(delay = SYNC_DEBOUNCE_MS) {
+    clearTimeout(syncTimer);
+    renderSyncStatus();
+    if (!syncSettings.endpoint || navigator.onLine === false || storedDataError) return;
+    syncTimer = setTimeout(syncNow, delay);
+}
+
+/**
+ * Call the sync server
+ * @param {string} path - Path below the endpoint
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function syncRequest(path, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (syncSettings.token) headers.Authorization = `Bearer ${syncSettings.token}`;
+    const response = await fetch(syncSettings.endpoint.replace(/\/+$/, '') + path, { ...options, headers, cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`Sync server responded ${response.status} ${response.statusText}`.trim());
+    }
+    return response.json();
+}
+
+/**
+ * Push queued changes, then pull changes made on other devices
+ * @returns {Promise<void>}
+ */
+async function syncNow() {
+    if (!syncSettings.endpoint || syncInProgress || storedDataError) return;
+    syncInProgress = true;
+    renderSyncStatus();
+    try {
+        await pushSyncQueue();
+        await pullSyncChanges();
+        syncState.lastSyncedAt = new Date().toISOString();
+        syncState.lastError = null;
+    } catch (error) {
+        // Queued changes stay queued and go out on the next attempt
+        console.error('Sync error:', error);
+        syncState.lastError = error.message;
+    } finally {
+        syncInProgress = false;
+        saveSyncState();
+        renderSyncSettings();
+    }
+}
+
+/**
+ * Send queued changes to the server. Changes made on top of an older version
+ * than the server's come back as conflicts, except deletes, where the newer
+ * timestamp wins.
+ * @returns {Promise<void>}
+ */
+async function pushSyncQueue() {
+    const sent = { ...syncState.queue };
+    const changes = Object.values(sent);
+    if (changes.length === 0) return;
+
+    const result = await syncRequest('/changes', { method: 'POST', body: JSON.stringify({ changes }) });
+    // Changes queued again while the request was out are sent next time
+    const settle = (key) => {
+        if (syncState.queue[key] === sent[key]) delete syncState.queue[key];
+    };
+    (result.applied || []).forEach(change => {
+        const key = getSyncKey(change.store, change.id);
+        syncState.versions[key] = change.updatedAt;
+        if (syncState.queue[key] && syncState.queue[key] !== sent[key]) {
+            syncState.queue[key].baseUpdatedAt = change.updatedAt;
+        }
+        settle(key);
+    });
+    (result.stale || []).forEach(change => settle(getSyncKey(change.store, change.id)));
+    (result.conflicts || []).forEach(conflict => {
+        const key = getSyncKey(conflict.store, conflict.id);
+        syncState.conflicts = syncState.conflicts.filter(c => getSyncKey(c.store, c.id) !== key);
+        syncState.conflicts.push({
+            store: conflict.store,
+            id: conflict.id,
+            local: sent[key].record,
+            server: conflict.record,
+            serverUpdatedAt: conflict.updatedAt
+        });
+        settle(key);
+    });
+}
+
+/**
+ * Fetch and apply changes made since the last pull
+ * @returns {Promise<void>}
+ */
+async function pullSyncChanges() {
+    const since = syncState.cursor !== null ? `?since=${encodeURIComponent(syncState.cursor)}` : '';
+    const result = await syncRequest(`/changes${since}`);
+    await applyRemoteChanges(result.changes || []);
+    syncState.cursor = result.cursor;
+}
+
+/**
+ * Apply changes from the server. Records with unsent local changes or an
+ * open conflict are left alone. Records that fail the same checks as an
+ * import are skipped and listed in Settings instead.
+ * @param {SyncChange[]} changes - Changes from the server
+ * @returns {Promise<void>}
+ */
+async function applyRemoteChanges(changes) {
+    const conflictKeys = new Set(syncState.conflicts.map(c => getSyncKey(c.store, c.id)));
+    const rejected = new Map();
+    const pending = changes.filter(change => {
+        const key = getSyncKey(change.store, change.id);
+        if (!SYNC_STORES.includes(change.store) || syncState.queue[key] || conflictKeys.has(key)) return false;
+        if (change.record !== null && (!change.record || typeof change.record !== 'object' || change.record.id !== change.id)) {
+            rejected.set(change, [`${change.store} ${JSON.stringify(change.id)}: record does not match the change`]);
+            return false;
+        }
+        return true;
+    });
+    if (pending.length === 0 && rejected.size === 0) return;
+
+    // Check the pulled records against everything else, dropping failures until
+    // the rest checks out, since a record can rely on another one that failed
+    let accepted = pending;
+    let merged;
+    let failed;
+    do {
+        merged = {};
+        SYNC_STORES.forEach(storeName => {
+            const byId = new Map(STORE_RECORDS[storeName]().map(record => [record.id, record]));
+            accepted.filter(change => change.store === storeName).forEach(change => {
+                if (change.record) {
+                    byId.set(change.id, change.record);
+                } else {
+                    byId.delete(change.id);
+                }
+            });
+            merged[storeName] = Array.from(byId.values());
+        });
+        const recordErrors = new Map();
+        validateData(merged, recordErrors);
+        failed = accepted.filter(change => change.record && recordErrors.has(change.record));
+        failed.forEach(change => rejected.set(change, recordErrors.get(change.record)));
+        accepted = accepted.filter(change => !failed.includes(change));
+    } while (failed.length > 0);
+
+    const acceptedKeys = new Set(accepted.map(change => getSyncKey(change.store, change.id)));
+    const rejectedKeys = new Set(Array.from(rejected.keys()).map(change => getSyncKey(change.store, change.id)));
+    syncState.rejected = [
+        ...syncState.rejected.filter(entry => {
+            const key = getSyncKey(entry.store, entry.id);
+            return !acceptedKeys.has(key) && !rejectedKeys.has(key);
+        }),
+        ...Array.from(rejected, ([change, errors]) => ({ store: change.store, id: String(change.id), errors }))
+    ];
+    if (accepted.length === 0) return;
+
+    accepted.forEach(change => {
+        syncState.versions[getSyncKey(change.store, change.id)] = change.updatedAt;
+    });
+    for (const storeName of SYNC_STORES) {
+        const storeChanges = accepted.filter(change => change.store === storeName);
+        if (storeChanges.length === 0) continue;
+        setStoreRecords(storeName, merged[storeName]);
+        const puts = storeChanges.filter(change => change.record).map(change => change.record);
+        const deletes = storeChanges.filter(change => !change.record).map(change => change.id);
+        if (puts.length > 0) await persistRecords(storeName, puts, { sync: false });
+        if (deletes.length > 0) await removeRecords(storeName, deletes, { sync: false });
+    }
+
+    renderGames();
+    renderSessions();
+    renderPlayers();
+    renderTrash();
+    updateGameDropdown();
+}
+
+/**
+ * Forget the server changes that were skipped for failing validation
+ */
+function dismissRejectedSyncChanges() {
+    syncState.rejected = [];
+    saveSyncState();
+    renderSyncSettings();
+}
+
+/**
+ * Resolve a sync conflict by keeping this device's version or the server's
+ * @param {number} index - Conflict index
+ * @param {'mine'|'theirs'} choice - Version to keep
+ * @returns {Promise<void>}
+ */
+async function resolveSyncConflict(index, choice) {
+    const conflict = syncState.conflicts[index];
+    if (!conflict) return;
+    const key = getSyncKey(conflict.store, conflict.id);
+    syncState.conflicts.splice(index, 1);
+
+    if (choice === 'mine') {
+        // Make this device's version the newest, on top of the server's
+        const current = STORE_RECORDS[conflict.store]().find(record => record.id === conflict.id) || conflict.local;
+        const record = { ...current, updatedAt: new Date().toISOString() };
+        syncState.versions[key] = conflict.serverUpdatedAt;
+        await applyRemoteChanges([{ store: conflict.store, id: conflict.id, updatedAt: conflict.serverUpdatedAt, record }]);
+        syncState.queue[key] = { store: conflict.store, id: conflict.id, updatedAt: record.updatedAt, record, baseUpdatedAt: conflict.serverUpdatedAt };
+    } else {
+        await applyRemoteChanges([{ store: conflict.store, id: conflict.id, updatedAt: conflict.serverUpdatedAt, record: conflict.server }]);
+    }
+    saveSyncState();
+    renderSyncSettings();
+    scheduleSync(0);
+}
+
+/**
+ * Save the sync endpoint. Switching to a new endpoint starts over, sending
+ * every record to it.
+ * @param {string} endpoint - Server URL, empty to turn sync off
+ * @param {string} token - Optional bearer token
+ */
+function saveSyncSettings(endpoint, token) {
+    const changed = endpoint !== syncSettings.endpoint;
+    syncSettings = { endpoint, token };
+    writeMeta('syncSettings', syncSettings);
+    if (changed) {
+        syncState = createSyncState();
+        if (endpoint) {
+            SYNC_STORES.forEach(storeName => queueSyncChanges(storeName, STORE_RECORDS[storeName]()));
+        }
+        saveSyncState();
+    }
+    renderSyncSettings();
+    scheduleSync(0);
+}
+
+/**
+ * Describe sync progress in the Settings panel
+ */
+function renderSyncStatus() {
+    const status = document.getElementById('syncStatus');
+    if (!status) return;
+    if (!syncSettings.endpoint) {
+        status.textContent = 'Sync is off.';
+        return;
+    }
+    const queued = Object.keys(syncState.queue).length;
+    const parts = [];
+    if (syncInProgress) {
+        parts.push('Syncing…');
+    } else if (navigator.onLine === false) {
+        parts.push('Offline; changes will sync when the connection returns.');
+    } else if (syncState.lastError) {
+        parts.push(`Last sync failed: ${syncState.lastError}.`);
+    } else if (syncState.lastSyncedAt) {
+        parts.push(`Last synced ${new Date(syncState.lastSyncedAt).toLocaleString()}.`);
+    }
+    if (queued > 0) parts.push(`${queued} change${queued === 1 ? '' : 's'} waiting to be sent.`);
+    status.textContent = parts.join(' ');
+}
+
+/**
+ * Render the Sync card in Settings, including conflicts to resolve
+ */
+function renderSyncSettings() {
+    const endpointInput = document.getElementById('syncEndpoint');
+    if (!endpointInput) return;
+    if (document.activeElement !== endpointInput) endpointInput.value = syncSettings.endpoint;
+    const tokenInput = document.getElementById('syncToken');
+    if (document.activeElement !== tokenInput) tokenInput.value = syncSettings.token;
+    document.getElementById('syncNowBtn').disabled = !syncSettings.endpoint;
+    renderSyncStatus();
+
+    const container = document.getElementById('syncConflicts');
+    container.innerHTML = syncState.conflicts.map((conflict, i) => {
+        const local = conflict.local || {};
+        const server = conflict.server || {};
+        const label = {
+            games: () => `🎲 ${escapeHtml(local.title || server.title)}`,
+            players: () => `👤 ${escapeHtml(local.name || server.name)}`,
+            sessions: () => `🎮 ${escapeHtml(getGameById(local.gameId)?.title || 'Unknown Game')} · ${formatDate(local.date)}`
+        }[conflict.store]();
+        return `
+            <fieldset class="merge-conflict">
+                <legend>${label}</legend>
+                <table class="data-table">
+                    <thead>
+                        <tr><th scope="col">Field</th><th scope="col">This device</th><th scope="col">Server</th></tr>
+                    </thead>
+                    <tbody>
+                        ${getChangedFields(local, server).map(field => `
+                            <tr>
+                                <td>${escapeHtml(field)}</td>
+                                <td>${escapeHtml(formatConflictValue(field, local[field]))}</td>
+                                <td>${escapeHtml(formatConflictValue(field, server[field]))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div class="merge-choices">
+                    <button type="button" class="btn btn-secondary btn-small" onclick="resolveSyncConflict(${i}, 'mine')">Keep mine</button>
+                    <button type="button" class="btn btn-secondary btn-small" onclick="resolveSyncConflict(${i}, 'theirs')">Use server's</button>
+                </div>
+            </fieldset>
+        `;
+    }).join('');
+    if (syncState.conflicts.length > 0) {
+        container.insertAdjacentHTML('afterbegin', `<p class="import-error">⚠️ ${syncState.conflicts.length} record${syncState.conflicts.length === 1 ? ' was' : 's were'} changed both here and on another device. Choose which version to keep.</p>`);
+    }
+    if (syncState.rejected.length > 0) {
+        container.insertAdjacentHTML('beforeend', `
+            <p class="import-error">⚠️ ${syncState.rejected.length} change${syncState.rejected.length === 1 ? '' : 's'} from the server failed validation and ${syncState.rejected.length === 1 ? 'was' : 'were'} not saved on this device.</p>
+            ${renderValidationErrors(syncState.rejected.flatMap(entry => entry.errors))}
+            <div class="merge-choices">
+                <button type="button" class="btn btn-secondary btn-small" onclick="dismissRejectedSyncChanges()">Dismiss</button>
+            </div>
+        `);
+    }
+}
+
+// ============================================
+// Game Search Queries
+// ============================================
+
+/**
+ * Fields understood by the search box, e.g. `players:4 time:<=60 -tag:party`.
+ * Numeric fields take a number, a comparison (`<=60`) or a range (`2-3`).
+ * Getters are passed the game and the play stats from getPlayStats.
+ */
+const QUERY_FIELDS = {
+    players: { type: 'players' },
+    time: { type: 'number', get: game => game.playTime },
+    weight: { type: 'number', get: game => game.complexity },
+    complexity: { type: 'number', get: game => game.complexity },
+    rating: { type: 'number', get: game => game.rating },
+    year: { type: 'number', get: game => game.yearPublished },
+    price: { type: 'number', get: game => game.purchasePrice },
+    plays: { type: 'number', get: (game, playStats) => playStats.get(game.id)?.count || 0 },
+    lastplayed: { type: 'age' },
+    title: { type: 'text', get: game => [game.title] },
+    designer: { type: 'text', get: game => [game.designer] },
+    publisher: { type: 'text', get: game => [game.publisher] },
+    tag: { type: 'text', get: game => game.categories || [] },
+    location: { type: 'text', get: game => [game.location?.room, game.location?.shelf, game.location?.position] },
+    status: { type: 'status' }
+};
+
+// Days per unit for lastplayed: values such as 2w or 1y
+const QUERY_AGE_UNITS = { d: 1, w: 7, m: 30, y: 365 };
+
+/**
+ * Parse a numeric condition such as `60`, `<=60`, `>7` or `2-3`
+ * @param {string} text - Condition text
+ * @param {RegExp} [numberPattern] - Pattern for a single value
+ * @returns {{op: string, value: number, max?: number}|null} Condition, or null if it doesn't parse
+ */
+function parseQueryComparison(text, numberPattern = /^\d+(\.\d+)?$/) {
+    const range = text.match(/^([^-]+)-([^-]+)$/);
+    if (range && numberPattern.test(range[1]) && numberPattern.test(range[2])) {
+        return { op: 'range', value: range[1], max: range[2] };
+    }
+    const comparison = text.match(/^(<=|>=|<|>|=)?(.+)$/);
+    if (comparison && numberPattern.test(comparison[2])) {
+        return { op: comparison[1] || '=', value: comparison[2] };
+    }
+    return null;
+}
+
+/**
+ * Test a number against a parsed condition
+ * @param {number} actual - Value to test
+ * @param {{op: string, value: number, max?: number}} condition - Condition
+ * @returns {boolean} True if the value satisfies the condition
+ */
+function compareQueryValue(actual, condition) {
+    switch (condition.op) {
+        case 'range': return actual >= condition.value && actual <= condition.max;
+        case '<': return actual < condition.value;
+        case '<=': return actual <= condition.value;
+        case '>': return actual > condition.value;
+        case '>=': return actual >= condition.value;
+        default: return actual === condition.value;
+    }
+}
+
+/**
+ * Parse the search box into filters. Words with an unknown field name, or a
+ * field name and no value, are plain search text. Filters whose value doesn't
+ * parse are reported and left out, so the rest of the query still applies.
+ * @param {string} text - Query text
+ * @returns {{terms: Object[], errors: string[]}} Parsed terms and readable problems
+ */
+function parseGameQuery(text) {
+    const terms = [];
+    const errors = [];
+    const tokens = (text || '').match(/-?(?:[a-z]+:)?(?:"[^"]*"?|[^\s"]+)/gi) || [];
+
+    tokens.forEach(token => {
+        let rest = token;
+        const negate = rest.length > 1 && rest.startsWith('-');
+        if (negate) rest = rest.slice(1);
+
+        const fieldMatch = rest.match(/^([a-z]+):(.*)$/i);
+        const fieldName = fieldMatch ? fieldMatch[1].toLowerCase() : null;
+        let value = fieldMatch ? fieldMatch[2] : rest;
+        if (value.startsWith('"')) {
+            if (value.length < 2 || !value.endsWith('"')) {
+                errors.push(`Missing closing quote in ${token}`);
+                return;
+            }
+            value = value.slice(1, -1);
+        }
+
+        if (!fieldName) {
+            if (value) terms.push({ type: 'free', value: value.toLowerCase(), negate });
+            return;
+        }
+        const field = QUERY_FIELDS[fieldName];
+        if (!field || !value) {
+            // Colons are common in titles ("Star Wars: Rebellion"), so words that
+            // aren't a filter are searched for as they are
+            terms.push({ type: 'free', value: `${fieldMatch[1]}:${value}`.toLowerCase(), negate });
+            return;
+        }
+
+        switch (field.type) {
+            case 'players': {
+                const count = Number(value);
+                if (!Number.isInteger(count) || count < 1) {
+                    errors.push(`players:${value} should be a number of players, like players:4`);
+                    return;
+                }
+                terms.push({ type: 'players', value: count, negate });
+                return;
+            }
+            case 'number': {
+                const condition = parseQueryComparison(value);
+                if (!condition) {
+                    errors.push(`${fieldName}:${value} should be a number, a comparison like <=60 or a range like 2-3`);
+                    return;
+                }
+                condition.value = Number(condition.value);
+                if (condition.max !== undefined) condition.max = Number(condition.max);
+                terms.push({ type: 'number', field: fieldName, condition, negate });
+                return;
+            }
+            case 'age': {
+                if (value.toLowerCase() === 'never') {
+                    terms.push({ type: 'never', negate });
+                    return;
+                }
+                const condition = parseQueryComparison(value.toLowerCase(), /^\d+[dwmy]$/);
+                if (!condition) {
+                    errors.push(`lastplayed:${value} should be an age like >1y, <=2w or 30d-6m, or "never"`);
+                    return;
+                }
+                const toDays = (age) => parseInt(age) * QUERY_AGE_UNITS[age.slice(-1)];
+                condition.value = toDays(condition.value);
+                if (condition.max !== undefined) condition.max = toDays(condition.max);
+                terms.push({ type: 'age', condition, negate });
+                return;
+            }
+            case 'status': {
+                const status = { owned: 'owned', wishlist: 'wishlist', previouslyowned: 'previously-owned', prevowned: 'previously-owned', lent: 'lent' }[normalizeColumnName(value)];
+                if (!status) {
+                    errors.push(`status:${value} should be owned, wishlist, previously-owned or lent`);
+                    return;
+                }
+                terms.push({ type: 'status', value: status, negate });
+                return;
+            }
+            default:
+                terms.push({ type: 'text', field: fieldName, value: value.toLowerCase(), negate });
+        }
+    });
+
+    return { terms, errors };
+}
+
+/**
+ * Check a game against a parsed query
+ * @param {Game} game - Game to check
+ * @param {{terms: Object[]}} query - Query from parseGameQuery
+ * @param {Map<string, {count: number, lastPlayed: string}>} playStats - Play stats from getPlayStats
+ * @returns {boolean} True if the game matches every term
+ */
+function matchesGameQuery(game, query, playStats) {
+    return query.terms.every(term => {
+        let matches;
+        switch (term.type) {
+            case 'free':
+                matches = [game.title, game.designer, game.publisher, ...(game.categories || [])]
+                    .some(value => (value || '').toLowerCase().includes(term.value));
+                break;
+            case 'players':
+                matches = Boolean(game.minPlayers || game.maxPlayers) &&
+                    (game.minPlayers || 1) <= term.value &&
+                    (game.maxPlayers || game.minPlayers) >= term.value;
+                break;
+            case 'number': {
+                const actual = QUERY_FIELDS[term.field].get(game, playStats);
+                matches = typeof actual === 'number' && compareQueryValue(actual, term.condition);
+                break;
+            }
+            case 'never':
+                matches = !playStats.has(game.id);
+                break;
+            case 'age': {
+                const lastPlayed = playStats.get(game.id)?.lastPlayed;
+                // A game that was never played counts as played longer ago than anything
+                matches = lastPlayed
+                    ? compareQueryValue(getDaysSince(lastPlayed), term.condition)
+                    : ['>', '>='].includes(term.condition.op);
+                break;
+            }
+            case 'status':
+                matches = term.value === 'lent' ? Boolean(getActiveLoan(game)) : game.status === term.value;
+                break;
+            default:
+                matches = QUERY_FIELDS[term.field].get(game)
+                    .some(value => (value || '').toLowerCase().includes(term.value));
+        }
+        return term.negate ? !matches : matches;
+    });
+}
+
+/**
+ * Show problems with the search query under the search box
+ * @param {string[]} errors - Problems from parseGameQuery
+ */
+function renderSearchFeedback(errors) {
+    const feedback = document.getElementById('searchFeedback');
+    const input = document.getElementById('searchGames');
+    if (!feedback || !input) return;
+    input.setAttribute('aria-invalid', errors.length > 0 ? 'true' : 'false');
+    feedback.hidden = errors.length === 0;
+    feedback.innerHTML = errors.length > 0
+        ? `⚠️ Ignored: ${errors.map(escapeHtml).join('; ')}`
+        : '';
+}
+
+// ============================================
+// Smart Lists
+// ============================================
+
+/**
+ * A saved search, shown in the smart list dropdown
+ * @typedef {Object} SmartList
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {string} query - Search box text
+ * @property {string} status - Ownership status filter
+ */
+
+/** @type {SmartList[]} */
+let smartLists = [];
+
+/**
+ * Load saved smart lists
+ * @returns {Promise<void>}
+ */
+async function loadSmartLists() {
+    smartLists = (await readMeta('smartLists')) || [];
+    renderSmartListOptions();
+}
+
+/**
+ * Fill the smart list dropdown
+ * @param {string} [selectedId] - List to show as selected
+ */
+function renderSmartListOptions(selectedId = '') {
+    const select = document.getElementById('smartList');
+    if (!select) return;
+    const selected = smartLists.find(list => list.id === selectedId);
+    select.innerHTML = `
+        <option value="">Smart Lists</option>
+        ${[...smartLists].sort((a, b) => a.name.localeCompare(b.name)).map(list =>
+            `<option value="${list.id}">📑 ${escapeHtml(list.name)}</option>`
+        ).join('')}
+        <option value="__save">➕ Save current search…</option>
+        ${selected ? `<option value="__delete">🗑️ Delete "${escapeHtml(selected.name)}"</option>` : ''}
+    `;
+    select.value = selected ? selected.id : '';
+    select.dataset.current = selected ? selected.id : '';
+}
+
+/**
+ * Handle a choice from the smart list dropdown
+ * @param {string} value - Selected option
+ */
+function selectSmartList(value) {
+    const select = document.getElementById('smartList');
+    const currentId = select.dataset.current;
+
+    if (value === '__save') {
+        const query = document.getElementById('searchGames').value.trim();
+        const status = document.getElementById('filterStatus').value;
+        if (!query && status === 'all') {
+            alert('Type a search or choose a status first, then save it as a smart list.');
+            renderSmartListOptions(currentId);
+            return;
+        }
+        const name = (prompt('Name this smart list:', '') || '').trim();
+        if (!name) {
+            renderSmartListOptions(currentId);
+            return;
+        }
+        const existing = smartLists.find(list => normalizeTitle(list.name) === normalizeTitle(name));
+        const list = existing || { id: generateId(), name };
+        Object.assign(list, { query, status });
+        if (!existing) smartLists.push(list);
+        writeMeta('smartLists', smartLists);
+        renderSmartListOptions(list.id);
+        return;
+    }
+
+    if (value === '__delete') {
+        smartLists = smartLists.filter(list => list.id !== currentId);
+        writeMeta('smartLists', smartLists);
+        renderSmartListOptions();
+        return;
+    }
+
+    const list = smartLists.find(l => l.id === value);
+    if (list) {
+        document.getElementById('searchGames').value = list.query;
+        document.getElementById('filterStatus').value = list.status || 'all';
+        renderGames();
+    }
+    renderSmartListOptions(list ? list.id : '');
+}
+
+// ============================================
+// Rendering Functions
+// ============================================
+
+// Active Collection filters beyond search and status; tags combine with AND
+let collectionFilters = { tags: [] };
+
+/**
+ * Facets offered in the Collection panel. Each facet lists the values a game
+ * has for it; bucketed facets also list their options in display order.
+ * @type {Array<{key: string, label: string, values: function(Game): string[], options?: Array<{value: string, label: string}>}>}
+ */
+const COLLECTION_FACETS = [
+    {
+        key: 'tags',
+        label: 'Tag',
+        values: game => game.categories || []
+    },
+    {
+        key: 'designer',
+        label: 'Designer',
+        values: game => (game.designer || '').split(/,|&/).map(name => name.trim()).filter(Boolean)
+    },
+    {
+        key: 'publisher',
+        label: 'Publisher',
+        values: game => game.publisher ? [game.publisher.trim()] : []
+    },
+    {
+        key: 'players',
+        label: 'Players',
+        options: [1, 2, 3, 4, 5, 6, 7, 8].map(n => ({ value: String(n), label: n === 8 ? '8+ players' : `${n} player${n === 1 ? '' : 's'}` })),
+        values: game => {
+            if (!game.minPlayers && !game.maxPlayers) return [];
+            const min = game.minPlayers || 1;
+            const max = game.maxPlayers || min;
+            const counts = [];
+            for (let n = min; n <= Math.min(max, 8); n++) counts.push(String(n));
+            return counts;
+        }
+    },
+    {
+        key: 'playTime',
+        label: 'Play Time',
+        options: [
+            { value: 'short', label: 'Up to 30 min' },
+            { value: 'medium', label: '31-60 min' },
+            { value: 'long', label: '1-2 hours' },
+            { value: 'epic', label: 'Over 2 hours' }
+        ],
+        values: game => {
+            if (!game.playTime) return [];
+            if (game.playTime <= 30) return ['short'];
+            if (game.playTime <= 60) return ['medium'];
+            return [game.playTime <= 120 ? 'long' : 'epic'];
+        }
+    },
+    {
+        key: 'complexity',
+        label: 'Complexity',
+        options: [
+            { value: 'light', label: 'Light (under 2)' },
+            { value: 'medium', label: 'Medium (2-3.5)' },
+            { value: 'heavy', label: 'Heavy (over 3.5)' }
+        ],
+        values: game => {
+            if (!game.complexity) return [];
+            if (game.complexity < 2) return ['light'];
+            return [game.complexity <= 3.5 ? 'medium' : 'heavy'];
+        }
+    },
+    {
+        key: 'rating',
+        label: 'Rating',
+        options: [
+            { value: 'top', label: '8 and up' },
+            { value: 'good', label: '6-7.5' },
+            { value: 'low', label: 'Below 6' },
+            { value: 'unrated', label: 'Unrated' }
+        ],
+        values: game => {
+            if (!game.rating) return ['unrated'];
+            if (game.rating >= 8) return ['top'];
+            return [game.rating >= 6 ? 'good' : 'low'];
+        }
+    },
+    {
+        key: 'played',
+        label: 'History',
+        options: [
+            { value: 'played', label: 'Played' },
+            { value: 'unplayed', label: 'Never played' }
+        ],
+        values: (game, playStats) => [playStats.has(game.id) ? 'played' : 'unplayed']
+    }
+];
+
+/**
+ * Check a game against the active facet filters
+ * @param {Game} game - Game to check
+ * @param {Map<string, {count: number, lastPlayed: string}>} playStats - Play stats from getPlayStats
+ * @param {string} [ignoreKey] - Facet to leave out, for counting that facet's options
+ * @returns {boolean} True if the game matches
+ */
+function matchesCollectionFacets(game, playStats, ignoreKey) {
+    return COLLECTION_FACETS.every(facet => {
+        if (facet.key === ignoreKey) return true;
+        const values = facet.values(game, playStats).map(normalizeTitle);
+        if (facet.key === 'tags') {
+            return collectionFilters.tags.every(tag => values.includes(normalizeTitle(tag)));
+        }
+        const selected = collectionFilters[facet.key];
+        return !selected || values.includes(normalizeTitle(selected));
+    });
+}
+
+/**
+ * Render the facet dropdowns with result counts, and chips for active filters
+ * @param {Game[]} candidates - Games that pass the search and status filters
+ * @param {Map<string, {count: number, lastPlayed: string}>} playStats - Play stats from getPlayStats
+ */
+function renderCollectionFacets(candidates, playStats) {
+    const container = document.getElementById('facetFilters');
+    if (!container) return;
+    const focusedFacet = document.activeElement?.dataset?.facet;
+
+    const selects = COLLECTION_FACETS.map(facet => {
+        // Count each option among games that match every other facet
+        const counts = new Map();
+        const labels = new Map();
+        candidates.filter(game => matchesCollectionFacets(game, playStats, facet.key)).forEach(game => {
+            facet.values(game, playStats).forEach(value => {
+                const key = normalizeTitle(value);
+                counts.set(key, (counts.get(key) || 0) + 1);
+                if (!labels.has(key)) labels.set(key, value);
+            });
+        });
+        const options = facet.options
+            ? facet.options.map(option => ({ value: option.value, label: option.label }))
+            : [...labels.values()].sort((a, b) => a.localeCompare(b)).map(value => ({ value, label: value }));
+
+        const selected = facet.key === 'tags' ? '' : collectionFilters[facet.key] || '';
+        const optionHtml = options
+            .filter(option => {
+                const key = normalizeTitle(option.value);
+                if (facet.key === 'tags' && collectionFilters.tags.some(tag => normalizeTitle(tag) === key)) return false;
+                return counts.get(key) || key === normalizeTitle(selected);
+            })
+            .map(option => `
+                <option value="${escapeHtml(option.value)}" ${normalizeTitle(option.value) === normalizeTitle(selected) ? 'selected' : ''}>
+                    ${escapeHtml(option.label)} (${counts.get(normalizeTitle(option.value)) || 0})
+                </option>
+            `).join('');
+
+        return `
+            <label class="sr-only" for="facet-${facet.key}">Filter by ${facet.label.toLowerCase()}</label>
+            <select id="facet-${facet.key}" data-facet="${facet.key}" class="facet-select ${selected ? 'active' : ''}">
+                <option value="">${facet.key === 'tags' ? 'Add tag…' : `${facet.label}: any`}</option>
+                ${optionHtml}
+            </select>
+        `;
+    }).join('');
+
+    const activeChips = [
+        ...collectionFilters.tags.map(tag => ({ key: 'tags', value: tag, label: `🏷️ ${tag}` })),
+        ...COLLECTION_FACETS.filter(facet => facet.key !== 'tags' && collectionFilters[facet.key]).map(facet => {
+            const value = collectionFilters[facet.key];
+            const option = facet.options?.find(o => o.value === value);
+            return { key: facet.key, value, label: `${facet.label}: ${option ? option.label : value}` };
+        })
+    ];
+
+    container.innerHTML = `
+        <div class="facet-selects">${selects}</div>
+        ${activeChips.length > 0 ? `
+            <div class="chip-list facet-active">
+                ${activeChips.map(chip => `
+                    <span class="chip">
+                        ${escapeHtml(chip.label)}
+                        <button type="button" class="chip-remove" data-clear-facet="${chip.key}" data-facet-value="${escapeHtml(chip.value)}" aria-label="Remove filter ${escapeHtml(chip.label)}">&times;</button>
+                    </span>
+                `).join('')}
+                <button type="button" class="btn btn-ghost btn-small" data-clear-facet="all">Clear filters</button>
+            </div>
+        ` : ''}
+    `;
+
+    if (focusedFacet) {
+        document.getElementById(`facet-${focusedFacet}`)?.focus();
+    }
+}
+
+/**
+ * Apply a facet choice from the Collection filters
+ * @param {string} key - Facet key
+ * @param {string} value - Chosen value, empty to clear
+ */
+function setCollectionFacet(key, value) {
+    if (key === 'tags') {
+        if (value && !collectionFilters.tags.some(tag => normalizeTitle(tag) === normalizeTitle(value))) {
+            collectionFilters.tags.push(value);
+        }
+    } else {
+        collectionFilters[key] = value || undefined;
+    }
+    renderGames();
+}
+
+/**
+ * Remove one active filter, or all of them
+ * @param {string} key - Facet key, or 'all'
+ * @param {string} [value] - Tag to remove
+ */
+function clearCollectionFacet(key, value) {
+    if (key === 'all') {
+        collectionFilters = { tags: [] };
+    } else if (key === 'tags') {
+        collectionFilters.tags = collectionFilters.tags.filter(tag => tag !== value);
+    } else {
+        delete collectionFilters[key];
+    }
+    renderGames();
+}
+
+/**
+ * Render the games list with current filters and sorting
+ */
+function renderGames() {
+    const gamesList = document.getElementById('gamesList');
+    if (!gamesList) return;
+
+    // Get filter and sort values
+    const query = parseGameQuery(document.getElementById('searchGames')?.value);
+    const statusFilter = document.getElementById('filterStatus')?.value || 'all';
+    const sortBy = document.getElementById('sortGames')?.value || 'title';
+
+    renderSearchFeedback(query.errors);
+    const playStats = getPlayStats();
+
+    const matchesFilters = (game) => {
+        // Search filter
+        const matchesSearch = matchesGameQuery(game, query, playStats);
+
+        // Status filter
+        const matchesStatus = statusFilter === 'all' ||
+            (statusFilter === 'lent' ? Boolean(getActiveLoan(game)) : game.status === statusFilter);
+
+        return matchesSearch && matchesStatus;
+    };
+
+    // Filter games. Expansions are shown on their base game's card, which
+    // matches when any of its expansions does.
+    const candidates = games.filter(game => {
+        if (game.baseGameId && getGameById(game.baseGameId)) return false;
+        return matchesFilters(game) || getExpansions(game.id).some(matchesFilters);
+    });
+    renderCollectionFacets(candidates, playStats);
+    let filteredGames = candidates.filter(game => matchesCollectionFacets(game, playStats));
+
+    // Sort games
+    filteredGames.sort((a, b) => {
+        switch (sortBy) {
+            case 'title':
+                return (a.title || '').localeCompare(b.title || '');
+            case 'rating':
+                return (b.rating || 0) - (a.rating || 0);
+            case 'playTime':
+                return (a.playTime || 0) - (b.playTime || 0);
+            case 'plays':
+                return (playStats.get(b.id)?.count || 0) - (playStats.get(a.id)?.count || 0);
+            case 'lastPlayed':
+                const dateA = playStats.get(a.id)?.lastPlayed || '1900-01-01';
+                const dateB = playStats.get(b.id)?.lastPlayed || '1900-01-01';
+                return new Date(dateB) - new Date(dateA);
+            default:
+                return 0;
+        }
+    });
+
+    // Render
+    if (filteredGames.length === 0) {
+        if (games.length === 0) {
+            gamesList.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🎲</div>
+                    <p>No games in your collection yet. Add your first game!</p>
+                </div>
+            `;
+        } else {
+            gamesList.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🔍</div>
+                    <p>No games match your search or filter criteria.</p>
+                </div>
+            `;
+        }
+        return;
+    }
+
+    gamesList.innerHTML = filteredGames.map(game => renderGameCard(game, playStats)).join('');
+}
+
+/**
+ * Render a single game card
+ * @param {Game} game - Game to render
+ * @param {Map<string, {count: number, lastPlayed: string}>} playStats - Play stats from getPlayStats
+ * @returns {string} HTML string
+ */
+function renderGameCard(game, playStats) {
+    const playCount = playStats.get(game.id)?.count || 0;
+    const lastPlayed = playStats.get(game.id)?.lastPlayed || null;
+    const statusClass = `status-${game.status}`;
+    const statusLabel = {
+        'owned': 'Owned',
+        'wishlist': 'Wishlist',
+        'previously-owned': 'Prev. Owned'
+    }[game.status] || 'Owned';
+
+    const imageSrc = getGameImageSrc(game, 'card');
+    const imageHtml = imageSrc
+        ? `<img src="${escapeHtml(imageSrc)}" alt="${escapeHtml(game.title)} box art" class="game-card-image" loading="lazy" data-fallback="true">`
+        : '<div class="game-card-placeholder">🎲</div>';
+
+    const metaItems = [];
+    if (game.minPlayers || game.maxPlayers) {
+        const players = game.minPlayers === game.maxPlayers 
+            ? `${game.minPlayers}` 
+            : `${game.minPlayers || '?'}-${game.maxPlayers || '?'}`;
+        metaItems.push(`<span>👥 ${players}</span>`);
+    }
+    if (game.playTime) {
+        metaItems.push(`<span>⏱️ ${formatDuration(game.playTime)}</span>`);
+    }
+    if (game.complexity) {
+        metaItems.push(`<span>⚖️ ${game.complexity}/5</span>`);
+    }
+    if (game.yearPublished) {
+        metaItems.push(`<span>📅 ${game.yearPublished}</span>`);
+    }
+
+    const ratingHtml = game.rating 
+        ? `<div class="game-card-rating">
+            <span class="rating-stars">${ratingToStars(game.rating)}</span>
+            <span class="rating-value">${game.rating}/10</span>
+           </div>`
+        : '';
+
+    const expansions = getExpansions(game.id);
+    const expansionsHtml = expansions.length > 0
+        ? `<div class="game-card-expansions">
+            ${expansions.map(expansion => `
+                <button type="button" class="chip expansion-chip status-${expansion.status}" onclick="showGameDetails('${expansion.id}')" title="${escapeHtml(expansion.expansionType === 'promo' ? 'Promo' : 'Expansion')}: ${escapeHtml(expansion.title)}">
+                    🧩 ${escapeHtml(expansion.title)}
+                </button>
+            `).join('')}
+           </div>`
+        : '';
+
+    const locationHtml = game.location
+        ? `<div class="game-card-location">📍 ${escapeHtml(formatLocation(game.location))}</div>`
+        : '';
+
+    const activeLoan = getActiveLoan(game);
+    const loanHtml = activeLoan
+        ? `<div class="game-card-loan ${isLoanOverdue(activeLoan) ? 'overdue' : ''}" title="${escapeHtml(describeLoanDates(activeLoan))}">
+            📤 Lent to ${escapeHtml(getBorrowerName(activeLoan))}${isLoanOverdue(activeLoan) ? ' · overdue' : ''}
+           </div>`
+        : '';
+
+    return `
+        <article class="game-card">
+            ${imageHtml}
+            <div class="game-card-content">
+                <div class="game-card-header">
+                    <h3 class="game-card-title">${escapeHtml(game.title)}</h3>
+                    <span class="game-card-status ${statusClass}">${statusLabel}</span>
+                </div>
+                ${metaItems.length > 0 ? `<div class="game-card-meta">${metaItems.join('')}</div>` : ''}
+                ${locationHtml}
+                ${loanHtml}
+                ${ratingHtml}
+                ${expansionsHtml}
+                <div class="game-card-stats">
+                    <div class="game-stat">
+                        <span class="game-stat-label">Plays</span>
+                        <span class="game-stat-value">${playCount}</span>
+                    </div>
+                    <div class="game-stat">
+                        <span class="game-stat-label">Last Played</span>
+                        <span class="game-stat-value">${lastPlayed ? formatDate(lastPlayed) : 'Never'}</span>
+                    </div>
+                </div>
+                <div class="game-card-actions">
+                    <button class="btn btn-secondary btn-small" onclick="openPlaySessionModal('${game.id}')" title="Log a play">
+                        ▶️ Log Play
+                    </button>
+                    <button class="btn btn-secondary btn-small" onclick="startLiveGame('${game.id}')" title="Start a timed game">
+                        ⏱️
+                    </button>
+                    <button class="btn btn-info btn-small" onclick="showGameDetails('${game.id}')" title="View details">
+                        📋 Details
+                    </button>
+                    <button class="btn btn-ghost btn-small" onclick="openEditGameModal('${game.id}')" title="Edit game">
+                        ✏️
+                    </button>
+                </div>
+            </div>
+        </article>
+    `;
+}
+
+/**
+ * Render the session browser: play sessions matching the filters, a page at a time
+ */
+function renderSessions() {
+    const recentSessionsDiv = document.getElementById('recentSessions');
+    if (!recentSessionsDiv) return;
+
+    updateSessionFilterOptions();
+    const titles = new Map(games.map(game => [game.id, game.title]));
+    const compare = SESSION_SORTS[sessionFilters.sort];
+    sessionResults = sessions.filter(matchesSessionFilters).sort((a, b) => compare(a, b, titles));
+    // Keep the sessions already shown when the data changes, e.g. after an edit
+    sessionsShown = Math.max(SESSION_PAGE_SIZE, Math.min(sessionsShown, sessionResults.length));
+    document.getElementById('sessionSummary').textContent = sessions.length > 0 ? summarizeSessionResults() : '';
+
+    if (sessionResults.length === 0) {
+        recentSessionsDiv.innerHTML = sessions.length === 0
+            ? `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🎮</div>
+                    <p>No play sessions logged yet. Start by logging your first play!</p>
+                </div>
+            `
+            : '<p class="help-text">No sessions match these filters.</p>';
+    } else {
+        recentSessionsDiv.innerHTML = `
+            <div class="session-list">
+                ${sessionResults.slice(0, sessionsShown).map(session => renderSessionItem(session)).join('')}
+            </div>
+        `;
+    }
+    updateSessionPager();
+    renderSessionCalendar();
+
+    // Update game dropdown for session modal
+    updateGameDropdown();
+}
+
+/**
+ * Order results by placement, then by score
+ * @param {PlayerResult[]} results - Results to sort
+ * @returns {PlayerResult[]} Sorted copy
+ */
+function sortResults(results) {
+    const rank = (value, fallback) => typeof value === 'number' ? value : fallback;
+    return [...results].sort((a, b) =>
+        rank(a.position, Infinity) - rank(b.position, Infinity) ||
+        rank(b.score, -Infinity) - rank(a.score, -Infinity)
+    );
+}
+
+/**
+ * Render a session's scores and placements, its teams or its cooperative outcome
+ * @param {PlaySession} session - Session to render
+ * @returns {string} HTML string, empty when there is nothing beyond the player list
+ */
+function renderSessionResults(session) {
+    const results = session.results || [];
+    const winners = new Set(session.winners || []);
+    const renderResult = (result) => {
+        return `
+            <li class="session-result ${winners.has(result.playerId) ? 'winner' : ''}">
+                ${typeof result.position === 'number' ? `<span class="result-position">#${result.position}</span>` : ''}
+                ${escapeHtml(getPlayerName(result.playerId))}${winners.has(result.playerId) ? ' 🏆' : ''}
+                ${typeof result.score === 'number' ? `<span class="result-score">${result.score} pts</span>` : ''}
+            </li>
+        `;
+    };
+    const hasDetails = results.some(r => typeof r.score === 'number' || typeof r.position === 'number');
+
+    if (session.mode === 'cooperative') {
+        const outcome = session.outcome === 'win'
+            ? '<div class="session-outcome win">🤝 Won together against the game</div>'
+            : session.outcome === 'loss'
+                ? '<div class="session-outcome loss">💀 Lost to the game</div>'
+                : '';
+        const scores = hasDetails
+            ? `<ol class="session-results">${sortResults(results).map(renderResult).join('')}</ol>`
+            : '';
+        return outcome + scores;
+    }
+
+    if (session.mode === 'team' && results.some(r => r.team)) {
+        const teams = groupResultsByTeam(results).sort((a, b) =>
+            (a.position ?? Infinity) - (b.position ?? Infinity) || (b.score ?? -Infinity) - (a.score ?? -Infinity)
+        );
+        return `
+            <div class="session-teams">
+                ${teams.map(team => `
+                    <div class="session-team">
+                        <div class="session-team-name">
+                            ${escapeHtml(team.name || 'No team')}
+                            ${team.score !== undefined ? `<span class="result-score">${team.score} pts</span>` : ''}
+                        </div>
+                        <ol class="session-results">${sortResults(team.results).map(renderResult).join('')}</ol>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    return hasDetails
+        ? `<ol class="session-results">${sortResults(results).map(renderResult).join('')}</ol>`
+        : '';
+}
+
+/**
+ * Render the names of the expansions used in a session
+ * @param {string[]} expansionIds - Expansion game IDs
+ * @returns {string} HTML string
+ */
+function renderExpansionNames(expansionIds) {
+    // Expansions in the trash are still named until they are purged
+    return expansionIds
+        .map(id => escapeHtml((getGameById(id) || trash.games.find(g => g.id === id))?.title || 'Unknown Expansion'))
+        .join(', ');
+}
+
+/**
+ * Render a single session item
+ * @param {PlaySession} session - Session to render
+ * @returns {string} HTML string
+ */
+function renderSessionItem(session) {
+    const game = getGameById(session.gameId);
+    const gameName = game ? game.title : 'Unknown Game';
+
+    const detailItems = [];
+    if (session.players && session.players.length > 0) {
+        detailItems.push(`<span class="session-detail session-players">👥 ${renderPlayerNames(session.players)}</span>`);
+    }
+    if (session.mode !== 'cooperative' && session.winners && session.winners.length > 0) {
+        detailItems.push(`<span class="session-detail session-winners">🏆 ${renderPlayerNames(session.winners)}</span>`);
+    }
+    if (session.duration) {
+        detailItems.push(`<span class="session-detail session-duration">⏱️ ${formatDuration(session.duration)}</span>`);
+    }
+    if (session.expansionIds && session.expansionIds.length > 0) {
+        detailItems.push(`<span class="session-detail session-expansions">🧩 ${renderExpansionNames(session.expansionIds)}</span>`);
+    }
+
+    return `
+        <div class="play-session">
+            <div class="session-header">
+                <span class="session-game">${escapeHtml(gameName)}</span>
+                <span class="session-date">📅 ${formatDate(session.date)}</span>
+            </div>
+            ${detailItems.length > 0 ? `<div class="session-details">${detailItems.join('')}</div>` : ''}
+            ${renderSessionResults(session)}
+            ${session.notes ? `<div class="session-notes">📝 ${escapeHtml(session.notes)}</div>` : ''}
+            <div class="session-actions">
+                <button class="btn btn-ghost btn-small" onclick="editSession('${session.id}')" title="Edit session">
+                    ✏️ Edit
+                </button>
+                <button class="btn btn-danger btn-small" onclick="confirmDeleteSession('${session.id}')" title="Delete session">
+                    🗑️ Delete
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Update the game dropdown in session modal
+ */
+function updateGameDropdown() {
+    const dropdown = document.getElementById('sessionGame');
+    if (!dropdown) return;
+
+    // Expansions are picked separately once their base game is chosen
+    const ownedGames = games.filter(g => g.status === 'owned' && !(g.baseGameId && getGameById(g.baseGameId)))
+        .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+
+    dropdown.innerHTML = `
+        <option value="">Select a game...</option>
+        ${ownedGames.map(game => 
+            `<option value="${game.id}">${escapeHtml(game.title)}</option>`
+        ).join('')}
+    `;
+}
+
+/**
+ * Render statistics
+ */
+function renderStatistics() {
+    renderCollectionStats();
+    renderMostPlayedGames();
+    renderFrequentPlayers();
+    renderPlayerAnalytics();
+    renderExpansionStats();
+    renderValueStats();
+    renderPlayHistory();
+    renderPlayHeatmap();
+    renderPlayDistributions();
+    renderCategoryTimeChart();
+}
+
+/**
+ * Render how often each expansion is used in plays of its base game
+ */
+function renderExpansionStats() {
+    const container = document.getElementById('expansionStats');
+    if (!container) return;
+
+    const expansions = games
+        .filter(g => g.baseGameId && getGameById(g.baseGameId) && getPlayCount(g.baseGameId) > 0)
+        .map(expansion => ({ expansion, usage: getExpansionUsage(expansion) }))
+        .sort((a, b) => b.usage.with - a.usage.with || a.expansion.title.localeCompare(b.expansion.title));
+
+    if (expansions.length === 0) {
+        container.innerHTML = '<p class="help-text">No plays of games with expansions yet.</p>';
+        return;
+    }
+
+    container.innerHTML = expansions.map(({ expansion, usage }) => {
+        const total = usage.with + usage.without;
+        return `
+            <div class="stat-item">
+                <div style="flex: 1;">
+                    <div class="stat-item-name">${escapeHtml(expansion.title)}</div>
+                    <div class="expansion-meta">${escapeHtml(getGameById(expansion.baseGameId).title)} · ${usage.with} with, ${usage.without} without</div>
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${(usage.with / total) * 100}%"></div>
+                    </div>
+                </div>
+                <span class="stat-item-value">${formatWinRate(usage.with, total)}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Render collection overview statistics
+ */
+function renderCollectionStats() {
+    const container = document.getElementById('collectionStats');
+    if (!container) return;
+
+    const owned = games.filter(g => g.status === 'owned').length;
+    const wishlist = games.filter(g => g.status === 'wishlist').length;
+    const previouslyOwned = games.filter(g => g.status === 'previously-owned').length;
+    const totalPlays = sessions.length;
+
+    // Calculate total play time
+    const totalPlayTime = sessions.reduce((sum, s) => sum + (s.duration || 0), 0);
+
+    container.innerHTML = `
+        <div class="stat-item">
+            <span class="stat-item-name">📚 Games Owned</span>
+            <span class="stat-item-value">${owned}</span>
+        </div>
+        <div class="stat-item">
+            <span class="stat-item-name">⭐ Wishlist</span>
+            <span class="stat-item-value">${wishlist}</span>
+        </div>
+        <div class="stat-item">
+            <span class="stat-item-name">📤 Previously Owned</span>
+            <span class="stat-item-value">${previouslyOwned}</span>
+        </div>
+        <div class="stat-item">
+            <span class="stat-item-name">🎮 Total Plays</span>
+            <span class="stat-item-value">${totalPlays}</span>
+        </div>
+        <div class="stat-item">
+            <span class="stat-item-name">⏱️ Total Play Time</span>
+            <span class="stat-item-value">${formatDuration(totalPlayTime) || '0 min'}</span>
+        </div>
+    `;
+}
+
+/**
+ * Render most played games
+ */
+function renderMostPlayedGames() {
+    const container = document.getElementById('mostPlayedGames');
+    if (!container) return;
+
+    // Count plays per game
+    const playCounts = {};
+    sessions.forEach(session => {
+        playCounts[session.gameId] = (playCounts[session.gameId] || 0) + 1;
+    });
+
+    // Sort and get top 10
+    const topGames = Object.entries(playCounts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10);
+
+    if (topGames.length === 0) {
+        container.innerHTML = '<p class="help-text">No plays logged yet.</p>';
+        return;
+    }
+
+    const maxPlays = topGames[0][1];
+
+    container.innerHTML = topGames.map(([gameId, count]) => {
+        const game = getGameById(gameId);
+        const name = game ? game.title : 'Unknown';
+        const percentage = (count / maxPlays) * 100;
+
+        return `
+            <div class="stat-item">
+                <div style="flex: 1;">
+                    <div class="stat-item-name">${escapeHtml(name)}</div>
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${percentage}%"></div>
+                    </div>
+                </div>
+                <span class="stat-item-value">${count}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Render frequent players
+ */
+function renderFrequentPlayers() {
+    const container = document.getElementById('frequentPlayers');
+    if (!container) return;
+
+    // Count plays per player
+    const playerCounts = {};
+    sessions.forEach(session => {
+        if (session.players) {
+            session.players.forEach(playerId => {
+                playerCounts[playerId] = (playerCounts[playerId] || 0) + 1;
+            });
+        }
+    });
+
+    // Sort and get top 10
+    const topPlayers = Object.entries(playerCounts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10);
+
+    if (topPlayers.length === 0) {
+        container.innerHTML = '<p class="help-text">No players recorded yet.</p>';
+        return;
+    }
+
+    const maxPlays = topPlayers[0][1];
+
+    container.innerHTML = topPlayers.map(([playerId, count]) => {
+        const player = getPlayerById(playerId);
+        const percentage = (count / maxPlays) * 100;
+
+        return `
+            <div class="stat-item">
+                <div style="flex: 1;">
+                    <div class="stat-item-name">${player ? renderPlayerBadge(player) : '👤'} ${escapeHtml(getPlayerName(playerId))}</div>
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${percentage}%"></div>
+                    </div>
+                </div>
+                <span class="stat-item-value">${count} plays</span>
+            </div>
+        `;
+    }).join('');
+}
+
+// ============================================
+// Session Browser
+// ============================================
+
+// Sessions rendered per page of the session browser
+const SESSION_PAGE_SIZE = 50;
+// Recent sessions listed in a game's details; the rest are a click away in the browser
+const GAME_DETAILS_SESSION_COUNT = 20;
+
+// Current filters and sort order of the session browser
+let sessionFilters = { gameId: '', playerId: '', winnerId: '', from: '', to: '', text: '', sort: 'date-desc' };
+// Filtered, sorted sessions and how many of them are rendered
+let sessionResults = [];
+let sessionsShown = SESSION_PAGE_SIZE;
+
+const SESSION_SORTS = {
+    'date-desc': (a, b) => b.date.localeCompare(a.date) || (b.createdAt || '').localeCompare(a.createdAt || ''),
+    'date-asc': (a, b) => a.date.localeCompare(b.date) || (a.createdAt || '').localeCompare(b.createdAt || ''),
+    // Sessions without a duration sort last either way
+    'duration-desc': (a, b) => (b.duration || -1) - (a.duration || -1) || SESSION_SORTS['date-desc'](a, b),
+    'duration-asc': (a, b) => (a.duration || Infinity) - (b.duration || Infinity) || SESSION_SORTS['date-desc'](a, b),
+    // Titles come from a map built once per render, so sorting thousands of sessions stays quick
+    'game': (a, b, titles) =>
+        (titles.get(a.gameId) || '').localeCompare(titles.get(b.gameId) || '') ||
+        SESSION_SORTS['date-desc'](a, b)
+};
+
+/**
+ * Check a session against the session browser's filters
+ * @param {PlaySession} session - Session to check
+ * @returns {boolean} True if the session matches every filter
+ */
+function matchesSessionFilters(session) {
+    const { gameId, playerId, winnerId, from, to, text } = sessionFilters;
+    // Expansions match the plays they were used in
+    if (gameId && session.gameId !== gameId && !(session.expansionIds || []).includes(gameId)) return false;
+    if (playerId && !(session.players || []).includes(playerId)) return false;
+    if (winnerId && !(session.winners || []).includes(winnerId)) return false;
+    if (from && session.date < from) return false;
+    if (to && session.date > to) return false;
+    if (text && !(session.notes || '').toLowerCase().includes(text.toLowerCase())) return false;
+    return true;
+}
+
+/**
+ * Fill the game, player and winner filters, keeping the current picks where they still exist
+ */
+function updateSessionFilterOptions() {
+    const playedIds = new Set(sessions.flatMap(session => [session.gameId, ...(session.expansionIds || [])]));
+    const gameOptions = games
+        .filter(game => playedIds.has(game.id))
+        .sort((a, b) => (a.title || '').localeCompare(b.title || ''))
+        .map(game => `<option value="${game.id}">${escapeHtml(game.title)}</option>`)
+        .join('');
+    const playerOptions = [...players]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(player => `<option value="${player.id}">${escapeHtml(player.name)}</option>`)
+        .join('');
+
+    const fill = (id, key, placeholder, options) => {
+        const select = document.getElementById(id);
+        select.innerHTML = `<option value="">${placeholder}</option>${options}`;
+        select.value = sessionFilters[key];
+        // A deleted game or player falls back to "all"
+        sessionFilters[key] = select.value;
+    };
+    fill('sessionFilterGame', 'gameId', 'All games', gameOptions);
+    fill('sessionFilterPlayer', 'playerId', 'All players', playerOptions);
+    fill('sessionFilterWinner', 'winnerId', 'Any winner', playerOptions);
+}
+
+/**
+ * Summarize the sessions matching the current filters
+ * @returns {string} E.g. "124 plays · 96h 30m · 23 games"
+ */
+function summarizeSessionResults() {
+    const count = sessionResults.length;
+    const minutes = sessionResults.reduce((sum, session) => sum + (session.duration || 0), 0);
+    const gameCount = new Set(sessionResults.map(session => session.gameId)).size;
+    return [
+        `${count} play${count === 1 ? '' : 's'}`,
+        formatDuration(minutes) || '0 min',
+        `${gameCount} game${gameCount === 1 ? '' : 's'}`
+    ].join(' · ');
+}
+
+/**
+ * Render the next page of the session browser below the sessions already shown
+ */
+function showMoreSessions() {
+    const list = document.querySelector('#recentSessions .session-list');
+    if (!list) return;
+    const next = sessionResults.slice(sessionsShown, sessionsShown + SESSION_PAGE_SIZE);
+    list.insertAdjacentHTML('beforeend', next.map(renderSessionItem).join(''));
+    sessionsShown += next.length;
+    updateSessionPager();
+}
+
+/**
+ * Show or hide the "Show more" button for the session browser
+ */
+function updateSessionPager() {
+    const button = document.getElementById('sessionShowMore');
+    const remaining = sessionResults.length - sessionsShown;
+    button.hidden = remaining <= 0;
+    button.textContent = `Show ${Math.min(remaining, SESSION_PAGE_SIZE)} more (${remaining} left)`;
+}
+
+/**
+ * Read the session browser's filter inputs and show the first page of results
+ */
+function applySessionFilters() {
+    sessionFilters = {
+        gameId: document.getElementById('sessionFilterGame').value,
+        playerId: document.getElementById('sessionFilterPlayer').value,
+        winnerId: document.getElementById('sessionFilterWinner').value,
+        from: document.getElementById('sessionFilterFrom').value,
+        to: document.getElementById('sessionFilterTo').value,
+        text: document.getElementById('sessionFilterText').value.trim(),
+        sort: document.getElementById('sessionSort').value
+    };
+    sessionsShown = SESSION_PAGE_SIZE;
+    renderSessions();
+}
+
+/**
+ * Open the session browser filtered to one game
+ * @param {string} gameId - Game ID
+ */
+function browseGameSessions(gameId) {
+    document.getElementById('sessionFilters').reset();
+    sessionFilters = { gameId, playerId: '', winnerId: '', from: '', to: '', text: '', sort: 'date-desc' };
+    sessionsShown = SESSION_PAGE_SIZE;
+    closeModal('gameDetailsModal');
+    switchTab('sessions');
+    setSessionsView('list');
+}
+
+// ============================================
+// Session Calendar
+// ============================================
+
+// Weeks start on Monday (0 = Sunday)
+const CALENDAR_WEEK_START = 1;
+// Games listed in a month view day before the rest are summarized as "+N more"
+const CALENDAR_DAY_GAMES = 3;
+
+// Sessions panel layout: 'list' or 'calendar'
+let sessionsView = 'list';
+// Calendar mode ('month' or 'week'), the date it is showing, its filters and the day picked
+let calendarState = { mode: 'month', anchor: null, gameId: '', playerId: '', selected: null };
+
+/**
+ * Convert a YYYY-MM-DD date to a UTC Date, so calendar arithmetic ignores time zones
+ * @param {string} dateString - Date in YYYY-MM-DD form
+ * @returns {Date} Midnight UTC on that date
+ */
+function parseCalendarDate(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} dateString - Date in YYYY-MM-DD form
+ * @param {number} days - Days to add, negative to go back
+ * @returns {string} Date in YYYY-MM-DD form
+ */
+function addCalendarDays(dateString, days) {
+    const date = parseCalendarDate(dateString);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Format a calendar date with toLocaleDateString options
+ * @param {string} dateString - Date in YYYY-MM-DD form
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} Formatted date
+ */
+function formatCalendarDate(dateString, options) {
+    return parseCalendarDate(dateString).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+}
+
+/**
+ * Get the first and last day the calendar shows. Month views are padded to
+ * whole weeks.
+ * @returns {{start: string, end: string, month: string}} Dates in YYYY-MM-DD form, and the YYYY-MM being shown
+ */
+function getCalendarRange() {
+    const anchor = calendarState.anchor || todayString();
+    const startOfWeek = (dateString) => {
+        const offset = (parseCalendarDate(dateString).getUTCDay() - CALENDAR_WEEK_START + 7) % 7;
+        return addCalendarDays(dateString, -offset);
+    };
+    if (calendarState.mode === 'week') {
+        const start = startOfWeek(anchor);
+        return { start, end: addCalendarDays(start, 6), month: anchor.slice(0, 7) };
+    }
+    const first = `${anchor.slice(0, 7)}-01`;
+    const nextMonth = parseCalendarDate(first);
+    nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
+    const last = addCalendarDays(nextMonth.toISOString().slice(0, 10), -1);
+    return { start: startOfWeek(first), end: addCalendarDays(startOfWeek(last), 6), month: anchor.slice(0, 7) };
+}
+
+/**
+ * Move the calendar a month or week forwards or backwards
+ * @param {number} step - 1 for forwards, -1 for backwards
+ */
+function shiftCalendar(step) {
+    const anchor = calendarState.anchor || todayString();
+    if (calendarState.mode === 'week') {
+        calendarState.anchor = addCalendarDays(anchor, step * 7);
+    } else {
+        const date = parseCalendarDate(`${anchor.slice(0, 7)}-01`);
+        date.setUTCMonth(date.getUTCMonth() + step);
+        calendarState.anchor = date.toISOString().slice(0, 10);
+    }
+    calendarState.selected = null;
+    renderSessionCalendar();
+}
+
+/**
+ * Get the sessions in a date range that match the calendar's filters
+ * @param {string} start - First date, YYYY-MM-DD
+ * @param {string} end - Last date, YYYY-MM-DD
+ * @returns {Map<string, PlaySession[]>} Sessions keyed by date
+ */
+function getCalendarSessions(start, end) {
+    const byDate = new Map();
+    sessions
+        .filter(session =>
+            session.date >= start && session.date <= end &&
+            (!calendarState.gameId || session.gameId === calendarState.gameId) &&
+            (!calendarState.playerId || (session.players || []).includes(calendarState.playerId))
+        )
+        .forEach(session => {
+            if (!byDate.has(session.date)) byDate.set(session.date, []);
+            byDate.get(session.date).push(session);
+        });
+    return byDate;
+}
+
+/**
+ * Fill the calendar's game and player filters, keeping the current picks
+ */
+function updateCalendarFilters() {
+    const playedIds = new Set(sessions.map(session => session.gameId));
+    const playedGames = games
+        .filter(game => playedIds.has(game.id))
+        .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+    const gameSelect = document.getElementById('calendarGame');
+    gameSelect.innerHTML = `
+        <option value="">All games</option>
+        ${playedGames.map(game => `<option value="${game.id}">${escapeHtml(game.title)}</option>`).join('')}
+    `;
+    gameSelect.value = playedIds.has(calendarState.gameId) ? calendarState.gameId : '';
+    calendarState.gameId = gameSelect.value;
+
+    const playerSelect = document.getElementById('calendarPlayer');
+    playerSelect.innerHTML = `
+        <option value="">All players</option>
+        ${[...players].sort((a, b) => a.name.localeCompare(b.name))
+            .map(player => `<option value="${player.id}">${escapeHtml(player.name)}</option>`).join('')}
+    `;
+    playerSelect.value = getPlayerById(calendarState.playerId) ? calendarState.playerId : '';
+    calendarState.playerId = playerSelect.value;
+}
+
+/**
+ * Render one calendar day as a button that opens its sessions, or logs a new
+ * one when there are none
+ * @param {string} date - Date in YYYY-MM-DD form
+ * @param {PlaySession[]} daySessions - Matching sessions that day
+ * @param {string} month - YYYY-MM being shown; other days are dimmed
+ * @returns {string} HTML string
+ */
+function renderCalendarDay(date, daySessions, month) {
+    const classes = ['calendar-day'];
+    if (date.slice(0, 7) !== month && calendarState.mode === 'month') classes.push('outside');
+    if (date === todayString()) classes.push('today');
+    if (date === calendarState.selected) classes.push('selected');
+    if (daySessions.length > 0) classes.push('has-plays');
+
+    const titles = daySessions.map(session => getGameById(session.gameId)?.title || 'Unknown Game');
+    const label = `${formatCalendarDate(date, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}: ${
+        daySessions.length > 0
+            ? `${daySessions.length} play${daySessions.length === 1 ? '' : 's'}, ${titles.join(', ')}`
+            : 'no plays, log one'}`;
+    const shown = calendarState.mode === 'week' ? daySessions : daySessions.slice(0, CALENDAR_DAY_GAMES);
+
+    return `
+        <td>
+            <button type="button" class="${classes.join(' ')}" data-calendar-date="${date}" aria-label="${escapeHtml(label)}">
+                <span class="calendar-day-number" aria-hidden="true">${calendarState.mode === 'week'
+                    ? formatCalendarDate(date, { month: 'short', day: 'numeric' })
+                    : Number(date.slice(8))}</span>
+                <span class="calendar-day-games" aria-hidden="true">
+                    ${shown.map((session, i) => `
+                        <span class="calendar-game">${escapeHtml(titles[i])}${calendarState.mode === 'week' && (session.players || []).length > 0
+                            ? `<span class="calendar-game-players">${escapeHtml(session.players.map(getPlayerName).join(', '))}</span>`
+                            : ''}</span>
+                    `).join('')}
+                    ${daySessions.length > shown.length ? `<span class="calendar-more">+${daySessions.length - shown.length} more</span>` : ''}
+                </span>
+            </button>
+        </td>
+    `;
+}
+
+/**
+ * Render the sessions of the picked day below the calendar
+ * @param {Map<string, PlaySession[]>} byDate - Sessions keyed by date
+ */
+function renderCalendarDayDetails(byDate) {
+    const container = document.getElementById('calendarDay');
+    const date = calendarState.selected;
+    const daySessions = date ? byDate.get(date) || [] : [];
+    if (daySessions.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    container.innerHTML = `
+        <div class="calendar-day-header">
+            <h3>${escapeHtml(formatCalendarDate(date, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }))}</h3>
+            <button type="button" class="btn btn-secondary btn-small" data-calendar-log="${date}">➕ Log Another Play</button>
+        </div>
+        <div class="session-list">${daySessions.map(renderSessionItem).join('')}</div>
+    `;
+}
+
+/**
+ * Render the month or week calendar of sessions
+ */
+function renderSessionCalendar() {
+    const container = document.getElementById('sessionCalendar');
+    if (!container || sessionsView !== 'calendar') return;
+
+    updateCalendarFilters();
+    const { start, end, month } = getCalendarRange();
+    const byDate = getCalendarSessions(start, end);
+    const title = calendarState.mode === 'week'
+        ? `${formatCalendarDate(start, { month: 'short', day: 'numeric' })} – ${formatCalendarDate(end, { month: 'short', day: 'numeric', year: 'numeric' })}`
+        : formatCalendarDate(`${month}-01`, { month: 'long', year: 'numeric' });
+    document.getElementById('calendarTitle').textContent = title;
+    document.getElementById('calendarMode').value = calendarState.mode;
+
+    const weekdays = Array.from({ length: 7 }, (_, i) => addCalendarDays(start, i));
+    const weeks = [];
+    for (let day = start; day <= end; day = addCalendarDays(day, 7)) {
+        weeks.push(Array.from({ length: 7 }, (_, i) => addCalendarDays(day, i)));
+    }
+    const playCount = [...byDate.values()].reduce((sum, list) => sum + list.length, 0);
+
+    container.innerHTML = `
+        <table class="calendar-table calendar-${calendarState.mode}">
+            <caption class="sr-only">Play sessions, ${escapeHtml(title)}</caption>
+            <thead>
+                <tr>${weekdays.map(day => `
+                    <th scope="col"><abbr title="${formatCalendarDate(day, { weekday: 'long' })}">${formatCalendarDate(day, { weekday: 'short' })}</abbr></th>
+                `).join('')}</tr>
+            </thead>
+            <tbody>
+                ${weeks.map(week => `<tr>${week.map(day => renderCalendarDay(day, byDate.get(day) || [], month)).join('')}</tr>`).join('')}
+            </tbody>
+        </table>
+        <p class="help-text" role="status">${playCount} play${playCount === 1 ? '' : 's'} shown. Pick a day to see its sessions, or an empty day to log one.</p>
+    `;
+    renderCalendarDayDetails(byDate);
+}
+
+/**
+ * Open a calendar day: show its sessions, or log a play on it if it has none
+ * @param {string} date - Date in YYYY-MM-DD form
+ */
+function openCalendarDay(date) {
+    const { start, end } = getCalendarRange();
+    const daySessions = getCalendarSessions(start, end).get(date) || [];
+    if (daySessions.length === 0) {
+        openPlaySessionModal(calendarState.gameId || undefined, [], date);
+        return;
+    }
+    calendarState.selected = date;
+    renderSessionCalendar();
+}
+
+/**
+ * Switch the Sessions panel between the list and the calendar
+ * @param {string} view - 'list' or 'calendar'
+ */
+function setSessionsView(view) {
+    sessionsView = view;
+    document.getElementById('sessionListCard').hidden = view !== 'list';
+    document.getElementById('sessionCalendarCard').hidden = view !== 'calendar';
+    document.getElementById('sessionListViewBtn').setAttribute('aria-pressed', view === 'list');
+    document.getElementById('sessionCalendarViewBtn').setAttribute('aria-pressed', view === 'calendar');
+    renderSessionCalendar();
+}
+
+// ============================================
+// Collection Value
+// ============================================
+
+const DEFAULT_CURRENCY = 'USD';
+// Offered in the currency picker alongside any currency already in use
+const COMMON_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'JPY'];
+const VALUE_RANKING_SIZE = 5;
+
+/**
+ * Get the currency most games are priced in
+ * @returns {string} ISO 4217 currency code
+ */
+function getDefaultCurrency() {
+    const counts = {};
+    games.forEach(game => {
+        if (game.currency) counts[game.currency] = (counts[game.currency] || 0) + 1;
+    });
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || DEFAULT_CURRENCY;
+}
+
+/**
+ * Get the currency a game's prices are in. Games priced without one use the
+ * collection's default.
+ * @param {Game} game - Game
+ * @returns {string} ISO 4217 currency code
+ */
+function getGameCurrency(game) {
+    return game.currency || getDefaultCurrency();
+}
+
+/**
+ * Format an amount of money
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} E.g. "$45.00" or "€12.50"
+ */
+function formatMoney(amount, currency) {
+    try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+    } catch (error) {
+        // Unknown currency codes still get a readable amount
+        return `${amount.toFixed(2)} ${currency}`;
+    }
+}
+
+/**
+ * Format per-currency totals, e.g. "$120.00 + €35.00"
+ * @param {Object<string, number>} totals - Amounts keyed by currency
+ * @returns {string} Formatted totals, or "—" when there are none
+ */
+function formatMoneyTotals(totals) {
+    const currencies = Object.keys(totals).sort();
+    return currencies.length > 0
+        ? currencies.map(currency => formatMoney(totals[currency], currency)).join(' + ')
+        : '—';
+}
+
+/**
+ * Add an amount to per-currency totals
+ * @param {Object<string, number>} totals - Amounts keyed by currency
+ * @param {number} amount - Amount to add
+ * @param {string} currency - Currency of the amount
+ */
+function addMoney(totals, amount, currency) {
+    totals[currency] = (totals[currency] || 0) + amount;
+}
+
+/**
+ * Get what a game actually cost: the purchase price, less the sale price for
+ * games that were sold on
+ * @param {Game} game - Game
+ * @returns {number|null} Net cost, or null if the game has no purchase price
+ */
+function getNetCost(game) {
+    if (typeof game.purchasePrice !== 'number') return null;
+    const sold = game.status === 'previously-owned' && typeof game.salePrice === 'number' ? game.salePrice : 0;
+    return game.purchasePrice - sold;
+}
+
+/**
+ * Work out cost per play for every priced base game in a currency. The cost
+ * includes expansions and promos bought for the game, since they are played
+ * as part of it.
+ * @param {string} currency - Currency to rank
+ * @returns {Array<{game: Game, cost: number, plays: number, perPlay: number|null}>} Unsorted entries
+ */
+function computeCostPerPlay(currency) {
+    return games
+        .filter(game =>
+            game.status !== 'wishlist' &&
+            !(game.baseGameId && getGameById(game.baseGameId)) &&
+            getNetCost(game) !== null &&
+            getGameCurrency(game) === currency
+        )
+        .map(game => {
+            const cost = getExpansions(game.id)
+                .filter(expansion => expansion.status !== 'wishlist' && getGameCurrency(expansion) === currency)
+                .reduce((sum, expansion) => sum + (getNetCost(expansion) || 0), getNetCost(game));
+            const plays = getPlayCount(game.id);
+            return { game, cost, plays, perPlay: plays > 0 ? cost / plays : null };
+        });
+}
+
+/**
+ * Fill the game modal's price fields and their suggestions
+ * @param {Game|Object} game - Game being edited, or an empty object for a new game
+ */
+function setGameValueFields(game) {
+    const currencies = [...new Set([...games.map(g => g.currency).filter(Boolean), ...COMMON_CURRENCIES])];
+    const sources = [...new Set(games.map(g => g.acquisitionSource).filter(Boolean))]
+        .sort((a, b) => a.localeCompare(b));
+    document.getElementById('currencyOptions').innerHTML = currencies
+        .map(currency => `<option value="${escapeHtml(currency)}"></option>`).join('');
+    document.getElementById('acquisitionSourceOptions').innerHTML = sources
+        .map(source => `<option value="${escapeHtml(source)}"></option>`).join('');
+
+    const amount = (value) => typeof value === 'number' ? value : '';
+    document.getElementById('gamePurchasePrice').value = amount(game.purchasePrice);
+    document.getElementById('gameCurrency').value = game.currency || (game.id ? '' : getDefaultCurrency());
+    document.getElementById('gameAcquisitionSource').value = game.acquisitionSource || '';
+    document.getElementById('gameCurrentValue').value = amount(game.currentValue);
+    document.getElementById('gameSalePrice').value = amount(game.salePrice);
+    document.getElementById('gameSaleDate').value = game.saleDate || '';
+    const sold = document.getElementById('gameStatus').value === 'previously-owned';
+    document.getElementById('gameSalePrice').disabled = !sold;
+    document.getElementById('gameSaleDate').disabled = !sold;
+}
+
+/**
+ * Render spending per year, collection value and cost-per-play rankings
+ */
+function renderValueStats() {
+    const container = document.getElementById('valueStats');
+    if (!container) return;
+
+    const priced = games.filter(game => game.status !== 'wishlist' && typeof game.purchasePrice === 'number');
+    if (priced.length === 0) {
+        container.innerHTML = '<p class="help-text">Add purchase prices to your games to see spending and cost per play.</p>';
+        return;
+    }
+
+    const spentByYear = {};
+    priced.forEach(game => {
+        const year = game.acquisitionDate ? game.acquisitionDate.slice(0, 4) : 'Unknown';
+        spentByYear[year] = spentByYear[year] || {};
+        addMoney(spentByYear[year], game.purchasePrice, getGameCurrency(game));
+    });
+    const years = Object.keys(spentByYear).sort((a, b) => b.localeCompare(a));
+
+    // Owned games are valued at their current value, or what was paid when it isn't known
+    const owned = games.filter(game => game.status === 'owned');
+    const collectionValue = {};
+    let unvalued = 0;
+    owned.forEach(game => {
+        const value = typeof game.currentValue === 'number' ? game.currentValue : game.purchasePrice;
+        if (typeof value === 'number') {
+            addMoney(collectionValue, value, getGameCurrency(game));
+        } else {
+            unvalued++;
+        }
+    });
+    const recovered = {};
+    games
+        .filter(game => game.status === 'previously-owned' && typeof game.salePrice === 'number')
+        .forEach(game => addMoney(recovered, game.salePrice, getGameCurrency(game)));
+
+    const currency = getDefaultCurrency();
+    const entries = computeCostPerPlay(currency);
+    const best = entries
+        .filter(entry => entry.perPlay !== null)
+        .sort((a, b) => a.perPlay - b.perPlay || b.plays - a.plays)
+        .slice(0, VALUE_RANKING_SIZE);
+    // Unplayed games are the worst value of all, most expensive first
+    const worst = [...entries]
+        .sort((a, b) =>
+            (a.perPlay === null ? 0 : 1) - (b.perPlay === null ? 0 : 1) ||
+            (a.perPlay === null ? b.cost - a.cost : b.perPlay - a.perPlay)
+        )
+        .filter(entry => entry.cost > 0 && !best.includes(entry))
+        .slice(0, VALUE_RANKING_SIZE);
+    const otherCurrencies = priced.some(game => getGameCurrency(game) !== currency);
+
+    const renderEntry = ({ game, cost, plays, perPlay }) => `
+        <div class="stat-item">
+            <div>
+                <div class="stat-item-name">${escapeHtml(game.title)}</div>
+                <div class="expansion-meta">${formatMoney(cost, currency)} · ${plays} play${plays === 1 ? '' : 's'}</div>
+            </div>
+            <span class="stat-item-value">${perPlay === null ? 'Unplayed' : `${formatMoney(perPlay, currency)}/play`}</span>
+        </div>
+    `;
+
+    container.innerHTML = `
+        <div class="stat-item">
+            <span class="stat-item-name">💎 Collection Value</span>
+            <span class="stat-item-value">${formatMoneyTotals(collectionValue)}</span>
+        </div>
+        ${unvalued > 0 ? `<p class="help-text">${unvalued} owned game${unvalued === 1 ? ' has' : 's have'} no price or value yet.</p>` : ''}
+        ${Object.keys(recovered).length > 0 ? `
+            <div class="stat-item">
+                <span class="stat-item-name">🔁 Recovered From Sales</span>
+                <span class="stat-item-value">${formatMoneyTotals(recovered)}</span>
+            </div>
+        ` : ''}
+        <h4 class="stat-subheading">Spent Per Year</h4>
+        ${years.map(year => `
+            <div class="stat-item">
+                <span class="stat-item-name">${year === 'Unknown' ? 'No acquisition date' : year}</span>
+                <span class="stat-item-value">${formatMoneyTotals(spentByYear[year])}</span>
+            </div>
+        `).join('')}
+        <h4 class="stat-subheading">Best Value</h4>
+        ${best.length > 0 ? best.map(renderEntry).join('') : '<p class="help-text">None of the priced games have been played yet.</p>'}
+        ${worst.length > 0 ? `<h4 class="stat-subheading">Worst Value</h4>${worst.map(renderEntry).join('')}` : ''}
+        ${otherCurrencies ? `<p class="help-text">Cost per play compares games priced in ${currency}; expansions count towards their base game.</p>` : '<p class="help-text">Expansions and promos count towards their base game.</p>'}
+    `;
+}
+
+// ============================================
+// Charts
+// ============================================
+
+// Charts are plain SVG strings sized by their viewBox. Colors come from CSS
+// classes using the theme variables, so charts follow the light/dark theme.
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 220;
+// Pie slices beyond this are combined into "Other"
+const CHART_MAX_SLICES = 7;
+const HEATMAP_LEVELS = 4;
+const HEATMAP_CELL = 11;
+const HEATMAP_GAP = 2;
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// IDs for chart titles, so each SVG can be labelled by its own title
+let chartIdCounter = 0;
+
+/**
+ * Render a chart's data as a collapsible table, the text alternative to the SVG
+ * @param {string} caption - Table caption
+ * @param {string[]} headers - Column headings
+ * @param {Array<Array<string|number>>} rows - Cell values
+ * @returns {string} HTML string
+ */
+function renderChartTable(caption, headers, rows) {
+    return `
+        <details class="chart-data">
+            <summary>Show as table</summary>
+            <table class="data-table">
+                <caption class="sr-only">${escapeHtml(caption)}</caption>
+                <thead><tr>${headers.map(header => `<th scope="col">${escapeHtml(header)}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(String(cell))}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+        </details>
+    `;
+}
+
+/**
+ * Wrap an SVG body in an accessible figure with a table fallback
+ * @param {Object} chart - Chart parts
+ * @param {string} chart.title - Short title, also the table caption
+ * @param {string} chart.summary - One-sentence description read by screen readers
+ * @param {string} chart.body - SVG elements
+ * @param {number} chart.width - viewBox width
+ * @param {number} chart.height - viewBox height
+ * @param {string} chart.table - Table fallback from renderChartTable
+ * @param {string} [chart.legend] - Legend HTML
+ * @returns {string} HTML string
+ */
+function renderChartFigure({ title, summary, body, width, height, table, legend = '' }) {
+    const id = `chart-${++chartIdCounter}`;
+    return `
+        <figure class="chart">
+            <svg class="chart-svg" viewBox="0 0 ${width} ${height}" role="img" aria-labelledby="${id}-title ${id}-desc" preserveAspectRatio="xMidYMid meet">
+                <title id="${id}-title">${escapeHtml(title)}</title>
+                <desc id="${id}-desc">${escapeHtml(summary)}</desc>
+                ${body}
+            </svg>
+            ${legend}
+            <figcaption class="help-text">${escapeHtml(summary)}</figcaption>
+            ${table}
+        </figure>
+    `;
+}
+
+/**
+ * Render a vertical bar chart
+ * @param {string} title - Chart title
+ * @param {Array<{label: string, value: number, tick?: string}>} bars - Bars in order, with an optional shorter axis label
+ * @param {Object} [options] - Options
+ * @param {string} [options.valueLabel] - Column heading for values in the table
+ * @param {string} [options.unit] - What each bar stands for, in the plural, e.g. 'months'
+ * @param {function(number): string} [options.format] - Formats values for tooltips and the table
+ * @returns {string} HTML string
+ */
+function renderBarChart(title, bars, { valueLabel = 'Plays', unit = 'bars', format = String } = {}) {
+    const pad = { top: 12, right: 8, bottom: 26, left: 34 };
+    const plotWidth = CHART_WIDTH - pad.left - pad.right;
+    const plotHeight = CHART_HEIGHT - pad.top - pad.bottom;
+    const max = Math.max(1, ...bars.map(bar => bar.value));
+    const slot = plotWidth / Math.max(bars.length, 1);
+    const barWidth = Math.max(1, slot * 0.8);
+    // Label every nth bar so the axis never gets crowded
+    const labelEvery = Math.ceil(bars.length / 12);
+    const y = (value) => pad.top + plotHeight - (value / max) * plotHeight;
+
+    const grid = [0, max / 2, max].map(value => `
+        <line class="chart-grid" x1="${pad.left}" x2="${CHART_WIDTH - pad.right}" y1="${y(value)}" y2="${y(value)}"></line>
+        <text class="chart-label" x="${pad.left - 6}" y="${y(value) + 4}" text-anchor="end">${Math.round(value * 10) / 10}</text>
+    `).join('');
+    const rects = bars.map((bar, i) => {
+        const x = pad.left + i * slot + (slot - barWidth) / 2;
+        return `
+            <rect class="chart-bar" x="${x}" y="${y(bar.value)}" width="${barWidth}" height="${pad.top + plotHeight - y(bar.value)}">
+                <title>${escapeHtml(`${bar.label}: ${format(bar.value)}`)}</title>
+            </rect>
+            ${i % labelEvery === 0 ? `<text class="chart-label" x="${x + barWidth / 2}" y="${CHART_HEIGHT - 8}" text-anchor="middle">${escapeHtml(bar.tick || bar.label)}</text>` : ''}
+        `;
+    }).join('');
+
+    const peak = bars.reduce((best, bar) => bar.value > (best?.value ?? 0) ? bar : best, null);
+    const total = bars.reduce((sum, bar) => sum + bar.value, 0);
+    const summary = peak
+        ? `${title}: ${format(total)} in total across ${bars.length} ${unit}, highest ${format(peak.value)} for ${peak.label}.`
+        : `${title}: nothing to show yet.`;
+
+    return renderChartFigure({
+        title,
+        summary,
+        body: grid + rects,
+        width: CHART_WIDTH,
+        height: CHART_HEIGHT,
+        table: renderChartTable(title, ['', valueLabel], bars.map(bar => [bar.label, format(bar.value)]))
+    });
+}
+
+/**
+ * Render a pie chart with a legend
+ * @param {string} title - Chart title
+ * @param {Array<{label: string, value: number}>} slices - Slices, largest first
+ * @param {function(number): string} format - Formats values for the legend and table
+ * @returns {string} HTML string
+ */
+function renderPieChart(title, slices, format) {
+    const size = 200;
+    const radius = size / 2 - 4;
+    const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+    const percent = (value) => `${Math.round((value / total) * 100)}%`;
+    const point = (angle) => [
+        size / 2 + radius * Math.sin(angle),
+        size / 2 - radius * Math.cos(angle)
+    ].map(n => n.toFixed(2)).join(' ');
+
+    let angle = 0;
+    const paths = slices.map((slice, i) => {
+        const sweep = (slice.value / total) * Math.PI * 2;
+        const tooltip = `<title>${escapeHtml(`${slice.label}: ${format(slice.value)} (${percent(slice.value)})`)}</title>`;
+        const series = `chart-series-${i % CHART_MAX_SLICES}${slice.other ? ' chart-series-other' : ''}`;
+        let shape;
+        if (slices.length === 1) {
+            shape = `<circle class="chart-slice ${series}" cx="${size / 2}" cy="${size / 2}" r="${radius}">${tooltip}</circle>`;
+        } else {
+            shape = `<path class="chart-slice ${series}" d="M ${size / 2} ${size / 2} L ${point(angle)} A ${radius} ${radius} 0 ${sweep > Math.PI ? 1 : 0} 1 ${point(angle + sweep)} Z">${tooltip}</path>`;
+        }
+        angle += sweep;
+        return shape;
+    }).join('');
+
+    const legend = `
+        <ul class="chart-legend" aria-hidden="true">
+            ${slices.map((slice, i) => `
+                <li><span class="chart-swatch chart-series-${i % CHART_MAX_SLICES}${slice.other ? ' chart-series-other' : ''}"></span>${escapeHtml(slice.label)} · ${format(slice.value)} (${percent(slice.value)})</li>
+            `).join('')}
+        </ul>
+    `;
+    const top = slices[0];
+    return renderChartFigure({
+        title,
+        summary: `${title}: ${format(total)} in total; ${top.label} has the largest share at ${percent(top.value)}.`,
+        body: paths,
+        width: size,
+        height: size,
+        table: renderChartTable(title, ['', 'Time', 'Share'], slices.map(slice => [slice.label, format(slice.value), percent(slice.value)])),
+        legend
+    });
+}
+
+/**
+ * Render a GitHub-style grid of plays per day, one column per week
+ * @param {string} title - Chart title
+ * @param {string} start - First day, YYYY-MM-DD
+ * @param {string} end - Last day, YYYY-MM-DD
+ * @param {Object<string, number>} counts - Plays keyed by date
+ * @returns {string} HTML string
+ */
+function renderHeatmap(title, start, end, counts) {
+    const offset = (parseCalendarDate(start).getUTCDay() - CALENDAR_WEEK_START + 7) % 7;
+    const first = addCalendarDays(start, -offset);
+    const pad = { top: 16, left: 28 };
+    const step = HEATMAP_CELL + HEATMAP_GAP;
+    const max = Math.max(1, ...Object.values(counts));
+
+    const cells = [];
+    const monthLabels = [];
+    let week = 0;
+    for (let day = first; day <= end; day = addCalendarDays(day, 1)) {
+        const row = (parseCalendarDate(day).getUTCDay() - CALENDAR_WEEK_START + 7) % 7;
+        if (row === 0 && day !== first) week++;
+        if (day < start) continue;
+        const count = counts[day] || 0;
+        const level = count === 0 ? 0 : Math.ceil((count / max) * HEATMAP_LEVELS);
+        cells.push(`
+            <rect class="heatmap-cell heatmap-level-${level}" x="${pad.left + week * step}" y="${pad.top + row * step}" width="${HEATMAP_CELL}" height="${HEATMAP_CELL}">
+                <title>${escapeHtml(`${formatCalendarDate(day, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}: ${count} play${count === 1 ? '' : 's'}`)}</title>
+            </rect>
+        `);
+        if (day.endsWith('-01')) {
+            monthLabels.push(`<text class="chart-label" x="${pad.left + week * step}" y="${pad.top - 5}">${formatCalendarDate(day, { month: 'short' })}</text>`);
+        }
+    }
+    const dayLabels = [1, 3, 5].map(row => `
+        <text class="chart-label" x="0" y="${pad.top + row * step + HEATMAP_CELL - 2}">${formatCalendarDate(addCalendarDays(first, row), { weekday: 'short' })}</text>
+    `).join('');
+
+    const activeDays = Object.entries(counts).filter(([day, count]) => day >= start && day <= end && count > 0);
+    const total = activeDays.reduce((sum, [, count]) => sum + count, 0);
+    const busiest = activeDays.sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+    const range = `${formatCalendarDate(start, { month: 'short', day: 'numeric', year: 'numeric' })} to ${formatCalendarDate(end, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+    const summary = busiest
+        ? `${total} play${total === 1 ? '' : 's'} on ${activeDays.length} day${activeDays.length === 1 ? '' : 's'} from ${range}; the busiest day was ${formatCalendarDate(busiest[0], { month: 'long', day: 'numeric', year: 'numeric' })} with ${busiest[1]}.`
+        : `No plays from ${range}.`;
+    const legend = `
+        <div class="heatmap-legend" aria-hidden="true">
+            Less ${Array.from({ length: HEATMAP_LEVELS + 1 }, (_, level) => `<span class="heatmap-swatch heatmap-level-${level}"></span>`).join('')} More
+        </div>
+    `;
+
+    return renderChartFigure({
+        title,
+        summary,
+        body: monthLabels.join('') + dayLabels + cells.join(''),
+        width: pad.left + (week + 1) * step,
+        height: pad.top + 7 * step,
+        table: renderChartTable(title, ['Date', 'Plays'], activeDays
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .map(([day, count]) => [formatCalendarDate(day, { month: 'short', day: 'numeric', year: 'numeric' }), count])),
+        legend
+    });
+}
+
+/**
+ * Fill a span select with fixed choices plus every year that has plays, keeping the current pick
+ * @param {HTMLSelectElement} select - Select to fill
+ * @param {Array<{value: string, label: string}>} choices - Options listed before the years
+ * @returns {string} Selected value
+ */
+function fillChartSpanOptions(select, choices) {
+    const years = [...new Set(sessions.map(session => session.date.slice(0, 4)))].sort((a, b) => b.localeCompare(a));
+    const current = select.value;
+    select.innerHTML = [...choices, ...years.map(year => ({ value: year, label: year }))]
+        .map(choice => `<option value="${choice.value}">${choice.label}</option>`)
+        .join('');
+    select.value = current;
+    if (!select.value) select.value = choices[0].value;
+    return select.value;
+}
+
+/**
+ * Render plays per month over the chosen span, including months without plays
+ */
+function renderPlayHistory() {
+    const container = document.getElementById('playHistory');
+    if (!container) return;
+
+    if (sessions.length === 0) {
+        container.innerHTML = '<p class="help-text">No play history available.</p>';
+        return;
+    }
+
+    const span = fillChartSpanOptions(document.getElementById('playHistorySpan'), [
+        { value: '12', label: 'Last 12 months' },
+        { value: '24', label: 'Last 24 months' },
+        { value: 'all', label: 'All time' }
+    ]);
+    const monthCounts = {};
+    sessions.forEach(session => {
+        const monthKey = session.date.slice(0, 7);
+        monthCounts[monthKey] = (monthCounts[monthKey] || 0) + 1;
+    });
+
+    const thisMonth = todayString().slice(0, 7);
+    let first;
+    let last = thisMonth;
+    if (span === 'all') {
+        first = Object.keys(monthCounts).sort()[0];
+        if (first > last) last = Object.keys(monthCounts).sort().pop();
+    } else if (/^\d{4}$/.test(span)) {
+        first = `${span}-01`;
+        last = `${span}-12`;
+    } else {
+        const date = parseCalendarDate(`${thisMonth}-01`);
+        date.setUTCMonth(date.getUTCMonth() - (Number(span) - 1));
+        first = date.toISOString().slice(0, 7);
+    }
+
+    const bars = [];
+    for (let month = first; month <= last;) {
+        const label = formatCalendarDate(`${month}-01`, { month: 'short', year: 'numeric' });
+        // Within a single year the axis only needs the month
+        const tick = /^\d{4}$/.test(span)
+            ? formatCalendarDate(`${month}-01`, { month: 'short' })
+            : `${formatCalendarDate(`${month}-01`, { month: 'short' })} '${month.slice(2, 4)}`;
+        bars.push({ label, tick, value: monthCounts[month] || 0 });
+        const next = parseCalendarDate(`${month}-01`);
+        next.setUTCMonth(next.getUTCMonth() + 1);
+        month = next.toISOString().slice(0, 7);
+    }
+
+    container.innerHTML = renderBarChart('Plays per month', bars, { unit: 'months' });
+}
+
+/**
+ * Render the daily play heatmap for the last year or a chosen year
+ */
+function renderPlayHeatmap() {
+    const container = document.getElementById('playHeatmap');
+    if (!container) return;
+
+    if (sessions.length === 0) {
+        container.innerHTML = '<p class="help-text">No plays logged yet.</p>';
+        return;
+    }
+
+    const span = fillChartSpanOptions(document.getElementById('playHeatmapSpan'), [
+        { value: 'last', label: 'Last 12 months' }
+    ]);
+    const start = span === 'last' ? addCalendarDays(todayString(), -364) : `${span}-01-01`;
+    const end = span === 'last' ? todayString() : `${span}-12-31`;
+    const counts = {};
+    sessions.forEach(session => {
+        counts[session.date] = (counts[session.date] || 0) + 1;
+    });
+
+    container.innerHTML = renderHeatmap('Plays per day', start, end, counts);
+}
+
+/**
+ * Render how plays are spread over player counts and days of the week
+ */
+function renderPlayDistributions() {
+    const playerCountContainer = document.getElementById('playerCountChart');
+    const weekdayContainer = document.getElementById('weekdayChart');
+    if (!playerCountContainer || !weekdayContainer) return;
+
+    if (sessions.length === 0) {
+        playerCountContainer.innerHTML = '<p class="help-text">No plays logged yet.</p>';
+        weekdayContainer.innerHTML = '<p class="help-text">No plays logged yet.</p>';
+        return;
+    }
+
+    const byPlayerCount = {};
+    sessions.forEach(session => {
+        const count = (session.players || []).length;
+        if (count > 0) byPlayerCount[count] = (byPlayerCount[count] || 0) + 1;
+    });
+    const counts = Object.keys(byPlayerCount).map(Number);
+    playerCountContainer.innerHTML = counts.length > 0
+        ? renderBarChart('Plays by player count', Array.from(
+            { length: Math.max(...counts) - Math.min(...counts) + 1 },
+            (_, i) => {
+                const count = Math.min(...counts) + i;
+                return { label: `${count} player${count === 1 ? '' : 's'}`, tick: `${count}P`, value: byPlayerCount[count] || 0 };
+            }
+        ), { unit: 'player counts' })
+        : '<p class="help-text">No sessions record their players yet.</p>';
+
+    const byWeekday = new Array(7).fill(0);
+    sessions.forEach(session => {
+        byWeekday[parseCalendarDate(session.date).getUTCDay()]++;
+    });
+    weekdayContainer.innerHTML = renderBarChart('Plays by weekday', Array.from({ length: 7 }, (_, i) => {
+        const day = (CALENDAR_WEEK_START + i) % 7;
+        return { label: WEEKDAY_NAMES[day], tick: WEEKDAY_NAMES[day].slice(0, 3), value: byWeekday[day] };
+    }), { unit: 'weekdays' });
+}
+
+/**
+ * Render play time per category tag as a pie chart. A session's time is split
+ * evenly between its game's tags; sessions without a duration count the
+ * game's play time.
+ */
+function renderCategoryTimeChart() {
+    const container = document.getElementById('categoryTimeChart');
+    if (!container) return;
+
+    const minutesByTag = {};
+    sessions.forEach(session => {
+        const game = getGameById(session.gameId);
+        const minutes = session.duration || game?.playTime || 0;
+        const tags = game?.categories?.length > 0 ? game.categories : ['Untagged'];
+        tags.forEach(tag => {
+            minutesByTag[tag] = (minutesByTag[tag] || 0) + minutes / tags.length;
+        });
+    });
+
+    const sorted = Object.entries(minutesByTag)
+        .filter(([, minutes]) => minutes > 0)
+        .map(([label, value]) => ({ label, value }))
+        .sort((a, b) => b.value - a.value);
+    if (sorted.length === 0) {
+        container.innerHTML = '<p class="help-text">No play time recorded yet.</p>';
+        return;
+    }
+    const slices = sorted.length > CHART_MAX_SLICES
+        ? [
+            ...sorted.slice(0, CHART_MAX_SLICES - 1),
+            { label: 'Other', value: sorted.slice(CHART_MAX_SLICES - 1).reduce((sum, slice) => sum + slice.value, 0), other: true }
+        ]
+        : sorted;
+
+    container.innerHTML = renderPieChart('Play time by category', slices, minutes => formatDuration(Math.round(minutes)) || '0 min');
+}
+
+// ============================================
+// Year in Review
+// ============================================
+
+// Plays of a game within the year that make it a nickel, dime or quarter
+const YEAR_REVIEW_MILESTONES = [
+    { plays: 5, label: 'Nickel' },
+    { plays: 10, label: 'Dime' },
+    { plays: 25, label: 'Quarter' }
+];
+const YEAR_REVIEW_TOP_COUNT = 5;
+// The shareable image is a fixed width so it looks the same from every device
+const YEAR_REVIEW_IMAGE_WIDTH = 1080;
+const YEAR_REVIEW_IMAGE_ROWS = 6;
+
+/**
+ * Get the years that have plays, acquisitions or sales, newest first
+ * @returns {string[]} Years in YYYY form
+ */
+function getReviewYears() {
+    const dates = [
+        ...sessions.map(session => session.date),
+        ...games.map(game => game.acquisitionDate),
+        ...games.map(game => game.saleDate)
+    ].filter(Boolean);
+    return [...new Set(dates.map(date => date.slice(0, 4)))].sort((a, b) => b.localeCompare(a));
+}
+
+/**
+ * Get a game's title, falling back for games that are no longer in the collection
+ * @param {string} gameId - Game ID
+ * @returns {string} Title
+ */
+function getGameTitle(gameId) {
+    return getGameById(gameId)?.title || 'Unknown';
+}
+
+/**
+ * Gather the figures for a year in review
+ * @param {string} year - Year in YYYY form
+ * @returns {Object} Totals, rankings and highlights for the year
+ */
+function computeYearReview(year) {
+    const inYear = (date) => Boolean(date) && date.slice(0, 4) === year;
+    const ordered = [...sessions].sort((a, b) =>
+        a.date.localeCompare(b.date) || (a.createdAt || '').localeCompare(b.createdAt || '')
+    );
+    const yearSessions = ordered.filter(session => inYear(session.date));
+
+    // Walk the whole log so first plays take earlier years into account
+    const seen = new Set();
+    const newToMe = [];
+    ordered.forEach(session => {
+        if (seen.has(session.gameId)) return;
+        seen.add(session.gameId);
+        if (inYear(session.date)) newToMe.push({ gameId: session.gameId, date: session.date });
+    });
+
+    const plays = {};
+    const milestones = {};
+    const wins = {};
+    const appearances = {};
+    const months = {};
+    let longest = null;
+    yearSessions.forEach(session => {
+        const count = plays[session.gameId] = (plays[session.gameId] || 0) + 1;
+        const milestone = YEAR_REVIEW_MILESTONES.find(m => m.plays === count);
+        if (milestone) milestones[session.gameId] = { gameId: session.gameId, date: session.date, ...milestone };
+        (session.players || []).forEach(id => {
+            appearances[id] = (appearances[id] || 0) + 1;
+        });
+        (session.winners || []).forEach(id => {
+            wins[id] = (wins[id] || 0) + 1;
+        });
+        const month = session.date.slice(0, 7);
+        months[month] = (months[month] || 0) + 1;
+        if (session.duration && (!longest || session.duration > longest.duration)) longest = session;
+    });
+
+    const busiest = Object.entries(months)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+
+    return {
+        year,
+        plays: yearSessions.length,
+        minutes: yearSessions.reduce((sum, s) => sum + (s.duration || 0), 0),
+        gamesPlayed: Object.keys(plays).length,
+        daysPlayed: new Set(yearSessions.map(session => session.date)).size,
+        mostPlayed: Object.entries(plays)
+            .map(([gameId, count]) => ({ gameId, plays: count }))
+            .sort((a, b) => b.plays - a.plays || getGameTitle(a.gameId).localeCompare(getGameTitle(b.gameId))),
+        topWinners: Object.entries(wins)
+            .map(([playerId, count]) => ({ playerId, wins: count, plays: Math.max(appearances[playerId] || 0, count) }))
+            .sort((a, b) => b.wins - a.wins || a.plays - b.plays),
+        newToMe,
+        milestones: Object.values(milestones).sort((a, b) => b.plays - a.plays || a.date.localeCompare(b.date)),
+        longest,
+        busiestMonth: busiest ? { month: busiest[0], plays: busiest[1] } : null,
+        acquired: games
+            .filter(game => game.status !== 'wishlist' && inYear(game.acquisitionDate))
+            .sort((a, b) => a.acquisitionDate.localeCompare(b.acquisitionDate)),
+        sold: games
+            .filter(game => game.status === 'previously-owned' && inYear(game.saleDate))
+            .sort((a, b) => a.saleDate.localeCompare(b.saleDate))
+    };
+}
+
+/**
+ * Arrange a year in review into the blocks shown on the page and the image
+ * @param {Object} review - Result of computeYearReview
+ * @returns {{totals: {value: string, label: string}[], sections: {title: string, empty: string, items: {label: string, value: string}[]}[]}} Display blocks
+ */
+function getYearReviewBlocks(review) {
+    const shortDate = (date) => formatCalendarDate(date, { month: 'short', day: 'numeric' });
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const hours = Math.round(review.minutes / 6) / 10;
+
+    const highlights = [];
+    if (review.longest) {
+        highlights.push({
+            label: `⏱️ Longest: ${getGameTitle(review.longest.gameId)}`,
+            value: `${formatDuration(review.longest.duration)}, ${shortDate(review.longest.date)}`
+        });
+    }
+    if (review.busiestMonth) {
+        highlights.push({
+            label: `📅 Busiest: ${formatCalendarDate(`${review.busiestMonth.month}-01`, { month: 'long' })}`,
+            value: plural(review.busiestMonth.plays, 'play')
+        });
+    }
+    if (review.acquired.length > 0 || review.sold.length > 0) {
+        const net = review.acquired.length - review.sold.length;
+        highlights.push({
+            label: `📦 ${review.acquired.length} in, ${review.sold.length} out`,
+            value: `${net > 0 ? '+' : ''}${net} net`
+        });
+    }
+
+    return {
+        totals: [
+            { value: String(review.plays), label: review.plays === 1 ? 'play' : 'plays' },
+            { value: String(hours), label: hours === 1 ? 'hour' : 'hours' },
+            { value: String(review.gamesPlayed), label: review.gamesPlayed === 1 ? 'game' : 'games' },
+            { value: String(review.daysPlayed), label: review.daysPlayed === 1 ? 'game day' : 'game days' }
+        ],
+        sections: [
+            {
+                title: '🎮 Most Played',
+                empty: 'No plays logged.',
+                items: review.mostPlayed.slice(0, YEAR_REVIEW_TOP_COUNT)
+                    .map(entry => ({ label: getGameTitle(entry.gameId), value: plural(entry.plays, 'play') }))
+            },
+            {
+                title: '🏆 Top Winners',
+                empty: 'No winners recorded.',
+                items: review.topWinners.slice(0, YEAR_REVIEW_TOP_COUNT).map(entry => ({
+                    label: getPlayerName(entry.playerId),
+                    value: `${plural(entry.wins, 'win')} · ${formatWinRate(entry.wins, entry.plays)}`
+                }))
+            },
+            {
+                title: `✨ New to Me (${review.newToMe.length})`,
+                empty: 'No first plays this year.',
+                items: review.newToMe.map(entry => ({ label: getGameTitle(entry.gameId), value: shortDate(entry.date) }))
+            },
+            {
+                title: '🪙 Nickels & Dimes',
+                empty: `No game reached ${YEAR_REVIEW_MILESTONES[0].plays} plays.`,
+                items: review.milestones.map(entry => ({
+                    label: getGameTitle(entry.gameId),
+                    value: `${entry.label} · ${entry.plays} plays`
+                }))
+            },
+            {
+                title: '⭐ Highlights',
+                empty: 'Nothing to report yet.',
+                items: highlights
+            },
+            {
+                title: `📥 Acquired (${review.acquired.length})`,
+                empty: 'No acquisitions dated this year.',
+                items: review.acquired.map(game => ({ label: game.title, value: shortDate(game.acquisitionDate) }))
+            },
+            {
+                title: `📤 Sold (${review.sold.length})`,
+                empty: 'No sales dated this year.',
+                items: review.sold.map(game => ({
+                    label: game.title,
+                    value: typeof game.salePrice === 'number'
+                        ? formatMoney(game.salePrice, getGameCurrency(game))
+                        : shortDate(game.saleDate)
+                }))
+            }
+        ]
+    };
+}
+
+/**
+ * Render the year in review for the year picked in the modal
+ */
+function renderYearReview() {
+    const container = document.getElementById('yearReviewContent');
+    const select = document.getElementById('yearReviewYear');
+    const year = select.value;
+    if (!year) {
+        container.innerHTML = '<p class="help-text">Log some plays or date your acquisitions to get a year in review.</p>';
+        return;
+    }
+
+    const { totals, sections } = getYearReviewBlocks(computeYearReview(year));
+    container.innerHTML = `
+        <div class="year-review">
+            <h3 class="year-review-title">${year} in Review</h3>
+            <div class="year-review-totals">
+                ${totals.map(total => `
+                    <div class="year-review-total">
+                        <span class="year-review-number">${total.value}</span>
+                        <span class="year-review-label">${total.label}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="year-review-sections">
+                ${sections.map(section => `
+                    <section class="year-review-section">
+                        <h4>${escapeHtml(section.title)}</h4>
+                        ${section.items.length === 0 ? `<p class="help-text">${escapeHtml(section.empty)}</p>` : `
+                            <ul>
+                                ${section.items.map(item => `
+                                    <li class="stat-item">
+                                        <span class="stat-item-name">${escapeHtml(item.label)}</span>
+                                        <span class="stat-item-value">${escapeHtml(item.value)}</span>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        `}
+                    </section>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Shorten text with an ellipsis until it fits on the canvas
+ * @param {CanvasRenderingContext2D} context - Canvas context with the font already set
+ * @param {string} text - Text to fit
+ * @param {number} maxWidth - Available width in pixels
+ * @returns {string} Text that fits
+ */
+function fitCanvasText(context, text, maxWidth) {
+    if (context.measureText(text).width <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 1 && context.measureText(`${fitted}…`).width > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted.trimEnd()}…`;
+}
+
+/**
+ * Draw the year in review as a shareable image in the current theme's colors
+ * @param {string} year - Year in YYYY form
+ * @returns {HTMLCanvasElement|null} Canvas, or null when the browser cannot draw
+ */
+function drawYearReviewImage(year) {
+    const { totals, sections } = getYearReviewBlocks(computeYearReview(year));
+    const style = getComputedStyle(document.documentElement);
+    const color = (name) => style.getPropertyValue(name).trim();
+
+    const width = YEAR_REVIEW_IMAGE_WIDTH;
+    const padding = 60;
+    const gap = 30;
+    const rowHeight = 36;
+    const columnWidth = (width - padding * 2 - gap) / 2;
+    const sectionRows = (section) => Math.max(1, Math.min(section.items.length, YEAR_REVIEW_IMAGE_ROWS));
+    const sectionHeight = (section) => 60 + sectionRows(section) * rowHeight;
+    const pairs = [];
+    for (let i = 0; i < sections.length; i += 2) pairs.push(sections.slice(i, i + 2));
+    const totalsTop = 170;
+    const sectionsTop = totalsTop + 130 + gap;
+    const height = sectionsTop + pairs.reduce((sum, pair) => sum + Math.max(...pair.map(sectionHeight)) + gap, 0) + 50;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    if (!context) return null;
+
+    context.fillStyle = color('--bg-secondary') || '#2a1520';
+    context.fillRect(0, 0, width, height);
+    context.strokeStyle = color('--border-color') || '#6d4c3d';
+    context.lineWidth = 4;
+    context.strokeRect(20, 20, width - 40, height - 40);
+
+    context.textAlign = 'center';
+    context.textBaseline = 'alphabetic';
+    context.fillStyle = color('--accent-secondary') || '#daa520';
+    context.font = '600 60px Cinzel, Georgia, serif';
+    context.fillText(`${year} in Review`, width / 2, 110);
+    context.fillStyle = color('--text-secondary') || '#d4b896';
+    context.font = '22px Georgia, serif';
+    context.fillText('Board Game Collection Tracker', width / 2, 145);
+
+    const tileWidth = (width - padding * 2 - gap * (totals.length - 1)) / totals.length;
+    totals.forEach((total, i) => {
+        const x = padding + i * (tileWidth + gap);
+        context.fillStyle = color('--bg-tertiary') || '#3d1f2d';
+        context.fillRect(x, totalsTop, tileWidth, 130);
+        context.fillStyle = color('--accent-secondary') || '#daa520';
+        context.font = 'bold 52px Georgia, serif';
+        context.fillText(fitCanvasText(context, total.value, tileWidth - 20), x + tileWidth / 2, totalsTop + 70);
+        context.fillStyle = color('--text-secondary') || '#d4b896';
+        context.font = '22px Georgia, serif';
+        context.fillText(total.label, x + tileWidth / 2, totalsTop + 108);
+    });
+
+    let top = sectionsTop;
+    pairs.forEach(pair => {
+        pair.forEach((section, column) => {
+            const x = padding + column * (columnWidth + gap);
+            context.textAlign = 'left';
+            context.fillStyle = color('--accent-secondary') || '#daa520';
+            context.font = '600 26px Cinzel, Georgia, serif';
+            context.fillText(fitCanvasText(context, section.title, columnWidth), x, top + 30);
+            context.fillStyle = color('--border-color') || '#6d4c3d';
+            context.fillRect(x, top + 44, columnWidth, 2);
+
+            context.font = '21px Georgia, serif';
+            if (section.items.length === 0) {
+                context.fillStyle = color('--text-muted') || '#8b7355';
+                context.fillText(fitCanvasText(context, section.empty, columnWidth), x, top + 60 + 26);
+                return;
+            }
+            const hidden = section.items.length - YEAR_REVIEW_IMAGE_ROWS;
+            const items = hidden > 0
+                ? [...section.items.slice(0, YEAR_REVIEW_IMAGE_ROWS - 1), { label: `and ${hidden + 1} more`, value: '', more: true }]
+                : section.items;
+            items.forEach((item, row) => {
+                const y = top + 60 + row * rowHeight + 26;
+                context.textAlign = 'right';
+                context.fillStyle = color('--text-secondary') || '#d4b896';
+                const value = fitCanvasText(context, item.value, columnWidth * 0.5);
+                context.fillText(value, x + columnWidth, y);
+                context.textAlign = 'left';
+                context.fillStyle = item.more ? (color('--text-muted') || '#8b7355') : (color('--text-primary') || '#f4e8d8');
+                const valueWidth = value ? context.measureText(value).width + 16 : 0;
+                context.fillText(fitCanvasText(context, item.label, columnWidth - valueWidth), x, y);
+            });
+        });
+        top += Math.max(...pair.map(sectionHeight)) + gap;
+    });
+
+    return canvas;
+}
+
+/**
+ * Download the year in review as a PNG image
+ */
+function downloadYearReviewImage() {
+    const year = document.getElementById('yearReviewYear').value;
+    if (!year) return;
+    const canvas = drawYearReviewImage(year);
+    if (!canvas) {
+        alert('This browser cannot draw images.');
+        return;
+    }
+    canvas.toBlob(blob => {
+        if (!blob) {
+            alert('Could not create the image.');
+            return;
+        }
+        downloadFile(blob, `board-game-year-in-review-${year}.png`, 'image/png');
+    }, 'image/png');
+}
+
+/**
+ * Print the year in review on its own, without the rest of the app
+ */
+function printYearReview() {
+    document.body.classList.add('printing-year-review');
+    window.print();
+}
+
+/**
+ * Open the year in review, on the current year when it has anything to show
+ */
+function openYearReviewModal() {
+    const select = document.getElementById('yearReviewYear');
+    const years = getReviewYears();
+    const current = select.value;
+    select.innerHTML = years.map(year => `<option value="${year}">${year}</option>`).join('');
+    select.value = years.includes(current) ? current : (years.find(year => year <= todayString().slice(0, 4)) || years[0] || '');
+    const empty = years.length === 0;
+    document.getElementById('yearReviewPrintBtn').disabled = empty;
+    document.getElementById('yearReviewImageBtn').disabled = empty;
+    renderYearReview();
+    openModal('yearReviewModal');
+}
+
+// ============================================
+// Player Analytics
+// ============================================
+
+const ELO_START_RATING = 1500;
+const ELO_K_FACTOR = 32;
+// Games need this many plays before they can count as a player's best
+const BEST_GAME_MIN_PLAYS = 2;
+
+/**
+ * Compare how two players did against each other in a session. Teammates and
+ * cooperative sessions don't count, and neither do sessions without a result.
+ * @param {PlaySession} session - Session both players took part in
+ * @param {string} aId - First player
+ * @param {string} bId - Second player
+ * @returns {number|null} 1 if a beat b, -1 if b beat a, 0 for a tie, null if not comparable
+ */
+function compareSessionResults(session, aId, bId) {
+    if (session.mode === 'cooperative') return null;
+    const results = session.results || [];
+    const a = results.find(r => r.playerId === aId) || {};
+    const b = results.find(r => r.playerId === bId) || {};
+    if (session.mode === 'team' && a.team && a.team === b.team) return null;
+
+    const winners = session.winners || [];
+    const aWon = winners.includes(aId);
+    const bWon = winners.includes(bId);
+    if (aWon !== bWon) return aWon ? 1 : -1;
+    if (typeof a.position === 'number' && typeof b.position === 'number') {
+        return Math.sign(b.position - a.position);
+    }
+    return winners.length > 0 ? 0 : null;
+}
+
+/**
+ * Compute plays, wins, per-game records, head-to-head records and an Elo
+ * rating for every player. Ratings are updated session by session in date
+ * order, treating each session as a set of pairwise matches.
+ * @returns {Object<string, Object>} Stats keyed by player ID
+ */
+function computePlayerAnalytics() {
+    const stats = {};
+    const getStats = (playerId) => {
+        if (!stats[playerId]) {
+            stats[playerId] = {
+                playerId,
+                plays: 0,
+                wins: 0,
+                rating: ELO_START_RATING,
+                ratedPlays: 0,
+                games: {},
+                opponents: {}
+            };
+        }
+        return stats[playerId];
+    };
+    const getOpponent = (playerStats, opponentId) => {
+        if (!playerStats.opponents[opponentId]) {
+            playerStats.opponents[opponentId] = { playerId: opponentId, wins: 0, losses: 0, draws: 0 };
+        }
+        return playerStats.opponents[opponentId];
+    };
+
+    const ordered = [...sessions].sort((a, b) =>
+        a.date.localeCompare(b.date) || (a.createdAt || '').localeCompare(b.createdAt || '')
+    );
+    ordered.forEach(session => {
+        const winners = new Set(session.winners || []);
+        const ids = [...new Set([...(session.players || []), ...winners])];
+
+        ids.forEach(id => {
+            const playerStats = getStats(id);
+            const gameStats = playerStats.games[session.gameId] ||
+                (playerStats.games[session.gameId] = { gameId: session.gameId, plays: 0, wins: 0 });
+            playerStats.plays++;
+            gameStats.plays++;
+            if (winners.has(id)) {
+                playerStats.wins++;
+                gameStats.wins++;
+            }
+        });
+
+        // Ratings change only after the whole session is scored, so the order
+        // players are listed in doesn't matter
+        const deltas = {};
+        const k = ELO_K_FACTOR / Math.max(ids.length - 1, 1);
+        ids.forEach((aId, i) => ids.slice(i + 1).forEach(bId => {
+            const result = compareSessionResults(session, aId, bId);
+            if (result === null) return;
+            const a = getStats(aId);
+            const b = getStats(bId);
+            const aRecord = getOpponent(a, bId);
+            const bRecord = getOpponent(b, aId);
+            if (result > 0) {
+                aRecord.wins++;
+                bRecord.losses++;
+            } else if (result < 0) {
+                aRecord.losses++;
+                bRecord.wins++;
+            } else {
+                aRecord.draws++;
+                bRecord.draws++;
+            }
+
+            const expected = 1 / (1 + Math.pow(10, (b.rating - a.rating) / 400));
+            const actual = result > 0 ? 1 : result < 0 ? 0 : 0.5;
+            const change = k * (actual - expected);
+            deltas[aId] = (deltas[aId] || 0) + change;
+            deltas[bId] = (deltas[bId] || 0) - change;
+        }));
+        Object.entries(deltas).forEach(([id, change]) => {
+            stats[id].rating += change;
+            stats[id].ratedPlays++;
+        });
+    });
+
+    return stats;
+}
+
+/**
+ * Format a share of wins as a percentage
+ * @param {number} wins - Number of wins
+ * @param {number} total - Number of plays or matches
+ * @returns {string} Percentage, or a dash when there is nothing to divide by
+ */
+function formatWinRate(wins, total) {
+    return total > 0 ? `${Math.round((wins / total) * 100)}%` : '—';
+}
+
+/**
+ * Render the player rankings card on the Statistics tab
+ */
+function renderPlayerAnalytics() {
+    const container = document.getElementById('playerAnalytics');
+    if (!container) return;
+
+    const stats = computePlayerAnalytics();
+    const ranked = Object.values(stats)
+        .filter(s => getPlayerById(s.playerId))
+        .sort((a, b) => b.rating - a.rating || b.plays - a.plays);
+
+    if (ranked.length === 0) {
+        container.innerHTML = '<p class="help-text">Log sessions with players to see rankings.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="table-scroll">
+            <table class="data-table analytics-table">
+                <thead>
+                    <tr>
+                        <th scope="col">#</th>
+                        <th scope="col">Player</th>
+                        <th scope="col">Rating</th>
+                        <th scope="col">Plays</th>
+                        <th scope="col">Wins</th>
+                        <th scope="col">Win rate</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${ranked.map((s, i) => {
+                        const player = getPlayerById(s.playerId);
+                        return `
+                            <tr>
+                                <td>${i + 1}</td>
+                                <td>
+                                    <button type="button" class="link-button" onclick="showPlayerDetails('${player.id}')">
+                                        ${renderPlayerBadge(player)} ${escapeHtml(player.name)}
+                                    </button>
+                                </td>
+                                <td>${s.ratedPlays > 0 ? Math.round(s.rating) : '—'}</td>
+                                <td>${s.plays}</td>
+                                <td>${s.wins}</td>
+                                <td>${formatWinRate(s.wins, s.plays)}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+        <p class="help-text">Ratings start at ${ELO_START_RATING} and change after every competitive or team session, in date order. Select a player for their games and head-to-head records.</p>
+    `;
+}
+
+/**
+ * Show a player's overall record, per-game win rates and head-to-head records
+ * @param {string} playerId - Player ID
+ */
+function showPlayerDetails(playerId) {
+    const player = getPlayerById(playerId);
+    if (!player) return;
+
+    const stats = computePlayerAnalytics()[playerId] || {
+        plays: 0, wins: 0, rating: ELO_START_RATING, ratedPlays: 0, games: {}, opponents: {}
+    };
+    const gameName = (gameId) => getGameById(gameId)?.title || 'Unknown Game';
+
+    const gameRecords = Object.values(stats.games)
+        .sort((a, b) => b.plays - a.plays || gameName(a.gameId).localeCompare(gameName(b.gameId)));
+    const bestGames = gameRecords
+        .filter(g => g.plays >= BEST_GAME_MIN_PLAYS && g.wins > 0)
+        .sort((a, b) => b.wins / b.plays - a.wins / a.plays || b.plays - a.plays)
+        .slice(0, 3);
+    const opponents = Object.values(stats.opponents)
+        .sort((a, b) => (b.wins + b.losses + b.draws) - (a.wins + a.losses + a.draws));
+
+    const metaItems = [
+        `<span>🎮 ${stats.plays} play${stats.plays === 1 ? '' : 's'}</span>`,
+        `<span>🏆 ${stats.wins} win${stats.wins === 1 ? '' : 's'} (${formatWinRate(stats.wins, stats.plays)})</span>`,
+        `<span>📈 Rating: ${stats.ratedPlays > 0 ? Math.round(stats.rating) : 'unrated'}</span>`
+    ];
+    if (player.aliases && player.aliases.length > 0) {
+        metaItems.push(`<span>🏷️ also ${player.aliases.map(escapeHtml).join(', ')}</span>`);
+    }
+
+    const bestHtml = bestGames.length > 0
+        ? bestGames.map(g => `
+            <div class="stat-item">
+                <span class="stat-item-name">${escapeHtml(gameName(g.gameId))}</span>
+                <span class="stat-item-value">${formatWinRate(g.wins, g.plays)} of ${g.plays}</span>
+            </div>
+        `).join('')
+        : `<p class="help-text">No game with at least ${BEST_GAME_MIN_PLAYS} plays and a win yet.</p>`;
+
+    const gamesHtml = gameRecords.length > 0
+        ? `
+            <div class="table-scroll">
+                <table class="data-table analytics-table">
+                    <thead>
+                        <tr><th scope="col">Game</th><th scope="col">Plays</th><th scope="col">Wins</th><th scope="col">Win rate</th></tr>
+                    </thead>
+                    <tbody>
+                        ${gameRecords.map(g => `
+                            <tr>
+                                <td>${escapeHtml(gameName(g.gameId))}</td>
+                                <td>${g.plays}</td>
+                                <td>${g.wins}</td>
+                                <td>${formatWinRate(g.wins, g.plays)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `
+        : '<div class="no-sessions">No play sessions logged for this player.</div>';
+
+    const headToHeadHtml = opponents.length > 0
+        ? `
+            <div class="table-scroll">
+                <table class="data-table analytics-table">
+                    <thead>
+                        <tr><th scope="col">Opponent</th><th scope="col">Won</th><th scope="col">Lost</th><th scope="col">Tied</th><th scope="col">Win rate</th></tr>
+                    </thead>
+                    <tbody>
+                        ${opponents.map(o => `
+                            <tr>
+                                <td>
+                                    <button type="button" class="link-button" onclick="showPlayerDetails('${o.playerId}')">
+                                        ${escapeHtml(getPlayerName(o.playerId))}
+                                    </button>
+                                </td>
+                                <td>${o.wins}</td>
+                                <td>${o.losses}</td>
+                                <td>${o.draws}</td>
+                                <td>${formatWinRate(o.wins, o.wins + o.losses + o.draws)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `
+        : '<div class="no-sessions">No competitive sessions against other players yet.</div>';
+
+    document.getElementById('playerDetailsContent').innerHTML = `
+        <div class="game-details-header">
+            <div class="player-details-badge">${renderPlayerBadge(player)}</div>
+            <div class="game-details-info">
+                <h2 class="game-details-title" id="playerDetailsTitle">${escapeHtml(player.name)}</h2>
+                <div class="game-details-meta">${metaItems.join('')}</div>
+            </div>
+        </div>
+        <div class="game-details-section">
+            <h3>🏆 Best Performing Games</h3>
+            ${bestHtml}
+        </div>
+        <div class="game-details-section">
+            <h3>🎲 Games Played</h3>
+            ${gamesHtml}
+        </div>
+        <div class="game-details-section">
+            <h3>⚔️ Head-to-Head</h3>
+            ${headToHeadHtml}
+        </div>
+        <div class="form-actions" style="border-top: 1px solid var(--border-color); margin-top: 20px; padding-top: 20px;">
+            <button class="btn btn-info" onclick="openEditPlayerModal('${player.id}'); closeModal('playerDetailsModal');">
+                ✏️ Edit Player
+            </button>
+        </div>
+    `;
+
+    openModal('playerDetailsModal');
+}
+
+// ============================================
+// Game Recommender
+// ============================================
+
+// How much each factor counts towards a recommendation score
+const RECOMMEND_WEIGHTS = { rating: 0.4, recency: 0.35, rarity: 0.25 };
+// A game not played for this many days gets the full recency score
+const RECOMMEND_RECENCY_DAYS = 180;
+const RECOMMEND_SHORTLIST_SIZE = 8;
+
+// Candidates from the last recommendation, for "surprise me"
+let recommendCandidates = [];
+
+/**
+ * Read the recommender form
+ * @returns {{playerCount: number, time: number|undefined, maxComplexity: number|undefined, playerIds: string[]}} Criteria
+ */
+function getRecommendCriteria() {
+    const playerIds = Array.from(document.querySelectorAll('#recommendPlayers input:checked')).map(input => input.value);
+    return {
+        playerCount: parseInt(document.getElementById('recommendPlayerCount').value) || playerIds.length || 1,
+        time: parseInt(document.getElementById('recommendTime').value) || undefined,
+        maxComplexity: parseFloat(document.getElementById('recommendComplexity').value) || undefined,
+        playerIds
+    };
+}
+
+/**
+ * Score owned games that fit the player count, time and complexity, best first.
+ * Highly rated games, games not played in a while and games the chosen
+ * players have rarely played rank highest.
+ * @param {Object} criteria - Criteria from getRecommendCriteria
+ * @returns {Array<{game: Game, score: number, reasons: string[]}>} Ranked candidates
+ */
+function recommendGames(criteria) {
+    const { playerCount, time, maxComplexity, playerIds } = criteria;
+    const fits = games.filter(game =>
+        game.status === 'owned' &&
+        !game.baseGameId &&
+        !getActiveLoan(game) &&
+        (!game.minPlayers || game.minPlayers <= playerCount) &&
+        (!game.maxPlayers || game.maxPlayers >= playerCount) &&
+        (!time || !game.playTime || game.playTime <= time) &&
+        (!maxComplexity || !game.complexity || game.complexity <= maxComplexity)
+    );
+
+    return fits.map(game => {
+        const gameSessions = getSessionsForGame(game.id);
+        const lastPlayed = gameSessions.length > 0 ? gameSessions[0].date : null;
+        const daysSince = lastPlayed ? getDaysSince(lastPlayed) : null;
+        const playsBy = (playerId) => gameSessions.filter(s => (s.players || []).includes(playerId)).length;
+        const averagePlays = playerIds.length > 0
+            ? playerIds.reduce((sum, id) => sum + playsBy(id), 0) / playerIds.length
+            : gameSessions.length;
+
+        const ratingScore = game.rating ? game.rating / 10 : 0.5;
+        const recencyScore = daysSince === null ? 1 : Math.min(daysSince / RECOMMEND_RECENCY_DAYS, 1);
+        const rarityScore = 1 / (1 + averagePlays);
+        const score = RECOMMEND_WEIGHTS.rating * ratingScore +
+            RECOMMEND_WEIGHTS.recency * recencyScore +
+            RECOMMEND_WEIGHTS.rarity * rarityScore;
+
+        const reasons = [];
+        if (game.rating >= 7) reasons.push(`rated ${game.rating}/10`);
+        if (daysSince === null) {
+            reasons.push('never played');
+        } else if (daysSince >= 30) {
+            reasons.push(`not played for ${formatDayCount(daysSince)}`);
+        }
+        const newTo = playerIds.filter(id => playsBy(id) === 0);
+        if (gameSessions.length > 0 && newTo.length > 0) {
+            reasons.push(newTo.length === playerIds.length
+                ? 'new to everyone playing'
+                : `new to ${newTo.map(getPlayerName).join(', ')}`);
+        }
+        if (time && game.playTime) reasons.push(`fits in ${formatDuration(game.playTime)}`);
+        if (reasons.length === 0) reasons.push(`plays well with ${playerCount}`);
+
+        return { game, score, reasons };
+    }).sort((a, b) => b.score - a.score || a.game.title.localeCompare(b.game.title));
+}
+
+/**
+ * Pick a candidate at random, favouring higher scores
+ * @param {Array<{score: number}>} candidates - Ranked candidates
+ * @returns {Object|null} The pick, or null when there are no candidates
+ */
+function pickWeightedRandom(candidates) {
+    const weights = candidates.map(c => c.score * c.score);
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    let roll = Math.random() * total;
+    for (let i = 0; i < candidates.length; i++) {
+        roll -= weights[i];
+        if (roll < 0) return candidates[i];
+    }
+    return candidates[candidates.length - 1] || null;
+}
+
+/**
+ * Render one recommended game
+ * @param {{game: Game, reasons: string[]}} candidate - Candidate to render
+ * @param {number} [rank] - Position in the shortlist
+ * @returns {string} HTML string
+ */
+function renderRecommendation(candidate, rank) {
+    const { game, reasons } = candidate;
+    const why = reasons.join(', ');
+    return `
+        <div class="stat-item recommend-item">
+            <div class="recommend-info">
+                <div class="stat-item-name">${rank ? `${rank}. ` : ''}${escapeHtml(game.title)}</div>
+                <div class="recommend-why">${escapeHtml(why.charAt(0).toUpperCase() + why.slice(1))}</div>
+            </div>
+            <button class="btn btn-secondary btn-small" onclick="playRecommendedGame('${game.id}')">
+                ▶️ Play
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Rank games for the current criteria and show the shortlist
+ */
+function renderRecommendations() {
+    recommendCandidates = recommendGames(getRecommendCriteria());
+    const container = document.getElementById('recommendResults');
+    document.getElementById('recommendSurpriseBtn').disabled = recommendCandidates.length === 0;
+
+    if (recommendCandidates.length === 0) {
+        container.innerHTML = '<p class="help-text">No owned games fit those players, time and complexity.</p>';
+        return;
+    }
+
+    const shortlist = recommendCandidates.slice(0, RECOMMEND_SHORTLIST_SIZE);
+    container.innerHTML = `
+        <p class="help-text">${recommendCandidates.length === 1 ? '1 game fits' : `${recommendCandidates.length} games fit`}. Top picks:</p>
+        ${shortlist.map((candidate, i) => renderRecommendation(candidate, i + 1)).join('')}
+    `;
+}
+
+/**
+ * Show a random pick weighted towards the best recommendations
+ */
+function surpriseMe() {
+    const pick = pickWeightedRandom(recommendCandidates);
+    if (!pick) return;
+    document.getElementById('recommendSurprise').innerHTML = `
+        <div class="recommend-surprise">
+            <h3>🎲 Tonight you're playing…</h3>
+            ${renderRecommendation(pick)}
+        </div>
+    `;
+}
+
+/**
+ * Open the recommender with the roster as the list of possible players
+ */
+function openRecommendModal() {
+    const sortedPlayers = [...players].sort((a, b) => a.name.localeCompare(b.name));
+    document.getElementById('recommendPlayers').innerHTML = sortedPlayers.length > 0
+        ? sortedPlayers.map(player => `
+            <label class="chip chip-check">
+                <input type="checkbox" value="${player.id}">
+                ${renderPlayerBadge(player)} ${escapeHtml(player.name)}
+            </label>
+        `).join('')
+        : '<span class="help-text">Add players to the roster to favour games they haven\'t played.</span>';
+    document.getElementById('recommendSurprise').innerHTML = '';
+    renderRecommendations();
+    openModal('recommendModal');
+}
+
+/**
+ * Log a play of a recommended game with the chosen players filled in
+ * @param {string} gameId - Game ID
+ */
+function playRecommendedGame(gameId) {
+    const { playerIds } = getRecommendCriteria();
+    closeModal('recommendModal');
+    openPlaySessionModal(gameId);
+    setSessionPlayerPicks(playerIds, []);
+}
+
+// ============================================
+// Live Game Timer and Score Pad
+// ============================================
+
+/**
+ * A game being timed right now. Saved to the meta store on every change so it
+ * survives reloads; the clock is derived from timestamps, not from ticks.
+ * @typedef {Object} LiveGame
+ * @property {string} gameId - Game being played
+ * @property {number} startedAt - Start time in milliseconds since the epoch
+ * @property {number} elapsedMs - Time played before the current run
+ * @property {number|null} runningSince - When the clock was last started, null while paused
+ * @property {Array<{id: string|null, name: string}>} players - Players at the table
+ * @property {Array<Object<string, number>>} rounds - Points per round, keyed by player pick key
+ */
+
+/** @type {LiveGame|null} */
+let liveGame = null;
+// Set while the session modal holds the results of a finished live game
+let finishingLiveGame = false;
+
+/**
+ * Load a live game left running by a previous visit
+ * @returns {Promise<void>}
+ */
+async function loadLiveGame() {
+    liveGame = (await readMeta('liveGame')) || null;
+    renderLiveGameBar();
+}
+
+/**
+ * Save the live game, or forget it when there is none
+ */
+function saveLiveGame() {
+    writeMeta('liveGame', liveGame);
+    renderLiveGameBar();
+}
+
+/**
+ * Get the time played so far
+ * @returns {number} Milliseconds
+ */
+function getLiveElapsedMs() {
+    if (!liveGame) return 0;
+    return liveGame.elapsedMs + (liveGame.runningSince ? Date.now() - liveGame.runningSince : 0);
+}
+
+/**
+ * Format elapsed time as a clock
+ * @param {number} ms - Milliseconds
+ * @returns {string} H:MM:SS
+ */
+function formatTimer(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Add up each player's points over all rounds
+ * @returns {Object<string, number>} Totals keyed by player pick key
+ */
+function getLiveTotals() {
+    const totals = {};
+    liveGame.players.forEach(pick => { totals[getPickKey(pick)] = 0; });
+    liveGame.rounds.forEach(round => Object.entries(round).forEach(([key, points]) => {
+        if (key in totals) totals[key] += points;
+    }));
+    return totals;
+}
+
+/**
+ * Start timing a game
+ * @param {string} gameId - Game to play
+ * @param {Array<{id: string|null, name: string}>} [playerPicks] - Players at the table
+ */
+function startLiveGame(gameId, playerPicks = []) {
+    if (blockedByReadOnly()) return;
+    if (liveGame) {
+        const running = getGameById(liveGame.gameId);
+        showConfirm(
+            `A game of "${running ? running.title : 'Unknown Game'}" is still running. Discard it and start a new one?`,
+            () => {
+                liveGame = null;
+                startLiveGame(gameId, playerPicks);
+            },
+            'Discard'
+        );
+        return;
+    }
+
+    liveGame = {
+        gameId,
+        startedAt: Date.now(),
+        elapsedMs: 0,
+        runningSince: Date.now(),
+        players: playerPicks.map(pick => ({ id: pick.id, name: pick.name })),
+        rounds: []
+    };
+    saveLiveGame();
+    openLiveGameModal();
+}
+
+/**
+ * Start a live game with the game and players chosen in the session modal
+ */
+function startLiveGameFromSessionModal() {
+    const gameId = document.getElementById('sessionGame').value;
+    if (!gameId) {
+        alert('Choose a game to start first.');
+        return;
+    }
+    const picks = [...sessionPlayerPicks];
+    closeModal('playSessionModal');
+    startLiveGame(gameId, picks);
+}
+
+/**
+ * Pause or resume the clock
+ */
+function toggleLiveGamePause() {
+    if (!liveGame) return;
+    if (liveGame.runningSince) {
+        liveGame.elapsedMs += Date.now() - liveGame.runningSince;
+        liveGame.runningSince = null;
+    } else {
+        liveGame.runningSince = Date.now();
+    }
+    saveLiveGame();
+    renderLiveGame();
+}
+
+/**
+ * Add a player to the live game by name, matching the roster by name or alias
+ * @param {string} name - Player name
+ */
+function addLivePlayer(name) {
+    const trimmed = name.trim();
+    if (!liveGame || !trimmed) return;
+    const player = findPlayerByName(trimmed);
+    const pick = player ? { id: player.id, name: player.name } : { id: null, name: trimmed };
+    if (!liveGame.players.some(p => getPickKey(p) === getPickKey(pick))) {
+        liveGame.players.push(pick);
+        saveLiveGame();
+    }
+    renderLiveGame();
+}
+
+/**
+ * Remove a player and their points from the live game
+ * @param {string} key - Pick key
+ */
+function removeLivePlayer(key) {
+    liveGame.players = liveGame.players.filter(p => getPickKey(p) !== key);
+    liveGame.rounds = liveGame.rounds
+        .map(round => {
+            const rest = { ...round };
+            delete rest[key];
+            return rest;
+        })
+        .filter(round => Object.keys(round).length > 0);
+    saveLiveGame();
+    renderLiveGame();
+}
+
+/**
+ * Add the points typed into the score pad as a new round
+ */
+function addLiveRound() {
+    const round = {};
+    document.querySelectorAll('#liveGameContent [data-live-points]').forEach(input => {
+        const points = parseFloat(input.value);
+        if (Number.isFinite(points)) round[input.dataset.livePoints] = points;
+    });
+    if (Object.keys(round).length === 0) return;
+    liveGame.rounds.push(round);
+    saveLiveGame();
+    renderLiveGame();
+    document.querySelector('#liveGameContent [data-live-points]')?.focus();
+}
+
+/**
+ * Remove the most recent round
+ */
+function undoLiveRound() {
+    liveGame.rounds.pop();
+    saveLiveGame();
+    renderLiveGame();
+}
+
+/**
+ * Render the live game's clock, players and score pad
+ */
+function renderLiveGame() {
+    const container = document.getElementById('liveGameContent');
+    if (!container || !liveGame) return;
+
+    const game = getGameById(liveGame.gameId);
+    const totals = getLiveTotals();
+    const paused = !liveGame.runningSince;
+    const playerHeaders = liveGame.players.map(pick => `
+        <th scope="col">
+            ${escapeHtml(pick.name)}
+            <button type="button" class="chip-remove" data-live-remove="${escapeHtml(getPickKey(pick))}" aria-label="Remove ${escapeHtml(pick.name)}">&times;</button>
+        </th>
+    `).join('');
+
+    const scorePad = liveGame.players.length > 0
+        ? `
+            <div class="table-scroll">
+                <table class="data-table score-pad">
+                    <thead>
+                        <tr><th scope="col">Round</th>${playerHeaders}</tr>
+                    </thead>
+                    <tbody>
+                        ${liveGame.rounds.map((round, i) => `
+                            <tr>
+                                <td>${i + 1}</td>
+                                ${liveGame.players.map(pick => `<td>${round[getPickKey(pick)] ?? ''}</td>`).join('')}
+                            </tr>
+                        `).join('')}
+                        <tr class="score-pad-entry">
+                            <td>${liveGame.rounds.length + 1}</td>
+                            ${liveGame.players.map(pick => `
+                                <td><input type="number" step="any" data-live-points="${escapeHtml(getPickKey(pick))}" aria-label="Points for ${escapeHtml(pick.name)}"></td>
+                            `).join('')}
+                        </tr>
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th scope="row">Total</th>
+                            ${liveGame.players.map(pick => `<td>${totals[getPickKey(pick)]}</td>`).join('')}
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+            <div class="settings-actions">
+                <button type="button" class="btn btn-secondary btn-small" id="liveAddRoundBtn">➕ Add Points</button>
+                ${liveGame.rounds.length > 0 ? '<button type="button" class="btn btn-ghost btn-small" id="liveUndoRoundBtn">↩️ Undo Last Round</button>' : ''}
+            </div>
+            <p class="help-text">Enter points for one or more players and add them as a round. Leave a box empty to skip that player.</p>
+        `
+        : '<p class="help-text">Add the players at the table to keep score.</p>';
+
+    container.innerHTML = `
+        <h2 id="liveGameTitle">⏱️ ${escapeHtml(game ? game.title : 'Unknown Game')}</h2>
+        <div class="live-timer ${paused ? 'paused' : ''}" data-live-timer>${formatTimer(getLiveElapsedMs())}</div>
+        <div class="live-timer-status">${paused ? 'Paused' : `Started ${new Date(liveGame.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}</div>
+        <div class="form-group">
+            <label for="livePlayerInput">Add Player</label>
+            <input type="text" id="livePlayerInput" list="playerNameOptions" placeholder="Type a name and press Enter" autocomplete="off">
+        </div>
+        ${scorePad}
+        <div class="form-actions">
+            <button type="button" class="btn btn-danger" id="liveDiscardBtn">🗑️ Discard</button>
+            <button type="button" class="btn btn-secondary" id="livePauseBtn">${paused ? '▶️ Resume' : '⏸️ Pause'}</button>
+            <button type="button" class="btn btn-primary" id="liveFinishBtn">🏁 Finish</button>
+        </div>
+    `;
+}
+
+/**
+ * Show the live game bar when a game is running
+ */
+function renderLiveGameBar() {
+    const bar = document.getElementById('liveGameBar');
+    if (!bar) return;
+    bar.hidden = !liveGame;
+    if (!liveGame) return;
+
+    const game = getGameById(liveGame.gameId);
+    bar.innerHTML = `
+        <span>⏱️ ${escapeHtml(game ? game.title : 'Unknown Game')}</span>
+        <span class="live-timer-small" data-live-timer>${formatTimer(getLiveElapsedMs())}</span>
+        ${liveGame.runningSince ? '' : '<span class="live-timer-status">Paused</span>'}
+        <button type="button" class="btn btn-secondary btn-small" onclick="openLiveGameModal()">Open Score Pad</button>
+    `;
+}
+
+/**
+ * Refresh every visible clock
+ */
+function tickLiveTimers() {
+    if (!liveGame) return;
+    const text = formatTimer(getLiveElapsedMs());
+    document.querySelectorAll('[data-live-timer]').forEach(el => {
+        el.textContent = text;
+    });
+}
+
+/**
+ * Open the live game modal
+ */
+function openLiveGameModal() {
+    if (!liveGame) return;
+    updatePlayerOptions();
+    renderLiveGame();
+    openModal('liveGameModal');
+}
+
+/**
+ * Ask before throwing away the live game
+ */
+function confirmDiscardLiveGame() {
+    showConfirm('Discard this game? The time and scores will be lost.', () => {
+        liveGame = null;
+        saveLiveGame();
+        closeModal('liveGameModal');
+    }, 'Discard');
+}
+
+/**
+ * Stop the clock and open the session modal with the time, players, scores
+ * and top scorers filled in. The live game is kept until the session is saved.
+ */
+function finishLiveGame() {
+    if (!liveGame) return;
+    if (liveGame.runningSince) toggleLiveGamePause();
+
+    const totals = getLiveTotals();
+    const hasScores = liveGame.rounds.length > 0;
+    const best = Math.max(...Object.values(totals));
+    closeModal('liveGameModal');
+    openPlaySessionModal(liveGame.gameId);
+    document.getElementById('sessionDate').value = new Date(liveGame.startedAt).toISOString().split('T')[0];
+    document.getElementById('sessionDuration').value = Math.max(1, Math.round(getLiveElapsedMs() / 60000));
+    sessionPlayerPicks = liveGame.players.map(pick => ({
+        ...pick,
+        score: hasScores ? totals[getPickKey(pick)] : undefined
+    }));
+    sessionWinnerKeys = new Set(hasScores
+        ? liveGame.players.map(getPickKey).filter(key => totals[key] === best)
+        : []);
+    renderSessionPlayerPicks();
+    finishingLiveGame = true;
+}
+
+// ============================================
+// Modal Functions
+// ============================================
+
+/**
+ * Open a modal
+ * @param {string} modalId - ID of the modal element
+ */
+function openModal(modalId) {
+    const modal = document.getElementById(modalId);
+    if (modal) {
+        modal.style.display = 'block';
+        // Focus the first focusable element
+        const focusable = modal.querySelector('button, input, select, textarea');
+        if (focusable) {
+            setTimeout(() => focusable.focus(), 100);
+        }
+    }
+}
+
+/**
+ * Close a modal
+ * @param {string} modalId - ID of the modal element
+ */
+function closeModal(modalId) {
+    const modal = document.getElementById(modalId);
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+/**
+ * Close all modals
+ */
+function closeAllModals() {
+    document.querySelectorAll('.modal').forEach(modal => {
+        modal.style.display = 'none';
+    });
+}
+
+// Tags picked in the game modal
+let gameTagPicks = [];
+
+/**
+ * List every tag in the collection, in the spelling used most often
+ * @returns {string[]} Tags sorted alphabetically
+ */
+function getAllTags() {
+    const spellings = new Map();
+    games.forEach(game => (game.categories || []).forEach(tag => {
+        const key = normalizeTitle(tag);
+        if (!spellings.has(key)) spellings.set(key, {});
+        const counts = spellings.get(key);
+        counts[tag] = (counts[tag] || 0) + 1;
+    }));
+    return [...spellings.values()]
+        .map(counts => Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0])
+        .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Fill the game modal's tag picker
+ * @param {string[]} tags - Tags of the game
+ */
+function setGameTags(tags) {
+    gameTagPicks = [...tags];
+    document.getElementById('gameTagInput').value = '';
+    document.getElementById('tagOptions').innerHTML = getAllTags()
+        .map(tag => `<option value="${escapeHtml(tag)}"></option>`).join('');
+    renderGameTags();
+}
+
+/**
+ * Add tags typed into the game modal, reusing the spelling of existing tags
+ * @param {string} text - One or more comma-separated tags
+ */
+function addGameTags(text) {
+    const existing = getAllTags();
+    splitTags(text).forEach(tag => {
+        const known = existing.find(t => normalizeTitle(t) === normalizeTitle(tag));
+        if (!gameTagPicks.some(t => normalizeTitle(t) === normalizeTitle(tag))) {
+            gameTagPicks.push(known || tag);
+        }
+    });
+    renderGameTags();
+}
+
+/**
+ * Remove a tag from the game modal
+ * @param {string} tag - Tag to remove
+ */
+function removeGameTag(tag) {
+    gameTagPicks = gameTagPicks.filter(t => t !== tag);
+    renderGameTags();
+}
+
+/**
+ * Render the tags picked in the game modal
+ */
+function renderGameTags() {
+    document.getElementById('gameTagChips').innerHTML = gameTagPicks.map(tag => `
+        <span class="chip">
+            ${escapeHtml(tag)}
+            <button type="button" class="chip-remove" data-remove-tag="${escapeHtml(tag)}" aria-label="Remove ${escapeHtml(tag)}">&times;</button>
+        </span>
+    `).join('');
+}
+
+/**
+ * Get the tags picked in the game modal, including any still being typed
+ * @returns {string[]} Tags
+ */
+function collectGameTags() {
+    const input = document.getElementById('gameTagInput');
+    if (input.value.trim()) {
+        addGameTags(input.value);
+        input.value = '';
+    }
+    return [...gameTagPicks];
+}
+
+/**
+ * Open the add game modal
+ * @param {string} [baseGameId] - Base game, when adding an expansion
+ */
+function openAddGameModal(baseGameId) {
+    if (blockedByReadOnly()) return;
+    document.getElementById('gameModalTitle').textContent = baseGameId ? 'Add Expansion' : 'Add New Game';
+    document.getElementById('gameForm').reset();
+    document.getElementById('gameId').value = '';
+    document.getElementById('gameStatus').value = 'owned';
+    setGameTags([]);
+    setGameValueFields({});
+    updateLocationOptions();
+    updateBaseGameOptions(null, baseGameId);
+    pendingGameImage = undefined;
+    renderGameImagePreview();
+    openModal('gameModal');
+}
+
+/**
+ * Fill the "Expansion of" dropdown in the game modal. Only games that aren't
+ * expansions themselves can be a base game, and a game with its own
+ * expansions can't become one. A selected base game in the trash is listed
+ * too, so saving the expansion doesn't detach it.
+ * @param {string|null} gameId - Game being edited, null when adding
+ * @param {string} selectedId - Base game to select
+ */
+function updateBaseGameOptions(gameId, selectedId) {
+    const select = document.getElementById('gameBaseGame');
+    if (!select) return;
+    const baseGames = games
+        .filter(g => g.id !== gameId && !g.baseGameId)
+        .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+    const trashedBase = trash.games.find(g => g.id === selectedId);
+    select.innerHTML = `
+        <option value="">None (base game)</option>
+        ${trashedBase ? `<option value="${trashedBase.id}">${escapeHtml(trashedBase.title)} (in the trash)</option>` : ''}
+        ${baseGames.map(g => `<option value="${g.id}">${escapeHtml(g.title)}</option>`).join('')}
+    `;
+    select.value = selectedId || '';
+    select.disabled = Boolean(gameId) && getExpansions(gameId).length > 0;
+    document.getElementById('gameExpansionType').disabled = !select.value;
+}
+
+/**
+ * Open the edit game modal
+ * @param {string} gameId - ID of game to edit
+ */
+function openEditGameModal(gameId) {
+    if (blockedByReadOnly()) return;
+    const game = getGameById(gameId);
+    if (!game) return;
+
+    document.getElementById('gameModalTitle').textContent = 'Edit Game';
+    document.getElementById('gameId').value = game.id;
+    document.getElementById('gameTitle').value = game.title || '';
+    document.getElementById('gameYear').value = game.yearPublished || '';
+    document.getElementById('gameDesigner').value = game.designer || '';
+    document.getElementById('gamePublisher').value = game.publisher || '';
+    document.getElementById('gameMinPlayers').value = game.minPlayers || '';
+    document.getElementById('gameMaxPlayers').value = game.maxPlayers || '';
+    document.getElementById('gamePlayTime').value = game.playTime || '';
+    document.getElementById('gameComplexity').value = game.complexity || '';
+    document.getElementById('gameRating').value = game.rating || '';
+    document.getElementById('gameStatus').value = game.status || 'owned';
+    setGameTags(game.categories || []);
+    document.getElementById('gameAcquisitionDate').value = game.acquisitionDate || '';
+    setGameValueFields(game);
+    updateLocationOptions();
+    document.getElementById('gameRoom').value = game.location?.room || '';
+    document.getElementById('gameShelf').value = game.location?.shelf || '';
+    document.getElementById('gamePosition').value = game.location?.position || '';
+    document.getElementById('gameImageUrl').value = game.imageUrl || '';
+    pendingGameImage = undefined;
+    renderGameImagePreview();
+    document.getElementById('gameNotes').value = game.notes || '';
+    updateBaseGameOptions(game.id, game.baseGameId);
+    document.getElementById('gameExpansionType').value = game.expansionType || 'expansion';
+
+    openModal('gameModal');
+}
+
+/**
+ * Show checkboxes for the owned expansions of the game chosen in the session modal
+ * @param {string[]} [selectedIds] - Expansions to tick
+ */
+function renderSessionExpansionOptions(selectedIds = []) {
+    const gameId = document.getElementById('sessionGame').value;
+    const expansions = gameId
+        ? getExpansions(gameId).filter(e => e.status === 'owned' || selectedIds.includes(e.id))
+        : [];
+    document.getElementById('sessionExpansionsGroup').hidden = expansions.length === 0;
+    document.getElementById('sessionExpansions').innerHTML = expansions.map(expansion => `
+        <label class="chip chip-check">
+            <input type="checkbox" value="${expansion.id}" ${selectedIds.includes(expansion.id) ? 'checked' : ''}>
+            ${escapeHtml(expansion.title)}
+        </label>
+    `).join('');
+}
+
+/**
+ * Open play session modal for a specific game
+ * @param {string} gameId - ID of game to log play for
+ * @param {string[]} [expansionIds] - Expansions to preselect
+ * @param {string} [date] - Date of the play, today if not given
+ */
+function openPlaySessionModal(gameId, expansionIds = [], date = todayString()) {
+    if (blockedByReadOnly()) return;
+    finishingLiveGame = false;
+    updateGameDropdown();
+    document.getElementById('playSessionForm').reset();
+    document.getElementById('sessionId').value = '';
+    document.getElementById('sessionGameId').value = gameId || '';
+    document.getElementById('sessionGame').value = gameId || '';
+    document.getElementById('sessionDate').value = date;
+    document.getElementById('sessionMode').value = 'competitive';
+    document.getElementById('sessionOutcome').value = 'win';
+    renderSessionExpansionOptions(expansionIds);
+    setSessionPlayerPicks([], []);
+    
+    document.getElementById('playSessionModalTitle').textContent = 'Log Play Session';
+    openModal('playSessionModal');
+}
+
+/**
+ * Edit an existing session
+ * @param {string} sessionId - ID of session to edit
+ */
+function editSession(sessionId) {
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) return;
+
+    finishingLiveGame = false;
+    updateGameDropdown();
+    document.getElementById('sessionId').value = session.id;
+    document.getElementById('sessionGameId').value = session.gameId;
+    document.getElementById('sessionGame').value = session.gameId;
+    document.getElementById('sessionDate').value = session.date;
+    document.getElementById('sessionDuration').value = session.duration || '';
+    document.getElementById('sessionMode').value = session.mode || 'competitive';
+    document.getElementById('sessionOutcome').value = session.outcome || 'win';
+    renderSessionExpansionOptions(session.expansionIds);
+    setSessionPlayerPicks(session.players || [], session.winners || [], session.results);
+    document.getElementById('sessionNotes').value = session.notes || '';
+
+    document.getElementById('playSessionModalTitle').textContent = 'Edit Play Session';
+    openModal('playSessionModal');
+}
+
+// Players picked in the session modal with their results; id is null for names
+// not yet in the roster
+let sessionPlayerPicks = [];
+let sessionWinnerKeys = new Set();
+
+/**
+ * Get a stable key for a player pick
+ * @param {{id: string|null, name: string}} pick - Picked player
+ * @returns {string} Key
+ */
+function getPickKey(pick) {
+    return pick.id || `new:${normalizeTitle(pick.name)}`;
+}
+
+/**
+ * Fill the session modal's player picker
+ * @param {string[]} playerIds - Players in the session
+ * @param {string[]} winnerIds - Winners of the session
+ * @param {PlayerResult[]} [results] - Scores, positions and teams
+ */
+function setSessionPlayerPicks(playerIds, winnerIds, results = []) {
+    // Winners who weren't listed as players are shown as players too
+    const ids = [...new Set([...playerIds, ...winnerIds])];
+    sessionPlayerPicks = ids.map(id => {
+        const result = results.find(r => r.playerId === id) || {};
+        return {
+            id,
+            name: getPlayerName(id),
+            score: result.score,
+            position: result.position,
+            team: result.team
+        };
+    });
+    sessionWinnerKeys = new Set(winnerIds);
+    document.getElementById('sessionPlayerInput').value = '';
+    updatePlayerOptions();
+    renderSessionPlayerPicks();
+}
+
+/**
+ * Add a player to the session by name, matching the roster by name or alias
+ * @param {string} name - Player name
+ */
+function addSessionPlayer(name) {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const player = findPlayerByName(trimmed);
+    const pick = player ? { id: player.id, name: player.name } : { id: null, name: trimmed };
+    if (!sessionPlayerPicks.some(p => getPickKey(p) === getPickKey(pick))) {
+        sessionPlayerPicks.push(pick);
+    }
+    renderSessionPlayerPicks();
+}
+
+/**
+ * Remove a player from the session
+ * @param {string} key - Pick key
+ */
+function removeSessionPlayer(key) {
+    sessionPlayerPicks = sessionPlayerPicks.filter(p => getPickKey(p) !== key);
+    sessionWinnerKeys.delete(key);
+    renderSessionPlayerPicks();
+}
+
+/**
+ * Toggle whether a picked player won
+ * @param {string} key - Pick key
+ */
+function toggleSessionWinner(key) {
+    if (sessionWinnerKeys.has(key)) {
+        sessionWinnerKeys.delete(key);
+    } else {
+        sessionWinnerKeys.add(key);
+    }
+}
+
+/**
+ * Store a score, position or team typed into the results table
+ * @param {string} key - Pick key
+ * @param {string} field - 'score', 'position' or 'team'
+ * @param {string} value - Input value
+ */
+function setSessionResultValue(key, field, value) {
+    const pick = sessionPlayerPicks.find(p => getPickKey(p) === key);
+    if (!pick) return;
+    if (field === 'team') {
+        pick.team = value.trim() || undefined;
+    } else {
+        const number = parseFloat(value);
+        pick[field] = Number.isFinite(number) ? number : undefined;
+    }
+}
+
+/**
+ * Show or hide the parts of the session modal that depend on the game mode
+ */
+function updateSessionModeFields() {
+    const mode = document.getElementById('sessionMode').value;
+    document.getElementById('sessionOutcomeGroup').hidden = mode !== 'cooperative';
+    document.getElementById('sessionResults').classList.toggle('mode-team', mode === 'team');
+    document.getElementById('sessionResults').classList.toggle('mode-cooperative', mode === 'cooperative');
+}
+
+/**
+ * Render the picked players, their results and frequent-player suggestions
+ */
+function renderSessionPlayerPicks() {
+    const pickedKeys = new Set(sessionPlayerPicks.map(getPickKey));
+
+    document.getElementById('sessionPlayerChips').innerHTML = sessionPlayerPicks.map(pick => {
+        const key = getPickKey(pick);
+        const player = pick.id ? getPlayerById(pick.id) : null;
+        return `
+            <span class="chip">
+                ${player ? renderPlayerBadge(player) : ''}
+                ${escapeHtml(pick.name)}${pick.id ? '' : ' <em>(new)</em>'}
+                <button type="button" class="chip-remove" data-remove-player="${escapeHtml(key)}" aria-label="Remove ${escapeHtml(pick.name)}">&times;</button>
+            </span>
+        `;
+    }).join('');
+
+    const valueAttr = (value) => value === undefined ? '' : `value="${escapeHtml(String(value))}"`;
+    document.getElementById('sessionResults').innerHTML = sessionPlayerPicks.length > 0
+        ? `
+            <table class="data-table results-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Player</th>
+                        <th scope="col">Score</th>
+                        <th scope="col">Place</th>
+                        <th scope="col" class="results-team">Team</th>
+                        <th scope="col" class="results-winner">Won</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sessionPlayerPicks.map((pick, i) => {
+                        const key = escapeHtml(getPickKey(pick));
+                        const name = escapeHtml(pick.name);
+                        return `
+                            <tr>
+                                <td>${name}</td>
+                                <td><input type="number" step="any" data-result-key="${key}" data-result-field="score" ${valueAttr(pick.score)} aria-label="Score for ${name}"></td>
+                                <td><input type="number" min="1" step="1" data-result-key="${key}" data-result-field="position" ${valueAttr(pick.position)} aria-label="Finishing position for ${name}"></td>
+                                <td class="results-team"><input type="text" list="sessionTeamOptions" data-result-key="${key}" data-result-field="team" ${valueAttr(pick.team)} aria-label="Team for ${name}"></td>
+                                <td class="results-winner"><input type="checkbox" id="sessionWinner${i}" data-toggle-winner="${key}" ${sessionWinnerKeys.has(getPickKey(pick)) ? 'checked' : ''} aria-label="${name} won"></td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+            <p class="help-text results-hint">Leave "Won" unticked to work out the winners from places or scores.</p>
+        `
+        : '<span class="help-text">Add players to record scores and winners.</span>';
+
+    const teams = [...new Set(sessionPlayerPicks.map(p => p.team).filter(Boolean))];
+    document.getElementById('sessionTeamOptions').innerHTML = teams
+        .map(team => `<option value="${escapeHtml(team)}"></option>`).join('');
+
+    // Suggest the most frequent players who aren't in the session yet
+    const counts = {};
+    sessions.forEach(session => (session.players || []).forEach(id => {
+        counts[id] = (counts[id] || 0) + 1;
+    }));
+    const suggestions = players
+        .filter(player => !pickedKeys.has(player.id))
+        .sort((a, b) => (counts[b.id] || 0) - (counts[a.id] || 0) || a.name.localeCompare(b.name))
+        .slice(0, 8);
+    document.getElementById('sessionPlayerSuggestions').innerHTML = suggestions.map(player => `
+        <button type="button" class="chip chip-suggestion" data-add-player="${escapeHtml(player.name)}">
+            + ${escapeHtml(player.name)}
+        </button>
+    `).join('');
+
+    updateSessionModeFields();
+}
+
+/**
+ * Resolve the session modal's picks to player IDs, creating new roster entries
+ * @returns {{players: string[], winners: string[], results: PlayerResult[], created: Player[]}} Session player data
+ */
+function collectSessionPlayers() {
+    // Include a name that was typed but not yet confirmed with Enter
+    const input = document.getElementById('sessionPlayerInput');
+    if (input.value.trim()) {
+        addSessionPlayer(input.value);
+        input.value = '';
+    }
+
+    const created = [];
+    const idsByKey = {};
+    sessionPlayerPicks.forEach(pick => {
+        idsByKey[getPickKey(pick)] = pick.id || resolvePlayerIds([pick.name], created)[0];
+    });
+    return {
+        players: sessionPlayerPicks.map(pick => idsByKey[getPickKey(pick)]),
+        winners: sessionPlayerPicks.filter(pick => sessionWinnerKeys.has(getPickKey(pick)))
+            .map(pick => idsByKey[getPickKey(pick)]),
+        results: sessionPlayerPicks.map(pick => {
+            const result = { playerId: idsByKey[getPickKey(pick)] };
+            if (pick.score !== undefined) result.score = pick.score;
+            if (pick.position !== undefined) result.position = pick.position;
+            if (pick.team) result.team = pick.team;
+            return result;
+        }),
+        created
+    };
+}
+
+/**
+ * Open the add player modal
+ */
+function openAddPlayerModal() {
+    if (blockedByReadOnly()) return;
+    document.getElementById('playerModalTitle').textContent = 'Add Player';
+    document.getElementById('playerForm').reset();
+    document.getElementById('playerId').value = '';
+    document.getElementById('playerMergeSection').hidden = true;
+    document.getElementById('deletePlayerBtn').hidden = true;
+    openModal('playerModal');
+}
+
+/**
+ * Open the edit player modal
+ * @param {string} playerId - ID of player to edit
+ */
+function openEditPlayerModal(playerId) {
+    if (blockedByReadOnly()) return;
+    const player = getPlayerById(playerId);
+    if (!player) return;
+
+    document.getElementById('playerModalTitle').textContent = 'Edit Player';
+    document.getElementById('playerId').value = player.id;
+    document.getElementById('playerName').value = player.name;
+    document.getElementById('playerColor').value = player.color || '#8b7355';
+    document.getElementById('playerAvatar').value = player.avatar || '';
+    document.getElementById('playerAliases').value = (player.aliases || []).join(', ');
+
+    const others = players.filter(p => p.id !== player.id).sort((a, b) => a.name.localeCompare(b.name));
+    document.getElementById('playerMergeTarget').innerHTML = `
+        <option value="">Select a player...</option>
+        ${others.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('')}
+    `;
+    document.getElementById('playerMergeSection').hidden = others.length === 0;
+    document.getElementById('deletePlayerBtn').hidden = false;
+    openModal('playerModal');
+}
+
+/**
+ * Confirm merging the player being edited into the selected player
+ */
+function confirmMergePlayer() {
+    const sourceId = document.getElementById('playerId').value;
+    const targetId = document.getElementById('playerMergeTarget').value;
+    const source = getPlayerById(sourceId);
+    const target = getPlayerById(targetId);
+    if (!source || !target) return;
+
+    showConfirm(
+        `Merge "${source.name}" into "${target.name}"? ${getPlayerSessionCount(sourceId)} sessions will be moved to "${target.name}" and "${source.name}" becomes an alias.`,
+        () => {
+            mergePlayers(sourceId, targetId);
+            closeModal('playerModal');
+        },
+        'Merge'
+    );
+}
+
+/**
+ * Confirm deleting the player being edited
+ */
+function confirmDeletePlayer() {
+    const playerId = document.getElementById('playerId').value;
+    const player = getPlayerById(playerId);
+    if (!player) return;
+
+    const count = getPlayerSessionCount(playerId);
+    if (count > 0) {
+        alert(`"${player.name}" is recorded in ${count} sessions and can't be deleted. Merge them into another player instead.`);
+        return;
+    }
+    if (trash.sessions.some(s => (s.players || []).includes(playerId) || (s.winners || []).includes(playerId))) {
+        alert(`"${player.name}" is recorded in sessions in the trash and can't be deleted until they are purged.`);
+        return;
+    }
+    showConfirm(`Are you sure you want to delete "${player.name}"?`, () => {
+        deletePlayer(playerId);
+        closeModal('playerModal');
+    });
+}
+
+/**
+ * Show game details modal
+ * @param {string} gameId - ID of game to show
+ */
+function showGameDetails(gameId) {
+    const game = getGameById(gameId);
+    if (!game) return;
+
+    const gameSessions = getSessionsForGame(gameId);
+    const container = document.getElementById('gameDetailsContent');
+
+    const imageSrc = getGameImageSrc(game, 'detail');
+    const imageHtml = imageSrc
+        ? `<img src="${escapeHtml(imageSrc)}" alt="${escapeHtml(game.title)} box art" class="game-details-image" data-fallback="true">`
+        : '<div class="game-details-image-placeholder">🎲</div>';
+
+    const metaItems = [];
+    if (game.yearPublished) metaItems.push(`<span>📅 ${game.yearPublished}</span>`);
+    if (game.designer) metaItems.push(`<span>✏️ ${escapeHtml(game.designer)}</span>`);
+    if (game.publisher) metaItems.push(`<span>🏭 ${escapeHtml(game.publisher)}</span>`);
+    if (game.minPlayers || game.maxPlayers) {
+        const players = game.minPlayers === game.maxPlayers 
+            ? `${game.minPlayers}` 
+            : `${game.minPlayers || '?'}-${game.maxPlayers || '?'}`;
+        metaItems.push(`<span>👥 ${players} players</span>`);
+    }
+    if (game.playTime) metaItems.push(`<span>⏱️ ${formatDuration(game.playTime)}</span>`);
+    if (game.complexity) metaItems.push(`<span>⚖️ Complexity: ${game.complexity}/5</span>`);
+    if (game.rating) metaItems.push(`<span>⭐ Rating: ${game.rating}/10</span>`);
+    if (game.categories && game.categories.length > 0) {
+        metaItems.push(`<span>🏷️ ${game.categories.map(escapeHtml).join(', ')}</span>`);
+    }
+    if (game.location) metaItems.push(`<span>📍 ${escapeHtml(formatLocation(game.location))}</span>`);
+    const currency = getGameCurrency(game);
+    if (typeof game.purchasePrice === 'number' || game.acquisitionSource) {
+        const paid = typeof game.purchasePrice === 'number' ? `Paid ${formatMoney(game.purchasePrice, currency)}` : 'Acquired';
+        metaItems.push(`<span>💰 ${paid}${game.acquisitionSource ? ` from ${escapeHtml(game.acquisitionSource)}` : ''}</span>`);
+    }
+    if (typeof game.currentValue === 'number') metaItems.push(`<span>💎 Worth ${formatMoney(game.currentValue, currency)}</span>`);
+    if (game.status === 'previously-owned' && (typeof game.salePrice === 'number' || game.saleDate)) {
+        const price = typeof game.salePrice === 'number' ? ` for ${formatMoney(game.salePrice, currency)}` : '';
+        metaItems.push(`<span>🔁 Sold${price}${game.saleDate ? ` on ${formatDate(game.saleDate)}` : ''}</span>`);
+    }
+
+    const baseGame = game.baseGameId ? getGameById(game.baseGameId) : null;
+    if (baseGame) {
+        metaItems.unshift(`
+            <span>🧩 ${game.expansionType === 'promo' ? 'Promo' : 'Expansion'} for
+                <button type="button" class="link-button" onclick="showGameDetails('${baseGame.id}')">${escapeHtml(baseGame.title)}</button>
+            </span>
+        `);
+    }
+
+    const expansions = getExpansions(game.id);
+    const expansionsHtml = expansions.length > 0
+        ? expansions.map(expansion => {
+            const usage = getExpansionUsage(expansion);
+            return `
+                <div class="stat-item">
+                    <div>
+                        <button type="button" class="link-button" onclick="showGameDetails('${expansion.id}')">
+                            🧩 ${escapeHtml(expansion.title)}
+                        </button>
+                        <div class="expansion-meta">${expansion.expansionType === 'promo' ? 'Promo' : 'Expansion'}${expansion.status !== 'owned' ? ` · ${expansion.status === 'wishlist' ? 'Wishlist' : 'Previously owned'}` : ''}</div>
+                    </div>
+                    <span class="stat-item-value">${usage.with} with · ${usage.without} without</span>
+                </div>
+            `;
+        }).join('')
+        : '<p class="help-text">No expansions or promos linked to this game.</p>';
+
+    const sessionsHtml = gameSessions.length > 0
+        ? gameSessions.slice(0, GAME_DETAILS_SESSION_COUNT).map(session => {
+            const details = [];
+            if (session.players && session.players.length > 0) {
+                details.push(`👥 ${renderPlayerNames(session.players)}`);
+            }
+            if (session.mode !== 'cooperative' && session.winners && session.winners.length > 0) {
+                details.push(`🏆 ${renderPlayerNames(session.winners)}`);
+            }
+            if (session.duration) {
+                details.push(`⏱️ ${formatDuration(session.duration)}`);
+            }
+            if (session.expansionIds && session.expansionIds.length > 0) {
+                details.push(`🧩 ${renderExpansionNames(session.expansionIds)}`);
+            }
+
+            return `
+                <div class="play-session">
+                    <div class="session-date">📅 ${formatDate(session.date)}</div>
+                    ${details.length > 0 ? `<div class="session-details">${details.map(d => `<span class="session-detail">${d}</span>`).join('')}</div>` : ''}
+                    ${renderSessionResults(session)}
+                    ${session.notes ? `<div class="session-notes">📝 ${escapeHtml(session.notes)}</div>` : ''}
+                </div>
+            `;
+        }).join('')
+        : '<div class="no-sessions">No play sessions logged for this game.</div>';
+
+    container.innerHTML = `
+        <div class="game-details-header">
+            ${imageHtml}
+            <div class="game-details-info">
+                <h2 class="game-details-title">${escapeHtml(game.title)}</h2>
+                <div class="game-details-meta">${metaItems.join('')}</div>
+            </div>
+        </div>
+        ${game.notes ? `
+            <div class="game-details-section">
+                <h3>📝 Notes</h3>
+                <p class="game-details-notes">${escapeHtml(game.notes)}</p>
+            </div>
+        ` : ''}
+        ${baseGame ? '' : `
+            <div class="game-details-section">
+                <h3>🧩 Expansions &amp; Promos</h3>
+                ${expansionsHtml}
+                <button class="btn btn-ghost btn-small" onclick="openAddGameModal('${game.id}'); closeModal('gameDetailsModal');">
+                    ➕ Add Expansion
+                </button>
+            </div>
+        `}
+        ${renderGameLoans(game)}
+        <div class="game-details-section">
+            <h3>🎮 Play History (${gameSessions.length} plays)</h3>
+            ${sessionsHtml}
+            ${gameSessions.length > GAME_DETAILS_SESSION_COUNT ? `
+                <button class="btn btn-ghost btn-small" onclick="browseGameSessions('${game.id}')">
+                    🔎 Browse all ${gameSessions.length} plays
+                </button>
+            ` : ''}
+        </div>
+        <div class="form-actions" style="border-top: 1px solid var(--border-color); margin-top: 20px; padding-top: 20px;">
+            <button class="btn btn-secondary" onclick="${baseGame
+                ? `openPlaySessionModal('${baseGame.id}', ['${game.id}'])`
+                : `openPlaySessionModal('${game.id}')`}; closeModal('gameDetailsModal');">
+                ▶️ Log Play
+            </button>
+            <button class="btn btn-info" onclick="openEditGameModal('${game.id}'); closeModal('gameDetailsModal');">
+                ✏️ Edit Game
+            </button>
+            <button class="btn btn-danger" onclick="confirmDeleteGame('${game.id}')">
+                🗑️ Delete Game
+            </button>
+        </div>
+    `;
+
+    openModal('gameDetailsModal');
+}
+
+// ============================================
+// Confirmation Dialogs
+// ============================================
+
+let pendingConfirmAction = null;
+
+/**
+ * Show confirmation dialog
+ * @param {string} message - Message to display
+ * @param {Function} onConfirm - Function to call on confirm
+ * @param {string} [confirmLabel='Delete'] - Label of the confirm button
+ */
+function showConfirm(message, onConfirm, confirmLabel = 'Delete') {
+    document.getElementById('confirmMessage').textContent = message;
+    document.getElementById('confirmOk').textContent = confirmLabel;
+    pendingConfirmAction = onConfirm;
+    openModal('confirmModal');
+}
+
+/**
+ * Confirm delete game
+ * @param {string} gameId - ID of game to delete
+ */
+function confirmDeleteGame(gameId) {
+    const game = getGameById(gameId);
+    if (!game) return;
+
+    showConfirm(
+        `Move "${game.title}" and its ${getPlayCount(gameId)} play sessions to the trash? You can restore them from Settings.`,
+        () => {
+            deleteGame(gameId);
+            closeAllModals();
+        }
+    );
+}
+
+/**
+ * Confirm delete session
+ * @param {string} sessionId - ID of session to delete
+ */
+function confirmDeleteSession(sessionId) {
+    showConfirm(
+        'Move this play session to the trash? You can restore it from Settings.',
+        () => {
+            deleteSession(sessionId);
+            closeModal('confirmModal');
+        }
+    );
+}
+
+// ============================================
+// Data Import/Export
+// ============================================
+
+/**
+ * Export all data to JSON file
+ */
+async function exportData() {
+    // Trashed records stay out of backups, so drop references to them
+    const liveGameIds = new Set(games.map(g => g.id));
+    const data = {
+        version: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        games: games.map(game => {
+            if (!game.baseGameId || liveGameIds.has(game.baseGameId)) return game;
+            const standalone = { ...game };
+            delete standalone.baseGameId;
+            delete standalone.expansionType;
+            return standalone;
+        }),
+        sessions: sessions.map(session => (session.expansionIds || []).every(id => liveGameIds.has(id))
+            ? session
+            : { ...session, expansionIds: session.expansionIds.filter(id => liveGameIds.has(id)) }),
+        players: players
+    };
+    if (document.getElementById('exportIncludeImages')?.checked) {
+        data.images = await exportImages(data.games);
+    }
+
+    downloadFile(
+        JSON.stringify(data, null, 2),
+        `board-game-tracker-backup-${todayString()}.json`,
+        'application/json'
+    );
+}
+
+/**
+ * Import data from JSON file
+ * @param {File} file - JSON file to import
+ */
+function importData(file) {
+    if (blockedByReadOnly()) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            const data = JSON.parse(e.target.result);
+            
+            if (!data.games || !Array.isArray(data.games)) {
+                throw new Error('Invalid data format: missing games array');
+            }
+            if (data.sessions !== undefined && !Array.isArray(data.sessions)) {
+                throw new Error('Invalid data format: sessions must be an array');
+            }
+
+            const migrated = migrateData(data, parseInt(data.version) || 1);
+            const errors = [...validateData(migrated), ...validateImages(data.images)];
+            if (errors.length > 0) {
+                renderImportErrors(errors);
+            } else {
+                pendingImport = {
+                    games: migrated.games,
+                    sessions: migrated.sessions,
+                    players: migrated.players,
+                    images: data.images || []
+                };
+                renderImportChoice();
+            }
+            openModal('importModal');
+        } catch (error) {
+            console.error('Import error:', error);
+            alert('Error importing data: ' + error.message);
+        }
+    };
+    reader.readAsText(file);
+}
+
+// Backup waiting for the user to choose replace or merge, and its merge plan
+let pendingImport = null;
+let pendingMergePlan = null;
+
+/**
+ * Explain why a backup can't be imported
+ * @param {string[]} errors - Validation errors
+ */
+function renderImportErrors(errors) {
+    pendingImport = null;
+    document.getElementById('importModalBody').innerHTML = `
+        <p class="import-error">⚠️ This backup can't be imported because ${errors.length} problem${errors.length === 1 ? ' was' : 's were'} found in it. Your data has not been changed.</p>
+        ${renderValidationErrors(errors)}
+        <div class="form-actions">
+            <button type="button" class="btn btn-primary" onclick="closeModal('importModal')">Close</button>
+        </div>
+    `;
+}
+
+/**
+ * Ask whether the backup should replace or be merged into current data
+ */
+function renderImportChoice() {
+    const gameCount = pendingImport.games.length;
+    const sessionCount = pendingImport.sessions.length;
+    const playerCount = pendingImport.players.length;
+
+    document.getElementById('importModalBody').innerHTML = `
+        <p>This backup contains ${gameCount} games, ${sessionCount} sessions and ${playerCount} players.</p>
+        <p class="help-text">Merging keeps your current data, adds records that only exist in the backup and lets you decide what to do with records that differ. Replacing discards your current data.</p>
+        <div class="form-actions">
+            <button type="button" class="btn btn-secondary" onclick="closeModal('importModal')">Cancel</button>
+            <button type="button" class="btn btn-danger" onclick="replaceWithImport()">Replace My Data</button>
+            <button type="button" class="btn btn-primary" onclick="startMergeImport()">Merge</button>
+        </div>
+    `;
+}
+
+/**
+ * Replace all current data with the pending backup
+ */
+function replaceWithImport() {
+    const before = snapshotData();
+    ['games', 'sessions', 'players'].forEach(storeName => {
+        const keptIds = new Set(pendingImport[storeName].map(record => record.id));
+        const removedIds = STORE_RECORDS[storeName]().map(record => record.id).filter(id => !keptIds.has(id));
+        setStoreRecords(storeName, pendingImport[storeName]);
+        replaceStore(storeName, pendingImport[storeName]);
+        queueSyncChanges(storeName, pendingImport[storeName], removedIds);
+    });
+    importImages(pendingImport.images).then(renderGames);
+    pendingImport = null;
+    recordHistory('Replaced all data with a backup', before, { bulk: true });
+    renderGames();
+    renderSessions();
+    closeModal('importModal');
+    alert('Data imported successfully!');
+}
+
+/**
+ * Get when a record was last changed
+ * @param {Object} record - Game or session
+ * @returns {string} ISO date string
+ */
+function getRecordTimestamp(record) {
+    return record.updatedAt || record.createdAt || '';
+}
+
+/**
+ * Compare two records, ignoring identity and timestamps
+ * @param {Object} a - First record
+ * @param {Object} b - Second record
+ * @returns {string[]} Names of fields whose values differ
+ */
+function getChangedFields(a, b) {
+    const ignored = ['id', 'createdAt', 'updatedAt'];
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return Array.from(keys).filter(key =>
+        !ignored.includes(key) && JSON.stringify(a[key]) !== JSON.stringify(b[key])
+    );
+}
+
+/**
+ * Work out how the pending backup merges into current data. Games match by ID,
+ * then by title; players match by ID, then by name or alias; sessions match by ID.
+ * @returns {Object} Merge plan with added, identical and conflicting records per type
+ */
+function buildMergePlan() {
+    const plan = {
+        games: { added: [], identical: 0, conflicts: [] },
+        players: { added: [], identical: 0, conflicts: [] },
+        sessions: { added: [], identical: 0, conflicts: [], orphaned: 0 }
+    };
+
+    // Incoming player IDs that correspond to a local player with a different ID
+    const playerIdMap = {};
+    pendingImport.players.forEach(incoming => {
+        const local = getPlayerById(incoming.id) || findPlayerByName(incoming.name);
+        if (!local) {
+            plan.players.added.push(incoming);
+            return;
+        }
+        playerIdMap[incoming.id] = local.id;
+        const merged = { ...incoming, id: local.id };
+        const changedFields = getChangedFields(local, merged);
+        if (changedFields.length === 0) {
+            plan.players.identical++;
+        } else {
+            plan.players.conflicts.push({ type: 'players', local, incoming: merged, changedFields, choice: 'newer' });
+        }
+    });
+    const remapPlayers = (ids) => ids ? [...new Set(ids.map(id => playerIdMap[id] || id))] : ids;
+    // Incoming game IDs that correspond to a local game with a different ID.
+    // Every game is matched first so expansions can point at the right base game.
+    const gameIdMap = {};
+    pendingImport.games.forEach(incoming => {
+        const local = getGameById(incoming.id) ||
+            games.find(g => normalizeTitle(g.title) === normalizeTitle(incoming.title));
+        if (local) gameIdMap[incoming.id] = local.id;
+    });
+    const remapGame = (id) => gameIdMap[id] || id;
+
+    pendingImport.games.forEach(game => {
+        const incoming = game.baseGameId ? { ...game, baseGameId: remapGame(game.baseGameId) } : { ...game };
+        if (game.loans) {
+            incoming.loans = game.loans.map(loan =>
+                loan.borrowerId ? { ...loan, borrowerId: playerIdMap[loan.borrowerId] || loan.borrowerId } : loan
+            );
+        }
+        const local = gameIdMap[game.id] && getGameById(gameIdMap[game.id]);
+        if (!local) {
+            plan.games.added.push(incoming);
+            return;
+        }
+        const merged = { ...incoming, id: local.id };
+        const changedFields = getChangedFields(local, merged);
+        if (changedFields.length === 0) {
+            plan.games.identical++;
+        } else {
+            plan.games.conflicts.push({ type: 'games', local, incoming: merged, changedFields, choice: 'newer' });
+        }
+    });
+
+    const incomingGameIds = new Set(plan.games.added.map(g => g.id));
+    pendingImport.sessions.forEach(session => {
+        const incoming = normalizeSessionResults({
+            ...session,
+            gameId: remapGame(session.gameId),
+            players: remapPlayers(session.players),
+            winners: remapPlayers(session.winners),
+            results: (session.results || []).map(r => ({ ...r, playerId: playerIdMap[r.playerId] || r.playerId }))
+        });
+        if (session.expansionIds) {
+            incoming.expansionIds = session.expansionIds.map(remapGame);
+        }
+        if (!getGameById(incoming.gameId) && !incomingGameIds.has(incoming.gameId)) {
+            plan.sessions.orphaned++;
+            return;
+        }
+        const local = sessions.find(s => s.id === incoming.id);
+        if (!local) {
+            plan.sessions.added.push(incoming);
+            return;
+        }
+        const changedFields = getChangedFields(local, incoming);
+        if (changedFields.length === 0) {
+            plan.sessions.identical++;
+        } else {
+            plan.sessions.conflicts.push({ type: 'sessions', local, incoming, changedFields, choice: 'newer' });
+        }
+    });
+
+    return plan;
+}
+
+/**
+ * Build the merge plan and either apply it or ask the user to resolve conflicts
+ */
+function startMergeImport() {
+    pendingMergePlan = buildMergePlan();
+    if (getMergeConflicts().length === 0) {
+        applyMergeImport();
+    } else {
+        renderMergeConflicts();
+    }
+}
+
+/**
+ * Get every conflict in the pending merge plan
+ * @returns {Object[]} Conflicts for games, players and sessions
+ */
+function getMergeConflicts() {
+    return [
+        ...pendingMergePlan.games.conflicts,
+        ...pendingMergePlan.players.conflicts,
+        ...pendingMergePlan.sessions.conflicts
+    ];
+}
 
-    const maxPlays = topGames[0][1];
+/**
+ * Format a field value for the conflict list
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+function formatConflictValue(field, value) {
+    if (value === undefined || value === null || value === '') return '—';
+    // Players new in the backup aren't in the roster yet
+    const nameOf = (id) =>
+        getPlayerById(id)?.name || pendingImport?.players.find(p => p.id === id)?.name || 'Unknown Player';
+    if (field === 'players' || field === 'winners') {
+        return value.map(nameOf).join(', ');
+    }
+    if (field === 'results') {
+        return value.map(result => {
+            const details = [
+                result.position !== undefined ? `#${result.position}` : '',
+                result.score !== undefined ? `${result.score} pts` : '',
+                result.team ? `team ${result.team}` : ''
+            ].filter(Boolean);
+            return details.length > 0 ? `${nameOf(result.playerId)} (${details.join(', ')})` : nameOf(result.playerId);
+        }).join(', ');
+    }
+    if (field === 'location') {
+        return formatLocation(value);
+    }
+    if (field === 'loans') {
+        return value.map(loan =>
+            `${loan.borrowerId ? nameOf(loan.borrowerId) : loan.borrowerName} (${describeLoanDates(loan)})`
+        ).join(', ');
+    }
+    const titleOf = (id) =>
+        getGameById(id)?.title || pendingImport?.games.find(g => g.id === id)?.title || 'Unknown Game';
+    if (field === 'gameId' || field === 'baseGameId') {
+        return titleOf(value);
+    }
+    if (field === 'expansionIds') {
+        return value.map(titleOf).join(', ');
+    }
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+}
 
-    container.innerHTML = topGames.map(([gameId, count]) => {
-        const game = getGameById(gameId);
-        const name = game ? game.title : 'Unknown';
-        const percentage = (count / maxPlays) * 100;
+/**
+ * Render the list of conflicting records with a resolution choice for each
+ */
+function renderMergeConflicts() {
+    const conflicts = getMergeConflicts();
+
+    const conflictHtml = conflicts.map((conflict, i) => {
+        const { type, local, incoming, changedFields } = conflict;
+        const label = {
+            games: () => `🎲 ${escapeHtml(local.title)}`,
+            players: () => `👤 ${escapeHtml(local.name)}`,
+            sessions: () => `🎮 ${escapeHtml(getGameById(local.gameId)?.title || 'Unknown Game')} · ${formatDate(local.date)}`
+        }[type]();
+        const localTime = getRecordTimestamp(local);
+        const incomingTime = getRecordTimestamp(incoming);
 
         return `
-            <div class="stat-item">
-                <div style="flex: 1;">
-                    <div class="stat-item-name">${escapeHtml(name)}</div>
-                    <div class="progress-bar">
-                        <div class="progress-fill" style="width: ${percentage}%"></div>
-                    </div>
+            <fieldset class="merge-conflict">
+                <legend>${label}</legend>
+                <table class="data-table">
+                    <thead>
+                        <tr><th scope="col">Field</th><th scope="col">Yours</th><th scope="col">Backup</th></tr>
+                    </thead>
+                    <tbody>
+                        ${changedFields.map(field => `
+                            <tr>
+                                <td>${escapeHtml(field)}</td>
+                                <td>${escapeHtml(formatConflictValue(field, local[field]))}</td>
+                                <td>${escapeHtml(formatConflictValue(field, incoming[field]))}</td>
+                            </tr>
+                        `).join('')}
+                        <tr class="merge-conflict-time">
+                            <td>last changed</td>
+                            <td>${localTime ? formatDate(localTime) : '—'}</td>
+                            <td>${incomingTime ? formatDate(incomingTime) : '—'}</td>
+                        </tr>
+                    </tbody>
+                </table>
+                <div class="merge-choices">
+                    ${[['local', 'Keep mine'], ['incoming', 'Keep backup'], ['newer', 'Keep newer']].map(([value, text]) => `
+                        <label>
+                            <input type="radio" name="mergeChoice${i}" value="${value}" data-conflict="${i}" ${conflict.choice === value ? 'checked' : ''}>
+                            ${text}
+                        </label>
+                    `).join('')}
                 </div>
-                <span class="stat-item-value">${count}</span>
-            </div>
+            </fieldset>
         `;
     }).join('');
+
+    document.getElementById('importModalBody').innerHTML = `
+        <p>${conflicts.length} record${conflicts.length === 1 ? ' differs' : 's differ'} between your data and the backup. Choose which version to keep.</p>
+        <div class="merge-bulk-actions">
+            <button type="button" class="btn btn-ghost btn-small" onclick="setAllMergeChoices('local')">All mine</button>
+            <button type="button" class="btn btn-ghost btn-small" onclick="setAllMergeChoices('incoming')">All backup</button>
+            <button type="button" class="btn btn-ghost btn-small" onclick="setAllMergeChoices('newer')">All newer</button>
+        </div>
+        <div class="merge-conflict-list">${conflictHtml}</div>
+        <div class="form-actions">
+            <button type="button" class="btn btn-secondary" onclick="closeModal('importModal')">Cancel</button>
+            <button type="button" class="btn btn-primary" onclick="applyMergeImport()">Apply Merge</button>
+        </div>
+    `;
 }
 
 /**
- * Render frequent players
+ * Set the same resolution for every conflict
+ * @param {string} choice - 'local', 'incoming' or 'newer'
  */
-function renderFrequentPlayers() {
-    const container = document.getElementById('frequentPlayers');
-    if (!container) return;
+function setAllMergeChoices(choice) {
+    getMergeConflicts().forEach(conflict => { conflict.choice = choice; });
+    renderMergeConflicts();
+}
 
-    // Count plays per player
-    const playerCounts = {};
-    sessions.forEach(session => {
-        if (session.players) {
-            session.players.forEach(player => {
-                playerCounts[player] = (playerCounts[player] || 0) + 1;
-            });
-        }
-    });
+/**
+ * Apply the merge plan with the chosen conflict resolutions and show a summary
+ */
+async function applyMergeImport() {
+    const summary = {
+        games: { added: 0, updated: 0, skipped: 0 },
+        players: { added: 0, updated: 0, skipped: 0 },
+        sessions: { added: 0, updated: 0, skipped: 0 }
+    };
+    const before = snapshotData();
+    const changed = { games: [], players: [], sessions: [] };
+    const targets = { games, players, sessions };
 
-    // Sort and get top 10
-    const topPlayers = Object.entries(playerCounts)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 10);
+    ['games', 'players', 'sessions'].forEach(type => {
+        const target = targets[type];
+        const typePlan = pendingMergePlan[type];
 
-    if (topPlayers.length === 0) {
-        container.innerHTML = '<p class="help-text">No players recorded yet.</p>';
-        return;
-    }
+        typePlan.added.forEach(record => {
+            target.push(record);
+            changed[type].push(record);
+        });
+        summary[type].added = typePlan.added.length;
+        summary[type].skipped = typePlan.identical + (typePlan.orphaned || 0);
+
+        typePlan.conflicts.forEach(conflict => {
+            const takeIncoming = conflict.choice === 'incoming' ||
+                (conflict.choice === 'newer' && getRecordTimestamp(conflict.incoming) > getRecordTimestamp(conflict.local));
+            if (!takeIncoming) {
+                summary[type].skipped++;
+                return;
+            }
+            // Two incoming records can match the same local one, by ID and by title,
+            // so look it up again rather than trust an object an earlier conflict replaced
+            const index = target.findIndex(record => record.id === conflict.local.id);
+            target[index] = { ...conflict.incoming, createdAt: conflict.local.createdAt || conflict.incoming.createdAt };
+            changed[type] = changed[type].filter(record => record.id !== conflict.local.id);
+            changed[type].push(target[index]);
+            summary[type].updated++;
+        });
+    });
 
-    const maxPlays = topPlayers[0][1];
+    await persistRecords('games', changed.games);
+    await persistRecords('players', changed.players);
+    await persistRecords('sessions', changed.sessions);
+    await importImages(pendingImport.images);
+    forgetTrashed('games', changed.games);
+    forgetTrashed('sessions', changed.sessions);
+    recordHistory('Merged a backup', before, { bulk: true });
+    pendingImport = null;
+    pendingMergePlan = null;
+    renderGames();
+    renderSessions();
 
-    container.innerHTML = topPlayers.map(([player, count]) => {
-        const percentage = (count / maxPlays) * 100;
+    const row = (label, counts) => `
+        <tr>
+            <th scope="row">${label}</th>
+            <td>${counts.added}</td>
+            <td>${counts.updated}</td>
+            <td>${counts.skipped}</td>
+        </tr>
+    `;
+    document.getElementById('importModalBody').innerHTML = `
+        <p class="import-ok">✅ Merge complete.</p>
+        <table class="data-table">
+            <thead>
+                <tr><th scope="col"></th><th scope="col">Added</th><th scope="col">Updated</th><th scope="col">Skipped</th></tr>
+            </thead>
+            <tbody>
+                ${row('Games', summary.games)}
+                ${row('Players', summary.players)}
+                ${row('Sessions', summary.sessions)}
+            </tbody>
+        </table>
+        <div class="form-actions">
+            <button type="button" class="btn btn-primary" onclick="closeModal('importModal')">Done</button>
+        </div>
+    `;
+    openModal('importModal');
+}
 
-        return `
-            <div class="stat-item">
-                <div style="flex: 1;">
-                    <div class="stat-item-name">👤 ${escapeHtml(player)}</div>
-                    <div class="progress-bar">
-                        <div class="progress-fill" style="width: ${percentage}%"></div>
-                    </div>
-                </div>
-                <span class="stat-item-value">${count} plays</span>
-            </div>
-        `;
-    }).join('');
+// ============================================
+// BoardGameGeek Collection Import
+// ============================================
+
+/**
+ * Map BGG collection flags onto a game status
+ * @param {Object} flags - BGG status flags (own, wishlist, prevowned)
+ * @returns {string|null} Game status, or null if the item has none of the flags
+ */
+function bggStatusToGameStatus(flags) {
+    if (flags.own === '1') return 'owned';
+    if (flags.wishlist === '1') return 'wishlist';
+    if (flags.prevowned === '1') return 'previously-owned';
+    return null;
 }
 
 /**
- * Render play history by month
+ * Parse a BGG XML API2 collection response
+ * @param {string} text - XML text
+ * @returns {Object[]} Game records, with status null for items to skip
  */
-function renderPlayHistory() {
-    const container = document.getElementById('playHistory');
-    if (!container) return;
+function parseBggCollectionXml(text) {
+    const doc = parseXml(text);
+    const message = doc.querySelector('message');
+    if (message && !doc.querySelector('items')) {
+        throw new Error(message.textContent.trim());
+    }
+    if (!doc.querySelector('items')) {
+        throw new Error('Not a BoardGameGeek collection file');
+    }
 
-    // Group sessions by month
-    const monthCounts = {};
-    sessions.forEach(session => {
-        const date = new Date(session.date);
-        const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-        monthCounts[monthKey] = (monthCounts[monthKey] || 0) + 1;
+    return Array.from(doc.querySelectorAll('items > item')).map(item => {
+        const text = (selector) => item.querySelector(selector)?.textContent.trim() || undefined;
+        const attr = (selector, name) => item.querySelector(selector)?.getAttribute(name) || undefined;
+        const statusEl = item.querySelector('status');
+        const flags = {
+            own: statusEl?.getAttribute('own'),
+            wishlist: statusEl?.getAttribute('wishlist'),
+            prevowned: statusEl?.getAttribute('prevowned')
+        };
+
+        return {
+            bggId: item.getAttribute('objectid') || undefined,
+            title: text('name'),
+            yearPublished: toPositiveNumber(text('yearpublished')),
+            minPlayers: toPositiveNumber(attr('stats', 'minplayers')),
+            maxPlayers: toPositiveNumber(attr('stats', 'maxplayers')),
+            playTime: toPositiveNumber(attr('stats', 'playingtime')),
+            complexity: toPositiveNumber(attr('stats averageweight', 'value')),
+            rating: toPositiveNumber(attr('stats > rating', 'value')),
+            imageUrl: text('image'),
+            notes: text('comment'),
+            status: bggStatusToGameStatus(flags)
+        };
     });
+}
+
+/**
+ * Parse a BGG collection CSV download
+ * @param {string} text - CSV text
+ * @returns {Object[]} Game records, with status null for items to skip
+ */
+function parseBggCollectionCsv(text) {
+    const rows = parseCsvObjects(text);
+    if (rows.length > 0 && !('objectname' in rows[0])) {
+        throw new Error('Not a BoardGameGeek collection file: missing objectname column');
+    }
 
-    // Get last 12 months
-    const months = Object.keys(monthCounts)
-        .sort((a, b) => b.localeCompare(a))
-        .slice(0, 12);
+    return rows.map(row => ({
+        bggId: row.objectid || undefined,
+        title: row.objectname || undefined,
+        yearPublished: toPositiveNumber(row.yearpublished),
+        minPlayers: toPositiveNumber(row.minplayers),
+        maxPlayers: toPositiveNumber(row.maxplayers),
+        playTime: toPositiveNumber(row.playingtime),
+        // Prefer the user's own weight vote over the community average
+        complexity: toPositiveNumber(row.weight) || toPositiveNumber(row.avgweight),
+        rating: toPositiveNumber(row.rating),
+        acquisitionDate: /^\d{4}-\d{2}-\d{2}$/.test(row.acquisitiondate) ? row.acquisitiondate : undefined,
+        purchasePrice: toPositiveNumber(row.pricepaid),
+        currency: /^[A-Z]{3}$/.test(row.pp_currency) ? row.pp_currency : undefined,
+        acquisitionSource: row.acquiredfrom || undefined,
+        currentValue: toPositiveNumber(row.currvalue),
+        notes: row.comment || undefined,
+        status: bggStatusToGameStatus(row)
+    }));
+}
 
-    if (months.length === 0) {
-        container.innerHTML = '<p class="help-text">No play history available.</p>';
-        return;
+/**
+ * Find an existing game matching an imported record, by BGG ID then by title
+ * @param {Object} record - Imported game record
+ * @returns {Game|undefined} Matching game
+ */
+function findMatchingGame(record) {
+    if (record.bggId) {
+        const byId = games.find(g => g.bggId === record.bggId);
+        if (byId) return byId;
     }
+    const title = normalizeTitle(record.title);
+    return games.find(g => normalizeTitle(g.title) === title);
+}
 
-    const maxCount = Math.max(...months.map(m => monthCounts[m]));
+/**
+ * Import a BGG collection export into the collection
+ * @param {File} file - XML or CSV export
+ * @param {string} duplicateMode - 'skip' or 'update' for games already in the collection
+ */
+async function importBggCollection(file, duplicateMode) {
+    if (blockedByReadOnly()) return;
+    try {
+        const text = await readFileAsText(file);
+        const isXml = /\.xml$/i.test(file.name) || text.trimStart().startsWith('<');
+        const parsed = isXml ? parseBggCollectionXml(text) : parseBggCollectionCsv(text);
+
+        const records = parsed.filter(record => record.title && record.status);
+        const ignored = parsed.length - records.length;
+        if (records.length === 0) {
+            throw new Error('No owned, wishlisted or previously owned games found in the file');
+        }
 
-    container.innerHTML = months.map(monthKey => {
-        const [year, month] = monthKey.split('-');
-        const date = new Date(year, parseInt(month) - 1);
-        const monthName = date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
-        const count = monthCounts[monthKey];
-        const percentage = (count / maxCount) * 100;
+        const duplicates = records.filter(record => findMatchingGame(record)).length;
+        const duplicateAction = duplicateMode === 'update' ? 'updated' : 'skipped';
+        if (!confirm(`Import ${records.length} games from BoardGameGeek? ${duplicates} already in your collection will be ${duplicateAction}.`)) {
+            return;
+        }
 
-        return `
-            <div class="stat-item">
-                <div style="flex: 1;">
-                    <div class="stat-item-name">${monthName}</div>
-                    <div class="progress-bar">
-                        <div class="progress-fill" style="width: ${percentage}%"></div>
-                    </div>
-                </div>
-                <span class="stat-item-value">${count}</span>
-            </div>
-        `;
-    }).join('');
+        const before = snapshotData();
+        const changed = [];
+        let added = 0;
+        let updated = 0;
+        let skipped = 0;
+
+        records.forEach(record => {
+            // Drop fields BGG left empty so they don't overwrite existing values
+            const fields = Object.fromEntries(
+                Object.entries(record).filter(([, value]) => value !== undefined)
+            );
+            const existing = findMatchingGame(record);
+
+            if (!existing) {
+                const newGame = migrateGameData({
+                    ...fields,
+                    id: generateId(),
+                    createdAt: new Date().toISOString()
+                });
+                games.push(newGame);
+                changed.push(newGame);
+                added++;
+            } else if (duplicateMode === 'update') {
+                const index = games.indexOf(existing);
+                games[index] = migrateGameData({
+                    ...existing,
+                    ...fields,
+                    id: existing.id,
+                    updatedAt: new Date().toISOString()
+                });
+                changed.push(games[index]);
+                updated++;
+            } else {
+                skipped++;
+            }
+        });
+
+        await persistRecords('games', changed);
+        recordHistory('Imported a BoardGameGeek collection', before, { bulk: true });
+        renderGames();
+        updateGameDropdown();
+
+        let summary = `BoardGameGeek import complete: ${added} added, ${updated} updated, ${skipped} skipped.`;
+        if (ignored > 0) {
+            summary += ` ${ignored} items without a title or own/wishlist/previously owned status were ignored.`;
+        }
+        alert(summary);
+    } catch (error) {
+        console.error('BGG import error:', error);
+        alert('Error importing BoardGameGeek collection: ' + error.message);
+    }
 }
 
 // ============================================
-// Modal Functions
+// BoardGameGeek Plays Import/Export
 // ============================================
 
 /**
- * Open a modal
- * @param {string} modalId - ID of the modal element
+ * Split a list of names from a BGG plays CSV cell
+ * @param {string} value - Semicolon-separated names
+ * @returns {string[]} Names
  */
-function openModal(modalId) {
-    const modal = document.getElementById(modalId);
-    if (modal) {
-        modal.style.display = 'block';
-        // Focus the first focusable element
-        const focusable = modal.querySelector('button, input, select, textarea');
-        if (focusable) {
-            setTimeout(() => focusable.focus(), 100);
-        }
+function splitPlayerList(value) {
+    return (value || '').split(';').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a BGG plays XML export
+ * @param {string} text - XML text
+ * @returns {Object[]} Play records
+ */
+function parseBggPlaysXml(text) {
+    const doc = parseXml(text);
+    if (!doc.querySelector('plays')) {
+        throw new Error('Not a BoardGameGeek plays file');
     }
+
+    return Array.from(doc.querySelectorAll('plays > play')).map(play => {
+        const item = play.querySelector('item');
+        const playerEls = Array.from(play.querySelectorAll('players > player'));
+        const playerName = (el) => (el.getAttribute('name') || el.getAttribute('username') || '').trim();
+        const named = playerEls.filter(playerName);
+
+        return {
+            bggPlayId: play.getAttribute('id') || undefined,
+            date: play.getAttribute('date'),
+            quantity: parseInt(play.getAttribute('quantity')) || 1,
+            duration: toPositiveNumber(play.getAttribute('length')),
+            gameName: item?.getAttribute('name') || '',
+            bggId: item?.getAttribute('objectid') || undefined,
+            notes: play.querySelector('comments')?.textContent.trim() || undefined,
+            players: named.map(playerName),
+            winners: named.filter(el => el.getAttribute('win') === '1').map(playerName),
+            scores: named.map(el => {
+                const score = parseFloat(el.getAttribute('score'));
+                return Number.isFinite(score) ? score : undefined;
+            })
+        };
+    });
 }
 
 /**
- * Close a modal
- * @param {string} modalId - ID of the modal element
+ * Parse a BGG plays CSV export. Players and winners are semicolon-separated.
+ * @param {string} text - CSV text
+ * @returns {Object[]} Play records
  */
-function closeModal(modalId) {
-    const modal = document.getElementById(modalId);
-    if (modal) {
-        modal.style.display = 'none';
+function parseBggPlaysCsv(text) {
+    const rows = parseCsvObjects(text);
+    if (rows.length > 0 && !('objectname' in rows[0] && 'date' in rows[0])) {
+        throw new Error('Not a BoardGameGeek plays file: missing objectname or date column');
     }
+
+    return rows.map(row => ({
+        bggPlayId: row.playid || undefined,
+        date: row.date,
+        quantity: parseInt(row.quantity) || 1,
+        duration: toPositiveNumber(row.length),
+        gameName: row.objectname,
+        bggId: row.objectid || undefined,
+        notes: row.comments || undefined,
+        players: splitPlayerList(row.players),
+        winners: splitPlayerList(row.winners),
+        scores: []
+    }));
 }
 
 /**
- * Close all modals
+ * Build a key identifying a play by its content, for spotting re-imported plays
+ * @param {Object} session - Session or play record with a resolved gameId
+ * @param {string[]} playerKeys - Player IDs, or normalized names of players not in the roster
+ * @returns {string} Fingerprint
  */
-function closeAllModals() {
-    document.querySelectorAll('.modal').forEach(modal => {
-        modal.style.display = 'none';
-    });
+function sessionFingerprint(session, playerKeys) {
+    return [session.gameId, session.date, session.duration || 0, [...playerKeys].sort().join('|')].join('#');
 }
 
 /**
- * Open the add game modal
+ * Identify players by roster ID where possible, without adding anyone to the roster
+ * @param {string[]} names - Player names
+ * @returns {string[]} Player IDs or normalized names
  */
-function openAddGameModal() {
-    document.getElementById('gameModalTitle').textContent = 'Add New Game';
-    document.getElementById('gameForm').reset();
-    document.getElementById('gameId').value = '';
-    document.getElementById('gameStatus').value = 'owned';
-    openModal('gameModal');
+function getPlayerKeys(names) {
+    return names.map(name => findPlayerByName(name)?.id || `new:${normalizeTitle(name)}`);
 }
 
 /**
- * Open the edit game modal
- * @param {string} gameId - ID of game to edit
+ * Import plays from a BGG plays export. Plays already logged, matched by BGG play ID
+ * or by game, date, duration and players, are skipped.
+ * @param {File} file - XML or CSV export
  */
-function openEditGameModal(gameId) {
-    const game = getGameById(gameId);
-    if (!game) return;
+async function importBggPlays(file) {
+    if (blockedByReadOnly()) return;
+    try {
+        const text = await readFileAsText(file);
+        const isXml = /\.xml$/i.test(file.name) || text.trimStart().startsWith('<');
+        const plays = (isXml ? parseBggPlaysXml(text) : parseBggPlaysCsv(text))
+            .filter(play => play.gameName || play.bggId);
+
+        const invalid = plays.filter(play => !isValidDateString(play.date));
+        const validPlays = plays.filter(play => !invalid.includes(play));
+        if (validPlays.length === 0) {
+            throw new Error('No plays with a valid date found in the file');
+        }
 
-    document.getElementById('gameModalTitle').textContent = 'Edit Game';
-    document.getElementById('gameId').value = game.id;
-    document.getElementById('gameTitle').value = game.title || '';
-    document.getElementById('gameYear').value = game.yearPublished || '';
-    document.getElementById('gameDesigner').value = game.designer || '';
-    document.getElementById('gamePublisher').value = game.publisher || '';
-    document.getElementById('gameMinPlayers').value = game.minPlayers || '';
-    document.getElementById('gameMaxPlayers').value = game.maxPlayers || '';
-    document.getElementById('gamePlayTime').value = game.playTime || '';
-    document.getElementById('gameComplexity').value = game.complexity || '';
-    document.getElementById('gameRating').value = game.rating || '';
-    document.getElementById('gameStatus').value = game.status || 'owned';
-    document.getElementById('gameCategories').value = game.categories || '';
-    document.getElementById('gameAcquisitionDate').value = game.acquisitionDate || '';
-    document.getElementById('gameImageUrl').value = game.imageUrl || '';
-    document.getElementById('gameNotes').value = game.notes || '';
+        // Resolve game names, offering to create the ones we don't know
+        const before = snapshotData();
+        const unknownNames = new Map();
+        validPlays.forEach(play => {
+            if (!findMatchingGame({ bggId: play.bggId, title: play.gameName })) {
+                unknownNames.set(normalizeTitle(play.gameName), play);
+            }
+        });
+        const newGames = [];
+        if (unknownNames.size > 0) {
+            const names = Array.from(unknownNames.values()).map(play => play.gameName);
+            const create = confirm(
+                `${names.length} games in this file are not in your collection:\n\n${names.join('\n')}\n\n` +
+                'Add them to your collection? Choose Cancel to skip their plays.'
+            );
+            if (create) {
+                unknownNames.forEach(play => {
+                    const newGame = migrateGameData({
+                        id: generateId(),
+                        title: play.gameName,
+                        bggId: play.bggId,
+                        status: 'owned',
+                        createdAt: new Date().toISOString()
+                    });
+                    games.push(newGame);
+                    newGames.push(newGame);
+                });
+            }
+        }
 
-    openModal('gameModal');
+        // Sessions logged here have no BGG play ID, so match them by content instead.
+        // Counting per fingerprint keeps repeated plays on the same day.
+        const knownPlayIds = new Set(sessions.map(s => s.bggPlayId).filter(Boolean));
+        const existingCounts = {};
+        sessions.filter(session => !session.bggPlayId).forEach(session => {
+            const key = sessionFingerprint(session, session.players || []);
+            existingCounts[key] = (existingCounts[key] || 0) + 1;
+        });
+
+        const newSessions = [];
+        const newPlayers = [];
+        let duplicates = 0;
+        let unmatched = 0;
+        validPlays.forEach(play => {
+            const game = findMatchingGame({ bggId: play.bggId, title: play.gameName });
+            if (!game) {
+                unmatched += play.quantity;
+                return;
+            }
+            if (play.bggPlayId && knownPlayIds.has(play.bggPlayId)) {
+                duplicates += play.quantity;
+                return;
+            }
+
+            for (let i = 0; i < play.quantity; i++) {
+                const key = sessionFingerprint({ ...play, gameId: game.id }, getPlayerKeys(play.players));
+                if (existingCounts[key] > 0) {
+                    existingCounts[key]--;
+                    duplicates++;
+                    continue;
+                }
+                const playerIds = resolvePlayerIds(play.players, newPlayers);
+                const winnerIds = resolvePlayerIds(play.winners, newPlayers);
+                newSessions.push(normalizeSessionResults({
+                    id: generateId(),
+                    gameId: game.id,
+                    date: play.date,
+                    duration: play.duration,
+                    players: playerIds.length > 0 ? playerIds : undefined,
+                    winners: winnerIds.length > 0 ? winnerIds : undefined,
+                    results: play.players
+                        .map((name, i) => ({ playerId: resolvePlayerIds([name], newPlayers)[0], score: play.scores[i] }))
+                        .filter(result => result.score !== undefined),
+                    notes: play.notes,
+                    bggPlayId: play.bggPlayId,
+                    createdAt: new Date().toISOString()
+                }));
+            }
+        });
+
+        sessions.push(...newSessions);
+        if (newGames.length > 0) {
+            await persistRecords('games', newGames);
+        }
+        if (newPlayers.length > 0) {
+            await persistRecords('players', newPlayers);
+        }
+        await persistRecords('sessions', newSessions);
+        recordHistory('Imported BoardGameGeek plays', before, { bulk: true });
+        renderGames();
+        renderSessions();
+
+        let summary = `Imported ${newSessions.length} plays (${duplicates} already logged`;
+        if (unmatched > 0) summary += `, ${unmatched} for unknown games skipped`;
+        if (invalid.length > 0) summary += `, ${invalid.length} with an invalid date skipped`;
+        summary += ').';
+        if (newGames.length > 0) summary += ` Added ${newGames.length} new games.`;
+        alert(summary);
+    } catch (error) {
+        console.error('BGG plays import error:', error);
+        alert('Error importing BoardGameGeek plays: ' + error.message);
+    }
 }
 
 /**
- * Open play session modal for a specific game
- * @param {string} gameId - ID of game to log play for
+ * Export all play sessions in BGG plays format
+ * @param {string} format - 'xml' or 'csv'
  */
-function openPlaySessionModal(gameId) {
-    updateGameDropdown();
-    document.getElementById('playSessionForm').reset();
-    document.getElementById('sessionId').value = '';
-    document.getElementById('sessionGameId').value = gameId || '';
-    document.getElementById('sessionGame').value = gameId || '';
-    document.getElementById('sessionDate').value = new Date().toISOString().split('T')[0];
-    
-    document.getElementById('playSessionModalTitle').textContent = 'Log Play Session';
-    openModal('playSessionModal');
+function exportBggPlays(format) {
+    const sortedSessions = [...sessions].sort((a, b) => a.date.localeCompare(b.date));
+    const filename = `board-game-plays-${todayString()}.${format}`;
+
+    if (format === 'csv') {
+        const rows = [['playid', 'date', 'quantity', 'length', 'objectname', 'objectid', 'comments', 'players', 'winners']];
+        sortedSessions.forEach(session => {
+            const game = getGameById(session.gameId);
+            rows.push([
+                session.bggPlayId,
+                session.date,
+                1,
+                session.duration || 0,
+                game ? game.title : 'Unknown Game',
+                game?.bggId,
+                session.notes,
+                (session.players || []).map(getPlayerName).join(';'),
+                (session.winners || []).map(getPlayerName).join(';')
+            ]);
+        });
+        downloadFile(toCsv(rows), filename, 'text/csv');
+        return;
+    }
+
+    const playsXml = sortedSessions.map(session => {
+        const game = getGameById(session.gameId);
+        const winners = new Set(session.winners || []);
+        // Winners who weren't listed as players still need a player entry
+        const playerIds = [...new Set([...(session.players || []), ...winners])];
+        const playersXml = playerIds.map(id => {
+            const result = (session.results || []).find(r => r.playerId === id);
+            const score = result && result.score !== undefined ? result.score : '';
+            return `      <player username="" userid="0" name="${escapeXml(getPlayerName(id))}" startposition="" color="" score="${score}" new="0" rating="0" win="${winners.has(id) ? 1 : 0}"/>`;
+        }).join('\n');
+
+        return [
+            `  <play${session.bggPlayId ? ` id="${escapeXml(session.bggPlayId)}"` : ''} date="${escapeXml(session.date)}" quantity="1" length="${session.duration || 0}" incomplete="0" nowinstats="0" location="">`,
+            `    <item name="${escapeXml(game ? game.title : 'Unknown Game')}" objecttype="thing" objectid="${escapeXml(game?.bggId || 0)}"/>`,
+            session.notes ? `    <comments>${escapeXml(session.notes)}</comments>` : '',
+            playerIds.length > 0 ? `    <players>\n${playersXml}\n    </players>` : '',
+            '  </play>'
+        ].filter(Boolean).join('\n');
+    });
+
+    const xml = `<?xml version="1.0" encoding="utf-8"?>\n<plays total="${sortedSessions.length}">\n${playsXml.join('\n')}\n</plays>\n`;
+    downloadFile(xml, filename, 'application/xml');
 }
 
+// ============================================
+// CSV Import/Export
+// ============================================
+
 /**
- * Edit an existing session
- * @param {string} sessionId - ID of session to edit
+ * Columns available for CSV export and import mapping, per record type
  */
-function editSession(sessionId) {
-    const session = sessions.find(s => s.id === sessionId);
-    if (!session) return;
-
-    updateGameDropdown();
-    document.getElementById('sessionId').value = session.id;
-    document.getElementById('sessionGameId').value = session.gameId;
-    document.getElementById('sessionGame').value = session.gameId;
-    document.getElementById('sessionDate').value = session.date;
-    document.getElementById('sessionDuration').value = session.duration || '';
-    document.getElementById('sessionPlayers').value = session.players ? session.players.join(', ') : '';
-    document.getElementById('sessionWinners').value = session.winners ? session.winners.join(', ') : '';
-    document.getElementById('sessionNotes').value = session.notes || '';
+const CSV_FIELDS = {
+    games: [
+        { key: 'id', label: 'ID', type: 'id' },
+        { key: 'title', label: 'Title', required: true },
+        { key: 'yearPublished', label: 'Year Published', type: 'integer' },
+        { key: 'designer', label: 'Designer' },
+        { key: 'publisher', label: 'Publisher' },
+        { key: 'minPlayers', label: 'Min Players', type: 'integer' },
+        { key: 'maxPlayers', label: 'Max Players', type: 'integer' },
+        { key: 'playTime', label: 'Play Time (min)', type: 'number' },
+        { key: 'complexity', label: 'Complexity', type: 'number', min: 1, max: 5 },
+        { key: 'rating', label: 'Rating', type: 'number', min: 1, max: 10 },
+        { key: 'status', label: 'Status', type: 'status' },
+        { key: 'categories', label: 'Categories', type: 'tags' },
+        { key: 'acquisitionDate', label: 'Acquisition Date', type: 'date' },
+        { key: 'purchasePrice', label: 'Purchase Price', type: 'number', allowZero: true },
+        { key: 'currency', label: 'Currency', type: 'currency' },
+        { key: 'acquisitionSource', label: 'Acquired From' },
+        { key: 'location', label: 'Location', type: 'location' },
+        { key: 'currentValue', label: 'Current Value', type: 'number', allowZero: true },
+        { key: 'salePrice', label: 'Sale Price', type: 'number', allowZero: true },
+        { key: 'saleDate', label: 'Sale Date', type: 'date' },
+        { key: 'imageUrl', label: 'Image URL' },
+        { key: 'bggId', label: 'BGG ID' },
+        { key: 'notes', label: 'Notes' }
+    ],
+    sessions: [
+        { key: 'id', label: 'ID', type: 'id' },
+        { key: 'game', label: 'Game', required: true, type: 'game' },
+        { key: 'date', label: 'Date', required: true, type: 'date' },
+        { key: 'duration', label: 'Duration (min)', type: 'number' },
+        { key: 'players', label: 'Players', type: 'players' },
+        { key: 'winners', label: 'Winners', type: 'players' },
+        { key: 'notes', label: 'Notes' }
+    ]
+};
+
+const CSV_PREVIEW_ROWS = 5;
+
+// State of the CSV import wizard
+let csvImportState = null;
 
-    document.getElementById('playSessionModalTitle').textContent = 'Edit Play Session';
-    openModal('playSessionModal');
+/**
+ * Get the CSV cell value for a record field
+ * @param {Object} record - Game or session
+ * @param {Object} field - Field definition from CSV_FIELDS
+ * @returns {*} Cell value
+ */
+function recordToCsvValue(record, field) {
+    switch (field.type) {
+        case 'game':
+            return getGameById(record.gameId)?.title || '';
+        case 'players':
+            return (record[field.key] || []).map(getPlayerName).join(', ');
+        case 'tags':
+            return (record[field.key] || []).join(', ');
+        case 'location':
+            return formatLocation(record[field.key]);
+        default:
+            return record[field.key];
+    }
 }
 
 /**
- * Show game details modal
- * @param {string} gameId - ID of game to show
+ * Export the collection or the play log as CSV
+ * @param {string} type - 'games' or 'sessions'
  */
-function showGameDetails(gameId) {
-    const game = getGameById(gameId);
-    if (!game) return;
+function exportCsv(type) {
+    const fields = CSV_FIELDS[type];
+    const records = type === 'games'
+        ? [...games].sort((a, b) => (a.title || '').localeCompare(b.title || ''))
+        : [...sessions].sort((a, b) => a.date.localeCompare(b.date));
+    const rows = [
+        fields.map(field => field.label),
+        ...records.map(record => fields.map(field => recordToCsvValue(record, field)))
+    ];
+    const name = type === 'games' ? 'collection' : 'play-log';
+    downloadFile(toCsv(rows), `board-game-tracker-${name}-${todayString()}.csv`, 'text/csv');
+}
 
-    const gameSessions = getSessionsForGame(gameId);
-    const container = document.getElementById('gameDetailsContent');
+/**
+ * Normalize a column header or field name for automatic mapping
+ * @param {string} name - Header or field name
+ * @returns {string} Lowercased alphanumeric name
+ */
+function normalizeColumnName(name) {
+    return (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
 
-    const imageHtml = game.imageUrl
-        ? `<img src="${escapeHtml(game.imageUrl)}" alt="${escapeHtml(game.title)} box art" class="game-details-image" data-fallback="true">`
-        : '<div class="game-details-image-placeholder">🎲</div>';
+/**
+ * Guess a field for each CSV column from its header
+ * @param {string} type - 'games' or 'sessions'
+ * @param {string[]} header - Header row
+ * @returns {string[]} Field key per column, '' for unmapped columns
+ */
+function guessCsvMapping(type, header) {
+    const used = new Set();
+    return header.map(column => {
+        const name = normalizeColumnName(column);
+        const field = CSV_FIELDS[type].find(f =>
+            !used.has(f.key) &&
+            (normalizeColumnName(f.key) === name || normalizeColumnName(f.label) === name)
+        );
+        if (!field) return '';
+        used.add(field.key);
+        return field.key;
+    });
+}
 
-    const metaItems = [];
-    if (game.yearPublished) metaItems.push(`<span>📅 ${game.yearPublished}</span>`);
-    if (game.designer) metaItems.push(`<span>✏️ ${escapeHtml(game.designer)}</span>`);
-    if (game.publisher) metaItems.push(`<span>🏭 ${escapeHtml(game.publisher)}</span>`);
-    if (game.minPlayers || game.maxPlayers) {
-        const players = game.minPlayers === game.maxPlayers 
-            ? `${game.minPlayers}` 
-            : `${game.minPlayers || '?'}-${game.maxPlayers || '?'}`;
-        metaItems.push(`<span>👥 ${players} players</span>`);
+/**
+ * Convert a CSV cell to a field value
+ * @param {Object} field - Field definition from CSV_FIELDS
+ * @param {string} raw - Cell text
+ * @returns {{value: *, error: string|undefined}} Converted value or an error message
+ */
+function convertCsvValue(field, raw) {
+    const text = (raw || '').trim();
+    if (!text) {
+        return { value: undefined, error: field.required ? `${field.label} is required` : undefined };
     }
-    if (game.playTime) metaItems.push(`<span>⏱️ ${formatDuration(game.playTime)}</span>`);
-    if (game.complexity) metaItems.push(`<span>⚖️ Complexity: ${game.complexity}/5</span>`);
-    if (game.rating) metaItems.push(`<span>⭐ Rating: ${game.rating}/10</span>`);
-    if (game.categories) metaItems.push(`<span>🏷️ ${escapeHtml(game.categories)}</span>`);
 
-    const sessionsHtml = gameSessions.length > 0
-        ? gameSessions.slice(0, 20).map(session => {
-            const details = [];
-            if (session.players && session.players.length > 0) {
-                details.push(`👥 ${session.players.map(escapeHtml).join(', ')}`);
+    switch (field.type) {
+        case 'integer':
+        case 'number': {
+            const number = Number(text);
+            if (!Number.isFinite(number) || (field.type === 'integer' && !Number.isInteger(number))) {
+                return { error: `${field.label} "${text}" is not a ${field.type === 'integer' ? 'whole number' : 'number'}` };
             }
-            if (session.winners && session.winners.length > 0) {
-                details.push(`🏆 ${session.winners.map(escapeHtml).join(', ')}`);
+            if ((field.min !== undefined && number < field.min) || (field.max !== undefined && number > field.max)) {
+                return { error: `${field.label} ${number} is outside ${field.min}-${field.max}` };
             }
-            if (session.duration) {
-                details.push(`⏱️ ${formatDuration(session.duration)}`);
+            if (number < 0) {
+                return { error: `${field.label} ${number} cannot be negative` };
             }
+            // Prices can be 0 for gifts; elsewhere 0 means not set
+            return { value: (number || field.allowZero) ? number : undefined };
+        }
+        case 'location': {
+            // Room › Shelf › Position, also accepting > or / between the parts
+            const [room, shelf, position] = text.split(/\s*[›>/]\s*/).map(part => part || undefined);
+            return { value: { room, shelf, position } };
+        }
+        case 'id':
+            return RECORD_ID_PATTERN.test(text)
+                ? { value: text }
+                : { error: `${field.label} "${text}" may only contain letters, digits, ".", ":", "_" and "-"` };
+        case 'currency':
+            return /^[a-z]{3}$/i.test(text)
+                ? { value: text.toUpperCase() }
+                : { error: `${field.label} "${text}" is not a three-letter currency code like USD` };
+        case 'date':
+            return isValidDateString(text)
+                ? { value: text }
+                : { error: `${field.label} "${text}" is not a valid date (expected YYYY-MM-DD)` };
+        case 'status': {
+            const status = { 'owned': 'owned', 'wishlist': 'wishlist', 'previouslyowned': 'previously-owned', 'prevowned': 'previously-owned' }[normalizeColumnName(text)];
+            return status
+                ? { value: status }
+                : { error: `Status "${text}" must be Owned, Wishlist or Previously Owned` };
+        }
+        case 'game': {
+            const game = getGameById(text) || findMatchingGame({ title: text });
+            return game ? { value: game.id } : { error: `Unknown game "${text}"` };
+        }
+        case 'players': {
+            // Names are resolved to roster IDs when the import is committed
+            const names = text.split(/[,;]/).map(name => name.trim()).filter(Boolean);
+            return { value: names.length > 0 ? names : undefined };
+        }
+        case 'tags': {
+            const tags = splitTags(text);
+            return { value: tags.length > 0 ? tags : undefined };
+        }
+        default:
+            return { value: text };
+    }
+}
 
-            return `
-                <div class="play-session">
-                    <div class="session-date">📅 ${formatDate(session.date)}</div>
-                    ${details.length > 0 ? `<div class="session-details">${details.map(d => `<span class="session-detail">${d}</span>`).join('')}</div>` : ''}
-                    ${session.notes ? `<div class="session-notes">📝 ${escapeHtml(session.notes)}</div>` : ''}
-                </div>
-            `;
-        }).join('')
-        : '<div class="no-sessions">No play sessions logged for this game.</div>';
+/**
+ * Convert a CSV row to a game or session using the column mapping
+ * @param {string} type - 'games' or 'sessions'
+ * @param {string[]} row - CSV fields
+ * @param {string[]} mapping - Field key per column
+ * @returns {{record: Object, errors: string[]}} Record and validation errors
+ */
+function csvRowToRecord(type, row, mapping) {
+    const record = {};
+    const errors = [];
+
+    CSV_FIELDS[type].forEach(field => {
+        const column = mapping.indexOf(field.key);
+        if (column === -1) return;
+        const { value, error } = convertCsvValue(field, row[column]);
+        if (error) {
+            errors.push(error);
+        } else if (value !== undefined) {
+            record[field.key] = value;
+        }
+    });
 
-    container.innerHTML = `
-        <div class="game-details-header">
-            ${imageHtml}
-            <div class="game-details-info">
-                <h2 class="game-details-title">${escapeHtml(game.title)}</h2>
-                <div class="game-details-meta">${metaItems.join('')}</div>
-            </div>
-        </div>
-        ${game.notes ? `
-            <div class="game-details-section">
-                <h3>📝 Notes</h3>
-                <p class="game-details-notes">${escapeHtml(game.notes)}</p>
-            </div>
-        ` : ''}
-        <div class="game-details-section">
-            <h3>🎮 Play History (${gameSessions.length} plays)</h3>
-            ${sessionsHtml}
-        </div>
-        <div class="form-actions" style="border-top: 1px solid var(--border-color); margin-top: 20px; padding-top: 20px;">
-            <button class="btn btn-secondary" onclick="openPlaySessionModal('${game.id}'); closeModal('gameDetailsModal');">
-                ▶️ Log Play
-            </button>
-            <button class="btn btn-info" onclick="openEditGameModal('${game.id}'); closeModal('gameDetailsModal');">
-                ✏️ Edit Game
-            </button>
-            <button class="btn btn-danger" onclick="confirmDeleteGame('${game.id}')">
-                🗑️ Delete Game
-            </button>
-        </div>
-    `;
+    if (type === 'games' && record.minPlayers && record.maxPlayers && record.minPlayers > record.maxPlayers) {
+        errors.push(`Min Players ${record.minPlayers} is greater than Max Players ${record.maxPlayers}`);
+    }
+    if (type === 'sessions' && record.game) {
+        record.gameId = record.game;
+        delete record.game;
+    }
 
-    openModal('gameDetailsModal');
+    return { record, errors };
 }
 
-// ============================================
-// Confirmation Dialogs
-// ============================================
+/**
+ * Validate every row of the loaded CSV against the current mapping
+ * @returns {{valid: Object[], invalid: Array<{line: number, errors: string[]}>, missing: string[]}} Validation result
+ */
+function validateCsvImport() {
+    const { type, rows, mapping } = csvImportState;
+    const missing = CSV_FIELDS[type]
+        .filter(field => field.required && !mapping.includes(field.key))
+        .map(field => field.label);
+
+    const valid = [];
+    const invalid = [];
+    rows.slice(1).forEach((row, i) => {
+        const { record, errors } = csvRowToRecord(type, row, mapping);
+        if (errors.length > 0) {
+            // Line numbers count the header as line 1
+            invalid.push({ line: i + 2, errors });
+        } else {
+            valid.push(record);
+        }
+    });
 
-let pendingConfirmAction = null;
+    return { valid, invalid, missing };
+}
 
 /**
- * Show confirmation dialog
- * @param {string} message - Message to display
- * @param {Function} onConfirm - Function to call on confirm
+ * Open the CSV import wizard
  */
-function showConfirm(message, onConfirm) {
-    document.getElementById('confirmMessage').textContent = message;
-    pendingConfirmAction = onConfirm;
-    openModal('confirmModal');
+function openCsvImportModal() {
+    if (blockedByReadOnly()) return;
+    csvImportState = null;
+    document.getElementById('csvImportFile').value = '';
+    document.getElementById('csvImportMapping').innerHTML = '';
+    document.getElementById('csvImportReport').innerHTML = '';
+    document.getElementById('csvImportCommit').disabled = true;
+    openModal('csvImportModal');
 }
 
 /**
- * Confirm delete game
- * @param {string} gameId - ID of game to delete
+ * Load a CSV file into the import wizard
+ * @param {File} file - CSV file
  */
-function confirmDeleteGame(gameId) {
-    const game = getGameById(gameId);
-    if (!game) return;
-
-    showConfirm(
-        `Are you sure you want to delete "${game.title}"? This will also delete all ${getPlayCount(gameId)} play sessions for this game.`,
-        () => {
-            deleteGame(gameId);
-            closeAllModals();
+async function loadCsvImportFile(file) {
+    try {
+        const rows = parseCsv(await readFileAsText(file));
+        if (rows.length < 2) {
+            throw new Error('The file needs a header row and at least one data row');
         }
-    );
+        const type = document.getElementById('csvImportType').value;
+        csvImportState = { type, rows, mapping: guessCsvMapping(type, rows[0]) };
+        renderCsvImport();
+    } catch (error) {
+        console.error('CSV read error:', error);
+        csvImportState = null;
+        document.getElementById('csvImportMapping').innerHTML = '';
+        document.getElementById('csvImportReport').innerHTML =
+            `<p class="import-error">Error reading CSV: ${escapeHtml(error.message)}</p>`;
+        document.getElementById('csvImportCommit').disabled = true;
+    }
 }
 
 /**
- * Confirm delete session
- * @param {string} sessionId - ID of session to delete
+ * Render the column mapping, row preview and validation report
  */
-function confirmDeleteSession(sessionId) {
-    showConfirm(
-        'Are you sure you want to delete this play session?',
-        () => {
-            deleteSession(sessionId);
-            closeModal('confirmModal');
-        }
-    );
-}
+function renderCsvImport() {
+    if (!csvImportState) return;
+    const { type, rows, mapping } = csvImportState;
+    const [header, ...dataRows] = rows;
+
+    const fieldOptions = (selected) => `
+        <option value="">— Ignore —</option>
+        ${CSV_FIELDS[type].map(field =>
+            `<option value="${field.key}" ${field.key === selected ? 'selected' : ''}>${escapeHtml(field.label)}${field.required ? ' *' : ''}</option>`
+        ).join('')}
+    `;
 
-// ============================================
-// Data Import/Export
-// ============================================
+    document.getElementById('csvImportMapping').innerHTML = `
+        <p class="help-text">Choose which field each column holds. The first ${CSV_PREVIEW_ROWS} rows are shown.</p>
+        <div class="table-scroll">
+            <table class="data-table">
+                <thead>
+                    <tr>${header.map((column, i) => `
+                        <th scope="col">
+                            <div class="csv-column-name">${escapeHtml(column) || `Column ${i + 1}`}</div>
+                            <label for="csvMap${i}" class="sr-only">Field for column ${escapeHtml(column)}</label>
+                            <select id="csvMap${i}" data-column="${i}">${fieldOptions(mapping[i])}</select>
+                        </th>
+                    `).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${dataRows.slice(0, CSV_PREVIEW_ROWS).map(row => `
+                        <tr>${header.map((_, i) => `<td>${escapeHtml(row[i] || '')}</td>`).join('')}</tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+
+    renderCsvImportReport();
+}
 
 /**
- * Export all data to JSON file
+ * Render the validation report and enable importing when rows are valid
  */
-function exportData() {
-    const data = {
-        version: 1,
-        exportedAt: new Date().toISOString(),
-        games: games,
-        sessions: sessions
-    };
+function renderCsvImportReport() {
+    const { valid, invalid, missing } = validateCsvImport();
+    const report = document.getElementById('csvImportReport');
+    const commitBtn = document.getElementById('csvImportCommit');
+
+    if (missing.length > 0) {
+        report.innerHTML = `<p class="import-error">Map a column to: ${missing.map(escapeHtml).join(', ')}</p>`;
+        commitBtn.disabled = true;
+        return;
+    }
 
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `board-game-tracker-backup-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    const shownErrors = invalid.slice(0, 50);
+    report.innerHTML = `
+        <p class="import-ok">✅ ${valid.length} row${valid.length === 1 ? '' : 's'} ready to import</p>
+        ${invalid.length > 0 ? `
+            <p class="import-error">⚠️ ${invalid.length} row${invalid.length === 1 ? ' has' : 's have'} errors and will be skipped:</p>
+            <ul class="import-error-list">
+                ${shownErrors.map(({ line, errors }) =>
+                    `<li>Line ${line}: ${errors.map(escapeHtml).join('; ')}</li>`
+                ).join('')}
+                ${invalid.length > shownErrors.length ? `<li>…and ${invalid.length - shownErrors.length} more</li>` : ''}
+            </ul>
+        ` : ''}
+    `;
+    commitBtn.disabled = valid.length === 0;
+    commitBtn.textContent = `Import ${valid.length} Row${valid.length === 1 ? '' : 's'}`;
 }
 
 /**
- * Import data from JSON file
- * @param {File} file - JSON file to import
+ * Import the valid rows of the loaded CSV. Rows whose ID matches an existing record,
+ * or games whose title matches, update that record; all others are added.
  */
-function importData(file) {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        try {
-            const data = JSON.parse(e.target.result);
-            
-            if (!data.games || !Array.isArray(data.games)) {
-                throw new Error('Invalid data format: missing games array');
-            }
+async function commitCsvImport() {
+    if (!csvImportState) return;
+    const { type } = csvImportState;
+    const { valid, invalid } = validateCsvImport();
+    if (valid.length === 0) return;
+    if (invalid.length > 0 && !confirm(`Import ${valid.length} rows and skip ${invalid.length} rows with errors?`)) {
+        return;
+    }
 
-            // Confirm before importing
-            const gameCount = data.games.length;
-            const sessionCount = data.sessions?.length || 0;
-
-            if (confirm(`Import ${gameCount} games and ${sessionCount} sessions? This will replace your current data.`)) {
-                games = data.games.map(migrateGameData);
-                sessions = data.sessions || [];
-                saveGames();
-                saveSessions();
-                renderGames();
-                renderSessions();
-                alert('Data imported successfully!');
-            }
-        } catch (error) {
-            console.error('Import error:', error);
-            alert('Error importing data: ' + error.message);
+    const before = snapshotData();
+    const target = type === 'games' ? games : sessions;
+    const changed = [];
+    const newPlayers = [];
+    let added = 0;
+    let updated = 0;
+
+    valid.forEach(row => {
+        const record = { ...row };
+        ['players', 'winners'].forEach(key => {
+            if (record[key]) record[key] = resolvePlayerIds(record[key], newPlayers);
+        });
+        const existing = (record.id && target.find(r => r.id === record.id)) ||
+            (type === 'games' ? findMatchingGame(record) : undefined);
+
+        if (existing) {
+            const index = target.indexOf(existing);
+            const merged = { ...existing, ...record, id: existing.id, updatedAt: new Date().toISOString() };
+            target[index] = type === 'games' ? merged : normalizeSessionResults(merged);
+            changed.push(target[index]);
+            updated++;
+        } else {
+            const newRecord = {
+                ...record,
+                id: record.id || generateId(),
+                createdAt: new Date().toISOString()
+            };
+            const saved = type === 'games' ? migrateGameData(newRecord) : normalizeSessionResults(newRecord);
+            target.push(saved);
+            changed.push(saved);
+            added++;
         }
-    };
-    reader.readAsText(file);
+    });
+
+    if (newPlayers.length > 0) {
+        await persistRecords('players', newPlayers);
+    }
+    await persistRecords(type, changed);
+    forgetTrashed(type, changed);
+    recordHistory(`Imported ${type} from CSV`, before, { bulk: true });
+    closeModal('csvImportModal');
+    csvImportState = null;
+    renderGames();
+    renderSessions();
+    alert(`CSV import complete: ${added} added, ${updated} updated, ${invalid.length} skipped.`);
 }
 
 // ============================================
@@ -1136,9 +9039,25 @@ function importData(file) {
 
 document.addEventListener('DOMContentLoaded', () => {
     // Load data and render
-    loadData();
-    renderGames();
-    updateGameDropdown();
+    loadData().then(loadGameImages).then(() => {
+        renderGames();
+        updateGameDropdown();
+        renderStorageInfo();
+        renderStoredDataIssues();
+        if (storedDataError) {
+            disableEditing();
+            alert(describeStoredDataError());
+        }
+        loadSmartLists();
+        // Cleaning up against data that failed to load would delete what is still stored
+        if (!storedDataError) {
+            // Sync settings load first so changes made during startup are queued
+            loadSync()
+                .then(() => Promise.all([loadHistory(), purgeExpiredTrash()]))
+                .then(pruneUnusedImages);
+        }
+        return loadLiveGame();
+    });
 
     // Handle image load errors safely using event delegation
     // Handle image load errors safely using event delegation
@@ -1165,15 +9084,149 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // Add game button
-    document.getElementById('addGameBtn')?.addEventListener('click', openAddGameModal);
+    document.getElementById('addGameBtn')?.addEventListener('click', () => openAddGameModal());
+
+    // Recommender
+    document.getElementById('recommendBtn')?.addEventListener('click', openRecommendModal);
+    const recommendForm = document.getElementById('recommendForm');
+    recommendForm?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        renderRecommendations();
+    });
+    recommendForm?.addEventListener('change', (e) => {
+        // There are at least as many players as people ticked
+        if (e.target.closest('#recommendPlayers')) {
+            const countInput = document.getElementById('recommendPlayerCount');
+            const checked = recommendForm.querySelectorAll('#recommendPlayers input:checked').length;
+            if (checked > (parseInt(countInput.value) || 0)) countInput.value = checked;
+        }
+        renderRecommendations();
+    });
+    document.getElementById('recommendSurpriseBtn')?.addEventListener('click', surpriseMe);
+
+    // Storage
+    document.getElementById('storageBtn')?.addEventListener('click', openStorageModal);
+    document.getElementById('storageContent')?.addEventListener('change', (e) => {
+        const gameId = e.target.dataset.storageGame;
+        if (!gameId) return;
+        if (e.target.checked) {
+            storageSelection.add(gameId);
+        } else {
+            storageSelection.delete(gameId);
+        }
+        updateStorageSelectionStatus();
+    });
+    document.getElementById('storageContent')?.addEventListener('click', (e) => {
+        const shelf = e.target.closest('[data-storage-select-shelf]')?.closest('.storage-shelf');
+        if (!shelf) return;
+        shelf.querySelectorAll('[data-storage-game]').forEach(box => {
+            box.checked = true;
+            storageSelection.add(box.dataset.storageGame);
+        });
+        updateStorageSelectionStatus();
+    });
+    document.getElementById('storageMoveForm')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        moveGamesToShelf([...storageSelection], readLocationInputs('storageMoveRoom', 'storageMoveShelf'));
+        updateLocationOptions();
+    });
+
+    // Lending
+    document.getElementById('loansBtn')?.addEventListener('click', openLoansModal);
+    document.getElementById('lendGameBtn')?.addEventListener('click', () => openLoanModal());
+    document.getElementById('cancelLoanBtn')?.addEventListener('click', () => closeModal('loanModal'));
+    document.getElementById('loanForm')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        const borrower = document.getElementById('loanBorrower').value.trim().replace(/\s+/g, ' ');
+        const lentDate = document.getElementById('loanDate').value;
+        const dueDate = document.getElementById('loanDueDate').value || undefined;
+        if (!borrower) {
+            alert('Enter who is borrowing the game.');
+            return;
+        }
+        if (lentDate > todayString()) {
+            alert('The date lent cannot be in the future.');
+            return;
+        }
+        if (dueDate && dueDate < lentDate) {
+            alert('The expected return date must be on or after the date lent.');
+            return;
+        }
+        lendGame(document.getElementById('loanGame').value, {
+            borrower,
+            lentDate,
+            dueDate,
+            notes: document.getElementById('loanNotes').value.trim() || undefined
+        });
+        closeModal('loanModal');
+    });
+
+    // Chart spans
+    document.getElementById('playHistorySpan')?.addEventListener('change', renderPlayHistory);
+    document.getElementById('playHeatmapSpan')?.addEventListener('change', renderPlayHeatmap);
+
+    // Year in review
+    document.getElementById('yearReviewBtn')?.addEventListener('click', openYearReviewModal);
+    document.getElementById('yearReviewYear')?.addEventListener('change', renderYearReview);
+    document.getElementById('yearReviewPrintBtn')?.addEventListener('click', printYearReview);
+    document.getElementById('yearReviewImageBtn')?.addEventListener('click', downloadYearReviewImage);
+    window.addEventListener('afterprint', () => document.body.classList.remove('printing-year-review'));
+
+    // Session browser
+    const sessionFiltersForm = document.getElementById('sessionFilters');
+    sessionFiltersForm?.addEventListener('input', applySessionFilters);
+    sessionFiltersForm?.addEventListener('submit', (e) => e.preventDefault());
+    document.getElementById('sessionFiltersClear')?.addEventListener('click', () => {
+        sessionFiltersForm.reset();
+        applySessionFilters();
+    });
+    document.getElementById('sessionShowMore')?.addEventListener('click', showMoreSessions);
+
+    // Session calendar
+    document.getElementById('sessionListViewBtn')?.addEventListener('click', () => setSessionsView('list'));
+    document.getElementById('sessionCalendarViewBtn')?.addEventListener('click', () => setSessionsView('calendar'));
+    document.getElementById('calendarPrev')?.addEventListener('click', () => shiftCalendar(-1));
+    document.getElementById('calendarNext')?.addEventListener('click', () => shiftCalendar(1));
+    document.getElementById('calendarToday')?.addEventListener('click', () => {
+        calendarState.anchor = todayString();
+        calendarState.selected = null;
+        renderSessionCalendar();
+    });
+    document.getElementById('calendarMode')?.addEventListener('change', (e) => {
+        // Keep showing the week of the picked day, or the first of the month
+        calendarState.anchor = calendarState.selected || calendarState.anchor;
+        calendarState.mode = e.target.value;
+        renderSessionCalendar();
+    });
+    document.getElementById('calendarGame')?.addEventListener('change', (e) => {
+        calendarState.gameId = e.target.value;
+        renderSessionCalendar();
+    });
+    document.getElementById('calendarPlayer')?.addEventListener('change', (e) => {
+        calendarState.playerId = e.target.value;
+        renderSessionCalendar();
+    });
+    document.getElementById('sessionCalendarCard')?.addEventListener('click', (e) => {
+        const day = e.target.closest('[data-calendar-date]');
+        if (day) openCalendarDay(day.dataset.calendarDate);
+        const log = e.target.closest('[data-calendar-log]');
+        if (log) openPlaySessionModal(calendarState.gameId || undefined, [], log.dataset.calendarLog);
+    });
 
     // Quick play button
     document.getElementById('quickPlayBtn')?.addEventListener('click', () => openPlaySessionModal());
 
     // Game form submission
-    document.getElementById('gameForm')?.addEventListener('submit', (e) => {
+    document.getElementById('gameForm')?.addEventListener('submit', async (e) => {
         e.preventDefault();
         
+        const tags = collectGameTags();
+        // Prices of 0 are kept, for gifts
+        const readAmount = (id) => {
+            const value = document.getElementById(id).value;
+            return value === '' ? undefined : parseFloat(value);
+        };
         const gameData = {
             id: document.getElementById('gameId').value || undefined,
             title: document.getElementById('gameTitle').value.trim(),
@@ -1186,42 +9239,213 @@ document.addEventListener('DOMContentLoaded', () => {
             complexity: parseFloat(document.getElementById('gameComplexity').value) || undefined,
             rating: parseFloat(document.getElementById('gameRating').value) || undefined,
             status: document.getElementById('gameStatus').value,
-            categories: document.getElementById('gameCategories').value.trim() || undefined,
+            categories: tags.length > 0 ? tags : undefined,
             acquisitionDate: document.getElementById('gameAcquisitionDate').value || undefined,
+            purchasePrice: readAmount('gamePurchasePrice'),
+            currency: document.getElementById('gameCurrency').value.trim().toUpperCase() || undefined,
+            acquisitionSource: document.getElementById('gameAcquisitionSource').value.trim() || undefined,
+            currentValue: readAmount('gameCurrentValue'),
+            location: readLocationInputs('gameRoom', 'gameShelf', 'gamePosition'),
             imageUrl: document.getElementById('gameImageUrl').value.trim() || undefined,
-            notes: document.getElementById('gameNotes').value.trim() || undefined
+            notes: document.getElementById('gameNotes').value.trim() || undefined,
+            baseGameId: document.getElementById('gameBaseGame').value || undefined
         };
+        gameData.expansionType = gameData.baseGameId ? document.getElementById('gameExpansionType').value : undefined;
+        gameData.salePrice = gameData.status === 'previously-owned' ? readAmount('gameSalePrice') : undefined;
+        gameData.saleDate = gameData.status === 'previously-owned' ? document.getElementById('gameSaleDate').value || undefined : undefined;
+        if (gameData.currency === undefined && [gameData.purchasePrice, gameData.currentValue, gameData.salePrice].some(v => v !== undefined)) {
+            gameData.currency = getDefaultCurrency();
+        }
+        if (pendingGameImage !== undefined) {
+            gameData.imageId = pendingGameImage ? await saveGameFormImage() : undefined;
+        }
 
         saveGame(gameData);
         closeModal('gameModal');
     });
 
+    // Game photo: upload, paste from the clipboard or remove
+    document.getElementById('gameImageFile')?.addEventListener('change', (e) => {
+        if (e.target.files[0]) setGameFormImage(e.target.files[0]);
+        e.target.value = '';
+    });
+    document.getElementById('gameImageRemove')?.addEventListener('click', () => {
+        pendingGameImage = null;
+        renderGameImagePreview();
+    });
+    document.addEventListener('paste', (e) => {
+        if (document.getElementById('gameModal')?.style.display !== 'block') return;
+        const file = Array.from(e.clipboardData?.files || []).find(f => f.type.startsWith('image/'));
+        if (!file) return;
+        e.preventDefault();
+        setGameFormImage(file);
+    });
+
     // Cancel game button
     document.getElementById('cancelGameBtn')?.addEventListener('click', () => closeModal('gameModal'));
+    // Game tag picker
+    const gameTagInput = document.getElementById('gameTagInput');
+    gameTagInput?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addGameTags(gameTagInput.value);
+            gameTagInput.value = '';
+        } else if (e.key === 'Backspace' && !gameTagInput.value && gameTagPicks.length > 0) {
+            removeGameTag(gameTagPicks[gameTagPicks.length - 1]);
+        }
+    });
+    gameTagInput?.addEventListener('change', () => {
+        // Picking a datalist suggestion fires change without a key press
+        if (getAllTags().some(tag => normalizeTitle(tag) === normalizeTitle(gameTagInput.value))) {
+            addGameTags(gameTagInput.value);
+            gameTagInput.value = '';
+        }
+    });
+    document.getElementById('gameTagChips')?.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-remove-tag]');
+        if (target) removeGameTag(target.dataset.removeTag);
+    });
+
+    document.getElementById('gameBaseGame')?.addEventListener('change', (e) => {
+        document.getElementById('gameExpansionType').disabled = !e.target.value;
+    });
+    document.getElementById('gameStatus')?.addEventListener('change', (e) => {
+        const sold = e.target.value === 'previously-owned';
+        const saleDate = document.getElementById('gameSaleDate');
+        document.getElementById('gameSalePrice').disabled = !sold;
+        saleDate.disabled = !sold;
+        if (sold && !saleDate.value) saleDate.value = todayString();
+    });
 
     // Play session form submission
     document.getElementById('playSessionForm')?.addEventListener('submit', (e) => {
         e.preventDefault();
 
-        const playersInput = document.getElementById('sessionPlayers').value.trim();
-        const winnersInput = document.getElementById('sessionWinners').value.trim();
+        const picked = collectSessionPlayers();
+        if (picked.created.length > 0) {
+            persistRecords('players', picked.created);
+        }
 
+        const mode = document.getElementById('sessionMode').value;
+        const expansionIds = Array.from(document.querySelectorAll('#sessionExpansions input:checked'))
+            .map(input => input.value);
         const sessionData = {
             id: document.getElementById('sessionId').value || undefined,
             gameId: document.getElementById('sessionGame').value,
             date: document.getElementById('sessionDate').value,
             duration: parseInt(document.getElementById('sessionDuration').value) || undefined,
-            players: playersInput ? playersInput.split(',').map(p => p.trim()).filter(Boolean) : undefined,
-            winners: winnersInput ? winnersInput.split(',').map(w => w.trim()).filter(Boolean) : undefined,
+            players: picked.players.length > 0 ? picked.players : undefined,
+            expansionIds: expansionIds.length > 0 ? expansionIds : undefined,
+            mode,
+            outcome: mode === 'cooperative' ? document.getElementById('sessionOutcome').value : undefined,
+            results: picked.results,
             notes: document.getElementById('sessionNotes').value.trim() || undefined
         };
+        // Ticked winners win; otherwise they follow from the outcome, places or scores
+        const winners = mode !== 'cooperative' && picked.winners.length > 0
+            ? picked.winners
+            : deriveWinners(sessionData);
+        sessionData.winners = winners.length > 0 ? winners : undefined;
 
         saveSession(sessionData);
         closeModal('playSessionModal');
+        if (finishingLiveGame) {
+            finishingLiveGame = false;
+            liveGame = null;
+            saveLiveGame();
+        }
     });
 
     // Cancel session button
     document.getElementById('cancelSessionBtn')?.addEventListener('click', () => closeModal('playSessionModal'));
+    document.getElementById('startLiveGameBtn')?.addEventListener('click', startLiveGameFromSessionModal);
+    document.getElementById('sessionGame')?.addEventListener('change', () => renderSessionExpansionOptions());
+
+    // Live game timer and score pad
+    const liveGameContent = document.getElementById('liveGameContent');
+    liveGameContent?.addEventListener('click', (e) => {
+        const target = e.target.closest('button');
+        if (!target) return;
+        if (target.dataset.liveRemove) removeLivePlayer(target.dataset.liveRemove);
+        if (target.id === 'liveAddRoundBtn') addLiveRound();
+        if (target.id === 'liveUndoRoundBtn') undoLiveRound();
+        if (target.id === 'livePauseBtn') toggleLiveGamePause();
+        if (target.id === 'liveDiscardBtn') confirmDiscardLiveGame();
+        if (target.id === 'liveFinishBtn') finishLiveGame();
+    });
+    liveGameContent?.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        if (e.target.id === 'livePlayerInput') {
+            e.preventDefault();
+            addLivePlayer(e.target.value);
+            document.getElementById('livePlayerInput')?.focus();
+        } else if (e.target.dataset.livePoints) {
+            e.preventDefault();
+            addLiveRound();
+        }
+    });
+    liveGameContent?.addEventListener('change', (e) => {
+        // Picking a datalist suggestion fires change without a key press
+        if (e.target.id === 'livePlayerInput' && findPlayerByName(e.target.value)) {
+            addLivePlayer(e.target.value);
+        }
+    });
+    setInterval(tickLiveTimers, 1000);
+
+    // Session player picker
+    const sessionPlayerInput = document.getElementById('sessionPlayerInput');
+    sessionPlayerInput?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addSessionPlayer(sessionPlayerInput.value);
+            sessionPlayerInput.value = '';
+        } else if (e.key === 'Backspace' && !sessionPlayerInput.value && sessionPlayerPicks.length > 0) {
+            removeSessionPlayer(getPickKey(sessionPlayerPicks[sessionPlayerPicks.length - 1]));
+        }
+    });
+    sessionPlayerInput?.addEventListener('change', () => {
+        // Picking a datalist suggestion fires change without a key press
+        if (findPlayerByName(sessionPlayerInput.value)) {
+            addSessionPlayer(sessionPlayerInput.value);
+            sessionPlayerInput.value = '';
+        }
+    });
+    document.getElementById('playSessionForm')?.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-remove-player], [data-toggle-winner], [data-add-player]');
+        if (!target) return;
+        if (target.dataset.removePlayer) removeSessionPlayer(target.dataset.removePlayer);
+        if (target.dataset.toggleWinner) toggleSessionWinner(target.dataset.toggleWinner);
+        if (target.dataset.addPlayer) addSessionPlayer(target.dataset.addPlayer);
+    });
+    document.getElementById('sessionResults')?.addEventListener('input', (e) => {
+        const { resultKey, resultField } = e.target.dataset;
+        if (resultKey) setSessionResultValue(resultKey, resultField, e.target.value);
+    });
+    document.getElementById('sessionMode')?.addEventListener('change', updateSessionModeFields);
+
+    // Player management
+    document.getElementById('addPlayerBtn')?.addEventListener('click', openAddPlayerModal);
+    document.getElementById('cancelPlayerBtn')?.addEventListener('click', () => closeModal('playerModal'));
+    document.getElementById('playerMergeBtn')?.addEventListener('click', confirmMergePlayer);
+    document.getElementById('deletePlayerBtn')?.addEventListener('click', confirmDeletePlayer);
+    document.getElementById('playerForm')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        const id = document.getElementById('playerId').value || undefined;
+        const name = document.getElementById('playerName').value.trim().replace(/\s+/g, ' ');
+        const aliasesInput = document.getElementById('playerAliases').value;
+
+        const saved = savePlayer({
+            id,
+            name,
+            color: document.getElementById('playerColor').value,
+            avatar: document.getElementById('playerAvatar').value.trim() || undefined,
+            aliases: aliasesInput.split(',').map(alias => alias.trim()).filter(alias =>
+                alias && normalizeTitle(alias) !== normalizeTitle(name)
+            )
+        });
+        if (saved) closeModal('playerModal');
+    });
 
     // Modal close buttons
     document.querySelectorAll('.close').forEach(closeBtn => {
@@ -1245,6 +9469,20 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Ctrl+Z / Ctrl+Shift+Z undo and redo, except in text fields which have their own undo
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoLastChange();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redoLastChange();
+        }
+    });
+
     // Confirm dialog buttons
     document.getElementById('confirmOk')?.addEventListener('click', () => {
         if (pendingConfirmAction) {
@@ -1262,6 +9500,32 @@ document.addEventListener('DOMContentLoaded', () => {
     // Search and filter
     document.getElementById('searchGames')?.addEventListener('input', renderGames);
     document.getElementById('filterStatus')?.addEventListener('change', renderGames);
+    document.getElementById('smartList')?.addEventListener('change', (e) => selectSmartList(e.target.value));
+
+    // Sync
+    document.getElementById('syncForm')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveSyncSettings(
+            document.getElementById('syncEndpoint').value.trim(),
+            document.getElementById('syncToken').value.trim()
+        );
+    });
+    document.getElementById('syncNowBtn')?.addEventListener('click', syncNow);
+    window.addEventListener('online', () => scheduleSync(0));
+    window.addEventListener('offline', renderSyncStatus);
+    setInterval(() => scheduleSync(0), SYNC_INTERVAL_MS);
+
+    // Trash
+    document.getElementById('trashRetention')?.addEventListener('change', (e) => setTrashRetention(e.target.value));
+    document.getElementById('emptyTrashBtn')?.addEventListener('click', confirmEmptyTrash);
+    const facetFilters = document.getElementById('facetFilters');
+    facetFilters?.addEventListener('change', (e) => {
+        if (e.target.dataset.facet) setCollectionFacet(e.target.dataset.facet, e.target.value);
+    });
+    facetFilters?.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-clear-facet]');
+        if (target) clearCollectionFacet(target.dataset.clearFacet, target.dataset.facetValue);
+    });
     document.getElementById('sortGames')?.addEventListener('change', renderGames);
 
     // Export button
@@ -1276,6 +9540,54 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Merge import conflict choices
+    document.getElementById('importModalBody')?.addEventListener('change', (e) => {
+        if (!pendingMergePlan || e.target.dataset.conflict === undefined) return;
+        getMergeConflicts()[parseInt(e.target.dataset.conflict)].choice = e.target.value;
+    });
+
+    // BoardGameGeek collection import
+    document.getElementById('importBggCollectionInput')?.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            importBggCollection(file, document.getElementById('bggDuplicateMode').value);
+            e.target.value = ''; // Reset input
+        }
+    });
+
+    // BoardGameGeek plays import/export
+    document.getElementById('importBggPlaysInput')?.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            importBggPlays(file);
+            e.target.value = ''; // Reset input
+        }
+    });
+    document.getElementById('exportBggPlaysXmlBtn')?.addEventListener('click', () => exportBggPlays('xml'));
+    document.getElementById('exportBggPlaysCsvBtn')?.addEventListener('click', () => exportBggPlays('csv'));
+
+    // CSV export and import wizard
+    document.getElementById('exportGamesCsvBtn')?.addEventListener('click', () => exportCsv('games'));
+    document.getElementById('exportSessionsCsvBtn')?.addEventListener('click', () => exportCsv('sessions'));
+    document.getElementById('importCsvBtn')?.addEventListener('click', openCsvImportModal);
+    document.getElementById('csvImportFile')?.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) loadCsvImportFile(file);
+    });
+    document.getElementById('csvImportType')?.addEventListener('change', (e) => {
+        if (!csvImportState) return;
+        csvImportState.type = e.target.value;
+        csvImportState.mapping = guessCsvMapping(e.target.value, csvImportState.rows[0]);
+        renderCsvImport();
+    });
+    document.getElementById('csvImportMapping')?.addEventListener('change', (e) => {
+        if (!csvImportState || !e.target.dataset.column) return;
+        csvImportState.mapping[parseInt(e.target.dataset.column)] = e.target.value;
+        renderCsvImportReport();
+    });
+    document.getElementById('csvImportCommit')?.addEventListener('click', commitCsvImport);
+    document.getElementById('csvImportCancel')?.addEventListener('click', () => closeModal('csvImportModal'));
+
     // Register service worker for PWA
     if ('serviceWorker' in navigator) {
         navigator.serviceWorker.register('./sw.js')
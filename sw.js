@@ -56,8 +56,9 @@ self.addEventListener('activate', (event) => {
  * Fetch event - serve from cache, fall back to network
  */
 self.addEventListener('fetch', (event) => {
-  // Only handle GET requests
-  if (event.request.method !== 'GET') {
+  // Only handle GET requests, and leave requests that opt out of caching
+  // (such as sync) to the network
+  if (event.request.method !== 'GET' || event.request.cache === 'no-store') {
     return;
   }
 
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+/**
+ * Reference sync server for Board Game Collection Tracker
+ *
+ * A small, dependency-free server implementing the sync API described in
+ * README.md. Records are kept in a JSON file next to the server.
+ *
+ * Usage: node sync-server.js [--port 8787] [--host 127.0.0.1] [--data sync-data.json]
+ * Set SYNC_TOKEN to require an "Authorization: Bearer <token>" header. The server
+ * only listens on this machine unless --host says otherwise, and then a token is
+ * required, since any web page or host on the network could otherwise read and
+ * change the collection.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const STORES = ['games', 'sessions', 'players'];
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = Number(args.port || process.env.PORT || 8787);
+const HOST = args.host || process.env.HOST || '127.0.0.1';
+const DATA_FILE = path.resolve(args.data || 'sync-data.json');
+const TOKEN = process.env.SYNC_TOKEN || '';
+
+/**
+ * Every record version the server knows, plus a counter that orders changes.
+ * Deleted records are kept as tombstones (record: null) so devices that sync
+ * later still learn about the delete.
+ * @type {{seq: number, records: Object<string, {store: string, id: string, updatedAt: string, record: (Object|null), seq: number}>}}
+ */
+let data = loadData();
+
+/**
+ * Parse --name value pairs from the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object<string, string>} Options by name
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z]+)(?:=(.*))?$/);
+        if (!match) continue;
+        options[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+    }
+    return options;
+}
+
+/**
+ * Read the data file, starting empty if there isn't one yet
+ * @returns {Object} Server data
+ */
+function loadData() {
+    if (!fs.existsSync(DATA_FILE)) return { seq: 0, records: {} };
+    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+}
+
+/**
+ * Write the data file. Writing to a temporary file first means a crash
+ * never leaves a half-written file behind.
+ */
+function saveData() {
+    const tempFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(data));
+    fs.renameSync(tempFile, DATA_FILE);
+}
+
+/**
+ * Check a change sent by a device
+ * @param {*} change - Change from the request body
+ * @returns {string|null} What is wrong with it, or null if it is valid
+ */
+function validateChange(change) {
+    if (!change || typeof change !== 'object') return 'change must be an object';
+    if (!STORES.includes(change.store)) return `store must be one of ${STORES.join(', ')}`;
+    if (typeof change.id !== 'string' || !change.id) return 'id must be a non-empty string';
+    if (typeof change.updatedAt !== 'string' || Number.isNaN(Date.parse(change.updatedAt))) {
+        return 'updatedAt must be an ISO timestamp';
+    }
+    if (change.record !== null && (typeof change.record !== 'object' || change.record.id !== change.id)) {
+        return 'record must be an object with the same id, or null for a delete';
+    }
+    return null;
+}
+
+/**
+ * Apply one change. A change made on top of the server's current version is
+ * applied. Otherwise deletes are settled by last writer wins, and two edits
+ * are a conflict for the device to resolve.
+ * @param {Object} change - Valid change
+ * @returns {'applied'|'stale'|'conflict'} Outcome
+ */
+function applyChange(change) {
+    const key = `${change.store}:${change.id}`;
+    const existing = data.records[key];
+    const basedOnCurrent = !existing ||
+        existing.updatedAt === change.baseUpdatedAt ||
+        existing.updatedAt === change.updatedAt;
+
+    if (!basedOnCurrent) {
+        if (change.record && existing.record) return 'conflict';
+        if (change.updatedAt <= existing.updatedAt) return 'stale';
+    }
+    data.seq++;
+    data.records[key] = {
+        store: change.store,
+        id: change.id,
+        updatedAt: change.updatedAt,
+        record: change.record,
+        seq: data.seq
+    };
+    return 'applied';
+}
+
+/**
+ * Describe a stored version for a response
+ * @param {Object} entry - Stored version
+ * @returns {Object} Change as sent to devices
+ */
+function toChange(entry) {
+    return { store: entry.store, id: entry.id, updatedAt: entry.updatedAt, record: entry.record };
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a request body as JSON
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body is too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new Error('Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * GET /changes?since=<cursor>: every change after the cursor, oldest first
+ * @param {URL} url - Request URL
+ * @param {http.ServerResponse} res - Response
+ */
+function handleGetChanges(url, res) {
+    const sinceParam = url.searchParams.get('since');
+    const since = sinceParam === null || sinceParam === '' ? 0 : Number(sinceParam);
+    if (!Number.isInteger(since) || since < 0) {
+        sendJson(res, 400, { error: 'since must be a cursor returned by an earlier request' });
+        return;
+    }
+    const changes = Object.values(data.records)
+        .filter(entry => entry.seq > since)
+        .sort((a, b) => a.seq - b.seq)
+        .map(toChange);
+    sendJson(res, 200, { cursor: String(data.seq), changes });
+}
+
+/**
+ * POST /changes: apply a device's changes and report what happened to each
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handlePostChanges(req, res) {
+    let body;
+    try {
+        body = await readJsonBody(req);
+    } catch (error) {
+        sendJson(res, 400, { error: error.message });
+        return;
+    }
+    if (!body || !Array.isArray(body.changes)) {
+        sendJson(res, 400, { error: 'body must be {"changes": [...]}' });
+        return;
+    }
+    for (const [i, change] of body.changes.entries()) {
+        const problem = validateChange(change);
+        if (problem) {
+            sendJson(res, 400, { error: `change #${i + 1}: ${problem}` });
+            return;
+        }
+    }
+
+    const result = { applied: [], stale: [], conflicts: [] };
+    body.changes.forEach(change => {
+        const outcome = applyChange(change);
+        const summary = { store: change.store, id: change.id, updatedAt: change.updatedAt };
+        if (outcome === 'applied') {
+            result.applied.push(summary);
+        } else if (outcome === 'stale') {
+            result.stale.push(summary);
+        } else {
+            result.conflicts.push(toChange(data.records[`${change.store}:${change.id}`]));
+        }
+    });
+    if (result.applied.length > 0) saveData();
+    sendJson(res, 200, { cursor: String(data.seq), ...result });
+}
+
+const server = http.createServer((req, res) => {
+    // The app is usually served from another origin than the sync server
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+        sendJson(res, 401, { error: 'Missing or wrong token' });
+        return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname.replace(/\/+$/, '') !== '/changes') {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+    if (req.method === 'GET') {
+        handleGetChanges(url, res);
+    } else if (req.method === 'POST') {
+        handlePostChanges(req, res).catch(error => {
+            console.error('Error handling changes:', error);
+            sendJson(res, 500, { error: 'Internal server error' });
+        });
+    } else {
+        sendJson(res, 405, { error: 'Method not allowed' });
+    }
+});
+
+if (!TOKEN && !['127.0.0.1', 'localhost', '::1'].includes(HOST)) {
+    console.error(`Set SYNC_TOKEN before listening on ${HOST}; without it anyone who can reach the server can read and change the collection.`);
+    process.exit(1);
+}
+
+server.listen(PORT, HOST, () => {
+    console.log(`Sync server listening on http://${HOST.includes(':') ? `[${HOST}]` : HOST}:${PORT}/changes (data in ${DATA_FILE})`);
+});